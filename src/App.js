@@ -1,13 +1,58 @@
-import React, { useState, useEffect, createContext, useContext, useCallback } from 'react';
+import React, { useState, useEffect, useLayoutEffect, createContext, useContext, useCallback, useMemo, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInWithPopup, GoogleAuthProvider, onAuthStateChanged, signInAnonymously, signOut, signInWithCustomToken } from 'firebase/auth';
-import { getFirestore, doc, getDoc, setDoc, updateDoc, collection, query, onSnapshot } from 'firebase/firestore';
+import {
+  getAuth, signInWithPopup, GoogleAuthProvider, onAuthStateChanged, signInAnonymously, signOut, signInWithCustomToken, connectAuthEmulator,
+} from 'firebase/auth';
+import {
+  getFirestore, doc, getDoc, setDoc, updateDoc, collection, query, onSnapshot, increment, runTransaction, connectFirestoreEmulator,
+} from 'firebase/firestore';
+import {
+  WHITE, BLACK, BAR, ENTRY, getOpponentColor, isBearOffPoint, getBearOffPoint, expandDice, removeDie, getOpeningRollWinner, createEmptyPosition, createInitialPosition,
+  clonePosition, getCheckerMoves, explainIllegalMove, hasAnyLegalMove, applyPlay, beginTurn, getPipCount, countCheckersToEnter, WIN_TYPES,
+} from './engine/backgammon';
+import { DOUBLE_CHOICES, isAceyDeuceyRoll } from './engine/aceyDeucey';
+import {
+  COMPUTER_DIFFICULTIES, getDifficultyLabel, planComputerTurn, getPlannedMove, shouldOfferDouble, shouldAcceptDouble,
+  chooseAceyDeuceyDouble,
+} from './engine/computerPlayer';
+import {
+  MATCH_LENGTHS, WIN_TYPE_LABELS, createMatch, createMatchAtScore, scoreGame, getMatchWinner, countGamesWon,
+  getCurrentGameVariantId, getResultsByVariant,
+} from './engine/match';
+import { createCube, canOfferDouble, acceptDouble } from './engine/cube';
+import { createDiceService, createSeed, verifyDiceRolls } from './engine/dice';
+import {
+  createTranscript, recordTurn, recordDouble, recordTake, recordDrop, recordGameResult, getLastTurn,
+  describeTranscriptEntry, describeGameResult,
+} from './engine/transcript';
+import { exportMatFile, importMatFile, canExportMatFile } from './engine/matFile';
+import { encodePositionId, encodeMatchId, parseGnubgId } from './engine/gnubgId';
+import { addChecker, removeChecker, countSideCheckers, validatePosition } from './engine/positionEditor';
+import { buildReplayFrames, getGameStarts } from './engine/replay';
+import {
+  GAME_TYPES, DEFAULT_VARIANT, TAVLI, getVariant, getVariantLabel, getGameVariantId, isCubeUsed,
+} from './engine/variants';
+import {
+  INITIAL_RATING, PROVISIONAL_EXPERIENCE, getComputerRating, isProvisional, rateMatch, createRatingHistoryEntry,
+} from './engine/rating';
+import {
+  ROOM_STATUS, TIME_CONTROLS, TIME_CONTROL_NOTE, INVITATION_STATUS, createRoom, getRoomColor, getRoomStateKey, getRoomUpdate,
+  describeTimeControl, createInvitation, describeInvitation,
+} from './engine/gameRoom';
 
 // Tailwind CSS is assumed to be available in the environment via a global CDN.
 
 // --- Firebase Configuration and Initialization ---
 // Retrieve Firebase configuration and app ID from the environment.
-const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
+// For offline development the app can use the local Firebase emulators instead (firebase.json sets
+// their ports and the rules they enforce; start them with `firebase emulators:start --project demo-ttavli`), e.g.
+//   REACT_APP_FIRESTORE_EMULATOR_HOST=localhost:8080 REACT_APP_AUTH_EMULATOR_HOST=localhost:9099 npm start
+// Without a Firebase config a demo project is used for them.
+const firestoreEmulatorHost = process.env.REACT_APP_FIRESTORE_EMULATOR_HOST;
+const authEmulatorHost = process.env.REACT_APP_AUTH_EMULATOR_HOST;
+const firebaseConfig = typeof __firebase_config !== 'undefined'
+  ? JSON.parse(__firebase_config)
+  : (firestoreEmulatorHost ? { apiKey: 'demo-api-key', projectId: 'demo-ttavli' } : {});
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
 
 // Declare Firebase instances globally so they are initialized once.
@@ -21,6 +66,15 @@ try {
     app = initializeApp(firebaseConfig);
     db = getFirestore(app);
     auth = getAuth(app);
+    if (firestoreEmulatorHost) {
+      const [host, port] = firestoreEmulatorHost.split(':');
+      connectFirestoreEmulator(db, host, Number(port));
+      console.log(`Using the Firestore emulator at ${firestoreEmulatorHost}.`);
+    }
+    if (authEmulatorHost) {
+      connectAuthEmulator(auth, `http://${authEmulatorHost}`);
+      console.log(`Using the Auth emulator at ${authEmulatorHost}.`);
+    }
     console.log("Firebase initialized successfully.");
   } else {
     // Log a warning if Firebase config is missing, indicating demo mode.
@@ -61,8 +115,21 @@ const AuthProvider = ({ children }) => {
     }
   }, []); // Dependencies: empty as `auth` is stable.
 
+  // Guest/offline mode: signs in a named local player (see LocalStorageService).
+  const signInLocally = useCallback((name) => {
+    const player = LocalStorageService.signInLocalPlayer(name);
+    setCurrentUser(player);
+    setUserId(player.uid);
+  }, []);
+
   // Logout function
   const logout = useCallback(async () => {
+    if (isLocalMode) {
+      LocalStorageService.signOutLocalPlayer();
+      setCurrentUser(null);
+      setUserId(null);
+      return;
+    }
     if (!auth) {
         console.error("Firebase Auth not initialized. Cannot log out.");
         return;
@@ -76,9 +143,14 @@ const AuthProvider = ({ children }) => {
   }, []); // Dependencies: empty as `auth` is stable.
 
   useEffect(() => {
-    // If Firebase Auth is not initialized, stop loading and return.
+    // If Firebase Auth is not initialized, pick up the last local player and stop loading.
     if (!auth) {
       console.warn("Auth object is undefined, skipping auth listener setup.");
+      const player = LocalStorageService.getCurrentLocalPlayer();
+      if (player) {
+        setCurrentUser(player);
+        setUserId(player.uid);
+      }
       setLoadingAuth(false);
       return;
     }
@@ -97,17 +169,7 @@ const AuthProvider = ({ children }) => {
             // Check if user profile exists in Firestore and create if not.
             const userSnap = await getDoc(userRef);
             if (!userSnap.exists()) {
-              await setDoc(userRef, {
-                displayName: user.displayName || 'Anonymous User',
-                email: user.email || '',
-                photoURL: user.photoURL || '',
-                createdAt: new Date(),
-                totalGamesPlayed: 0,
-                totalMatchesWon: 0,
-                totalGamesWon: 0,
-                totalGamesLost: 0,
-                winLossRatio: 0,
-              });
+              await setDoc(userRef, createUserProfile(user));
               console.log("New user profile created or existing updated.");
             }
           } catch (firestoreError) {
@@ -156,7 +218,7 @@ const AuthProvider = ({ children }) => {
   }, [signInWithGoogle, logout]); // Added dependencies to useEffect
 
   return (
-    <AuthContext.Provider value={{ currentUser, userId, loadingAuth, signInWithGoogle, logout }}>
+    <AuthContext.Provider value={{ currentUser, userId, loadingAuth, signInWithGoogle, signInLocally, logout }}>
       {children}
     </AuthContext.Provider>
   );
@@ -165,6 +227,9 @@ const AuthProvider = ({ children }) => {
 // --- Firestore Service for Data Operations ---
 // Centralized service for interacting with Firestore.
 const FirestoreService = {
+  // The value that adds `n` to a number field in an update.
+  increment: (n) => increment(n),
+
   // Saves a match result to a public collection in Firestore.
   saveMatchResult: async (matchData) => {
     if (!db) {
@@ -198,6 +263,43 @@ const FirestoreService = {
     }
   },
 
+  // Rates a finished match for a user (see engine/rating) and adds it to their rating history in
+  // artifacts/{appId}/users/{userId}/ratingHistory. `opponent` is { id, name } for a player, whose
+  // rating is read here, or { id, name, rating } for the AI Opponent. `gameId` is set online.
+  updateUserRating: async (userId, opponent, matchLength, won, gameId = null) => {
+    if (!db || !userId) {
+      console.warn("Firestore not initialized or userId missing. Cannot update user rating.");
+      return;
+    }
+    const userRef = doc(db, 'artifacts', appId, 'users', userId);
+    const historyRef = doc(collection(db, 'artifacts', appId, 'users', userId, 'ratingHistory'));
+    try {
+      await runTransaction(db, async (transaction) => {
+        const userSnap = await transaction.get(userRef);
+        const user = userSnap.exists() ? userSnap.data() : {};
+        if (gameId && user.lastRatedGame && user.lastRatedGame.gameId === gameId) return; // Already rated.
+
+        let opponentRating = opponent.rating;
+        if (opponentRating === undefined) {
+          const opponentSnap = await transaction.get(doc(db, 'artifacts', appId, 'users', opponent.id));
+          opponentRating = getRatingBefore(opponentSnap.exists() ? opponentSnap.data() : {}, gameId);
+        }
+        const rating = user.rating || INITIAL_RATING;
+        const result = rateMatch(rating, user.ratingExperience || 0, opponentRating, matchLength, won);
+
+        transaction.update(userRef, {
+          rating: result.rating,
+          ratingExperience: result.experience,
+          lastRatedGame: gameId ? { gameId, ratingBefore: rating } : null,
+        });
+        transaction.set(historyRef, createRatingHistoryEntry(result, { opponent, opponentRating, matchLength, won, gameId }));
+      });
+      console.log(`User ${userId} rating updated.`);
+    } catch (error) {
+      console.error("Error updating user rating:", error);
+    }
+  },
+
   // Fetches all user profiles in real-time using a snapshot listener.
   getUsers: (callback) => {
     if (!db) {
@@ -215,14 +317,401 @@ const FirestoreService = {
     }, (error) => {
       console.error("Error fetching users:", error);
     });
+  },
+
+  // Fetches saved match results in real-time, newest first.
+  getMatches: (callback) => {
+    if (!db) {
+      console.warn("Firestore not initialized. Cannot get matches.");
+      return () => {};
+    }
+    const matchesCollectionRef = collection(db, 'artifacts', appId, 'public', 'data', 'matches');
+    return onSnapshot(query(matchesCollectionRef), (snapshot) => {
+      const matches = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      // Timestamps come back as Firestore Timestamps; sort in memory like the rest of the app does.
+      matches.sort((a, b) => getMatchDate(b) - getMatchDate(a));
+      callback(matches);
+    }, (error) => {
+      console.error("Error fetching matches:", error);
+    });
+  },
+
+  // Creates an online game room (see engine/gameRoom) and returns its id, or null on failure.
+  createGameRoom: async (room) => {
+    if (!db) {
+      console.warn("Firestore not initialized. Cannot create a game room.");
+      return null;
+    }
+    try {
+      const roomRef = doc(collection(db, 'artifacts', appId, 'public', 'data', 'games'));
+      await setDoc(roomRef, { ...room, createdAt: new Date(), updatedAt: new Date() });
+      console.log(`Game room ${roomRef.id} created.`);
+      return roomRef.id;
+    } catch (error) {
+      console.error("Error creating game room:", error);
+      return null;
+    }
+  },
+
+  // Takes the free black seat of a waiting room, or rejoins a room the player is already in.
+  // Returns { color } with the colour to play, or { error }.
+  joinGameRoom: async (gameId, player) => {
+    if (!db) {
+      return { error: "Online play is not available without Firestore." };
+    }
+    const roomRef = doc(db, 'artifacts', appId, 'public', 'data', 'games', gameId);
+    try {
+      return await runTransaction(db, async (transaction) => {
+        const roomSnap = await transaction.get(roomRef);
+        if (!roomSnap.exists()) return { error: "There is no online game with that ID." };
+        const room = roomSnap.data();
+        const color = getRoomColor(room, player.id);
+        if (color) return { color };
+        if (room.status !== ROOM_STATUS.WAITING || room.players.black) {
+          return { error: "That online game already has two players." };
+        }
+        transaction.update(roomRef, { 'players.black': player, status: ROOM_STATUS.PLAYING, updatedAt: new Date() });
+        return { color: BLACK };
+      });
+    } catch (error) {
+      console.error("Error joining game room:", error);
+      return { error: "Could not join the online game. Please try again." };
+    }
+  },
+
+  // Listens to one game room in real-time. The callback receives null if the room does not exist.
+  getGameRoom: (gameId, callback) => {
+    if (!db) {
+      console.warn("Firestore not initialized. Cannot get game room.");
+      return () => {};
+    }
+    const roomRef = doc(db, 'artifacts', appId, 'public', 'data', 'games', gameId);
+    return onSnapshot(roomRef, (roomSnap) => {
+      callback(roomSnap.exists() ? { id: roomSnap.id, ...roomSnap.data() } : null);
+    }, (error) => {
+      console.error("Error fetching game room:", error);
+    });
+  },
+
+  updateGameRoom: async (gameId, changes) => {
+    if (!db) {
+      console.warn("Firestore not initialized. Cannot update game room.");
+      return;
+    }
+    try {
+      const roomRef = doc(db, 'artifacts', appId, 'public', 'data', 'games', gameId);
+      await updateDoc(roomRef, { ...changes, updatedAt: new Date() });
+    } catch (error) {
+      console.error("Error updating game room:", error);
+    }
+  },
+
+  // Posts a lobby offer or a direct challenge (see engine/gameRoom) and returns its id, or null on failure.
+  createInvitation: async (invitation) => {
+    if (!db) {
+      console.warn("Firestore not initialized. Cannot create an invitation.");
+      return null;
+    }
+    try {
+      const invitationRef = doc(collection(db, 'artifacts', appId, 'public', 'data', 'invitations'));
+      await setDoc(invitationRef, { ...invitation, createdAt: new Date(), updatedAt: new Date() });
+      return invitationRef.id;
+    } catch (error) {
+      console.error("Error creating invitation:", error);
+      return null;
+    }
+  },
+
+  // Fetches all invitations in real-time, newest first.
+  getInvitations: (callback) => {
+    if (!db) {
+      console.warn("Firestore not initialized. Cannot get invitations.");
+      return () => {};
+    }
+    const invitationsCollectionRef = collection(db, 'artifacts', appId, 'public', 'data', 'invitations');
+    return onSnapshot(query(invitationsCollectionRef), (snapshot) => {
+      const invitations = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      invitations.sort((a, b) => getInvitationDate(b) - getInvitationDate(a));
+      callback(invitations);
+    }, (error) => {
+      console.error("Error fetching invitations:", error);
+    });
+  },
+
+  // Accepts an open invitation: creates its game room with the inviter as white and `player` as
+  // black, both seats taken. Returns { gameId }, or { error } if the invitation is no longer open.
+  acceptInvitation: async (invitationId, player) => {
+    if (!db) {
+      return { error: "Online play is not available without Firestore." };
+    }
+    const invitationRef = doc(db, 'artifacts', appId, 'public', 'data', 'invitations', invitationId);
+    const roomRef = doc(collection(db, 'artifacts', appId, 'public', 'data', 'games'));
+    try {
+      return await runTransaction(db, async (transaction) => {
+        const invitationSnap = await transaction.get(invitationRef);
+        if (!invitationSnap.exists()) return { error: "That invitation no longer exists." };
+        const invitation = invitationSnap.data();
+        if (invitation.status !== INVITATION_STATUS.OPEN) return { error: "That invitation is no longer open." };
+        if (invitation.from.id === player.id) return { error: "You cannot accept your own invitation." };
+        if (invitation.to && invitation.to.id !== player.id) return { error: "That invitation is for another player." };
+
+        const room = createRoom(invitation.matchLength, invitation.from, {
+          blackPlayer: player, timeControl: invitation.timeControl, variant: invitation.variant,
+        });
+        transaction.set(roomRef, { ...room, createdAt: new Date(), updatedAt: new Date() });
+        transaction.update(invitationRef, {
+          status: INVITATION_STATUS.ACCEPTED, acceptedBy: player, gameId: roomRef.id, updatedAt: new Date(),
+        });
+        return { gameId: roomRef.id };
+      });
+    } catch (error) {
+      console.error("Error accepting invitation:", error);
+      return { error: "Could not accept the invitation. Please try again." };
+    }
+  },
+
+  // Declines, cancels or marks an invitation as seen.
+  updateInvitation: async (invitationId, changes) => {
+    if (!db) {
+      console.warn("Firestore not initialized. Cannot update invitation.");
+      return;
+    }
+    try {
+      const invitationRef = doc(db, 'artifacts', appId, 'public', 'data', 'invitations', invitationId);
+      await updateDoc(invitationRef, { ...changes, updatedAt: new Date() });
+    } catch (error) {
+      console.error("Error updating invitation:", error);
+    }
+  }
+};
+
+// The time a saved match finished, whether its timestamp is a Firestore Timestamp or a Date.
+const getMatchDate = (match) => {
+  if (!match.timestamp) return new Date(0);
+  return typeof match.timestamp.toDate === 'function' ? match.timestamp.toDate() : new Date(match.timestamp);
+};
+
+// A user's rating going into online game `gameId`. Both players rate an online match, each from
+// their own browser; whichever does it second finds the other's rating already updated, so the
+// rating from before the match is kept in `lastRatedGame`.
+const getRatingBefore = (user, gameId) => (
+  gameId && user.lastRatedGame && user.lastRatedGame.gameId === gameId
+    ? user.lastRatedGame.ratingBefore
+    : user.rating || INITIAL_RATING
+);
+
+// The { matchLength, playerNames, transcript } a MatchReplay needs, from a saved match record.
+const getSavedMatchReplay = (saved) => ({
+  matchLength: saved.matchLength,
+  playerNames: { white: saved.player1DisplayName, black: saved.player2DisplayName },
+  transcript: saved.transcript,
+});
+
+const getInvitationDate = (invitation) => {
+  if (!invitation.createdAt) return new Date(0);
+  return typeof invitation.createdAt.toDate === 'function' ? invitation.createdAt.toDate() : new Date(invitation.createdAt);
+};
+
+// The profile every new user starts with, in Firestore or in local storage.
+const createUserProfile = (user) => ({
+  displayName: user.displayName || 'Anonymous User',
+  email: user.email || '',
+  photoURL: user.photoURL || '',
+  createdAt: new Date(),
+  totalGamesPlayed: 0,
+  totalMatchesWon: 0,
+  totalGamesWon: 0,
+  totalGamesLost: 0,
+  winLossRatio: 0,
+  rating: INITIAL_RATING,
+  ratingExperience: 0,
+});
+
+// --- Local Storage Service (guest/offline mode) ---
+// Without a Firebase config, named local players, their matches and stats are kept in the browser's
+// localStorage behind the same interface as FirestoreService. Online play and invitations need
+// Firebase and are unavailable.
+const isLocalMode = !db;
+const LOCAL_STORAGE_PREFIX = `ttavli:${appId}:`;
+const localListeners = { users: [], matches: [] };
+
+const readLocal = (key, fallback) => {
+  try {
+    const stored = window.localStorage.getItem(LOCAL_STORAGE_PREFIX + key);
+    return stored ? JSON.parse(stored) : fallback;
+  } catch (error) {
+    console.error(`Error reading ${key} from local storage:`, error);
+    return fallback;
+  }
+};
+
+const writeLocal = (key, value) => {
+  try {
+    window.localStorage.setItem(LOCAL_STORAGE_PREFIX + key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Error writing ${key} to local storage:`, error);
   }
+  (localListeners[key] || []).forEach(listener => listener());
+};
+
+// Registers `notify` for changes to `key`, calls it once like a first snapshot, and returns the unsubscribe function.
+const listenLocal = (key, notify) => {
+  localListeners[key].push(notify);
+  setTimeout(notify, 0);
+  return () => {
+    localListeners[key] = localListeners[key].filter(listener => listener !== notify);
+  };
+};
+
+// Stands in for Firestore's increment() in local updates.
+const LOCAL_INCREMENT = '__increment';
+
+// Applies an update the way updateDoc does: dotted keys reach into nested maps.
+const applyLocalUpdate = (target, changes) => {
+  Object.entries(changes).forEach(([key, value]) => {
+    const path = key.split('.');
+    let holder = target;
+    path.slice(0, -1).forEach(part => {
+      holder[part] = holder[part] || {};
+      holder = holder[part];
+    });
+    const field = path[path.length - 1];
+    holder[field] = value && value[LOCAL_INCREMENT] !== undefined ? (holder[field] || 0) + value[LOCAL_INCREMENT] : value;
+  });
+  return target;
+};
+
+const LOCAL_ONLINE_ERROR = "Online play needs a Firebase connection.";
+
+const LocalStorageService = {
+  increment: (n) => ({ [LOCAL_INCREMENT]: n }),
+
+  // --- Local players ---
+
+  getLocalPlayers: () => Object.entries(readLocal('users', {})).map(([id, user]) => ({ id, ...user })),
+
+  // The local player signed in last, as a user object like Firebase Auth's, or null.
+  getCurrentLocalPlayer: () => {
+    const id = readLocal('currentPlayer', null);
+    const user = id && readLocal('users', {})[id];
+    return user ? { uid: id, displayName: user.displayName, photoURL: '', isAnonymous: false, isLocal: true } : null;
+  },
+
+  // Signs in the local player called `name`, creating their profile the first time.
+  signInLocalPlayer: (name) => {
+    const users = readLocal('users', {});
+    let id = Object.keys(users).find(userId => users[userId].displayName === name);
+    if (!id) {
+      id = `local-${Date.now().toString(36)}`;
+      writeLocal('users', { ...users, [id]: createUserProfile({ displayName: name }) });
+    }
+    writeLocal('currentPlayer', id);
+    return LocalStorageService.getCurrentLocalPlayer();
+  },
+
+  signOutLocalPlayer: () => {
+    writeLocal('currentPlayer', null);
+  },
+
+  // --- The FirestoreService interface ---
+
+  saveMatchResult: async (matchData) => {
+    const matches = readLocal('matches', []);
+    const id = `match-${Date.now().toString(36)}`;
+    writeLocal('matches', [...matches, { ...matchData, id, timestamp: new Date() }]);
+    console.log("Match result saved locally.");
+  },
+
+  updateUserStats: async (userId, statsUpdate) => {
+    const users = readLocal('users', {});
+    if (!users[userId]) {
+      console.warn(`No local player ${userId}. Cannot update user stats.`);
+      return;
+    }
+    writeLocal('users', { ...users, [userId]: applyLocalUpdate(users[userId], statsUpdate) });
+  },
+
+  updateUserRating: async (userId, opponent, matchLength, won, gameId = null) => {
+    const users = readLocal('users', {});
+    const user = users[userId];
+    if (!user) {
+      console.warn(`No local player ${userId}. Cannot update user rating.`);
+      return;
+    }
+    const opponentRating = opponent.rating !== undefined ? opponent.rating : getRatingBefore(users[opponent.id] || {}, gameId);
+    const result = rateMatch(user.rating || INITIAL_RATING, user.ratingExperience || 0, opponentRating, matchLength, won);
+    writeLocal('users', { ...users, [userId]: { ...user, rating: result.rating, ratingExperience: result.experience } });
+    const history = readLocal(`ratingHistory:${userId}`, []);
+    writeLocal(`ratingHistory:${userId}`, [
+      ...history,
+      createRatingHistoryEntry(result, { opponent, opponentRating, matchLength, won, gameId }),
+    ]);
+  },
+
+  getUsers: (callback) => listenLocal('users', () => {
+    callback(LocalStorageService.getLocalPlayers());
+  }),
+
+  getMatches: (callback) => listenLocal('matches', () => {
+    const matches = readLocal('matches', []);
+    matches.sort((a, b) => getMatchDate(b) - getMatchDate(a));
+    callback(matches);
+  }),
+
+  createGameRoom: async () => null,
+
+  joinGameRoom: async () => ({ error: LOCAL_ONLINE_ERROR }),
+
+  getGameRoom: (gameId, callback) => {
+    setTimeout(() => callback(null), 0);
+    return () => {};
+  },
+
+  updateGameRoom: async () => {},
+
+  createInvitation: async () => null,
+
+  getInvitations: (callback) => {
+    setTimeout(() => callback([]), 0);
+    return () => {};
+  },
+
+  acceptInvitation: async () => ({ error: LOCAL_ONLINE_ERROR }),
+
+  updateInvitation: async () => {}
+};
+
+// The service the app reads and writes its data through.
+const DataService = isLocalMode ? LocalStorageService : FirestoreService;
+
+// --- Saved Match ---
+// The match a player is playing against the AI Opponent is kept in this browser's local storage and
+// rewritten after every change, so a reload or a visit to another page does not lose it:
+//   { board, dice, availableDice, currentPlayer, moveHistory, match, cube, pendingDouble, openingRoll,
+//     transcript, computerDifficulty, diceRolls }
+// `moveHistory` holds the moves already made this turn, which go into the transcript when it ends.
+// `diceRolls` are the dice used so far. The seed stays in memory only, since anyone can read local
+// storage; a resumed match carries on with a new seed and commitment.
+const getSavedMatch = (userId) => (userId ? readLocal(`savedMatch:${userId}`, null) : null);
+
+const saveMatchSnapshot = (userId, snapshot) => writeLocal(`savedMatch:${userId}`, snapshot);
+
+const clearSavedMatch = (userId) => {
+  if (userId) writeLocal(`savedMatch:${userId}`, null);
 };
 
 // --- Game Components ---
 
 // Dice Component: Displays dice values and a roll button with animation.
-const Dice = ({ dice, setDice, rollDice, disabled }) => {
+// When `canDouble` is set, a "Double" button offering the cube is shown next to it.
+// During the opening roll (`openingRoll` is set) each side's single die is shown and the button
+// throws one die for `openingRollColor`, passing its value to `rollDice`.
+// The values come from `drawDice(count)` (the match's dice service), never from Math.random.
+// When `onChooseDouble` is given the player is picking the double of an Acey-deucey bonus, and a
+// button for each double calls it with the chosen value.
+const Dice = ({ dice, setDice, rollDice, drawDice, disabled, canDouble, onDouble, openingRoll, openingRollColor, onChooseDouble }) => {
   const [isRolling, setIsRolling] = useState(false);
+  const [rollingFace, setRollingFace] = useState(null); // Face shown while the opening die tumbles.
 
   useEffect(() => {
     return () => {
@@ -236,24 +725,32 @@ const Dice = ({ dice, setDice, rollDice, disabled }) => {
 
     setIsRolling(true);
 
+    // The result is drawn up front; the tumbling faces are derived from it so the animation
+    // takes nothing from the seeded sequence.
+    const [finalDie1, finalDie2] = drawDice(openingRoll ? 1 : 2);
+    const tumble = (die, step) => ((die + step * 5) % 6) + 1;
+
     // Simulate rolling animation by rapidly changing dice numbers
     let rollCount = 0;
     const maxRolls = 15;
     const rollInterval = 50;
-    let finalDie1, finalDie2;
 
     const animateRoll = setInterval(() => {
         if (rollCount < maxRolls) {
-            setDice([
-                Math.floor(Math.random() * 6) + 1,
-                Math.floor(Math.random() * 6) + 1
-            ]);
+            if (openingRoll) {
+                setRollingFace(tumble(finalDie1, rollCount));
+            } else {
+                setDice([tumble(finalDie1, rollCount), tumble(finalDie2, rollCount + 2)]);
+            }
             rollCount++;
         } else {
             clearInterval(animateRoll);
             setIsRolling(false);
-            finalDie1 = Math.floor(Math.random() * 6) + 1;
-            finalDie2 = Math.floor(Math.random() * 6) + 1;
+            if (openingRoll) {
+                setRollingFace(null);
+                rollDice(finalDie1);
+                return;
+            }
             setDice([finalDie1, finalDie2]);
             rollDice(finalDie1, finalDie2);
         }
@@ -263,21 +760,475 @@ const Dice = ({ dice, setDice, rollDice, disabled }) => {
   return (
     <div className="flex flex-col items-center p-4 bg-gray-100 rounded-lg shadow-inner">
       <h3 className="text-xl font-bold text-gray-800 mb-3">Dice</h3>
+      {openingRoll && (
+        <div className="flex justify-center gap-6 mb-3">
+          {['white', 'black'].map(color => (
+            <div key={color} className="flex flex-col items-center">
+              <span className="text-sm font-medium text-gray-600 mb-1">{color === 'white' ? 'White' : 'Black'}</span>
+              <div className={`w-10 h-10 flex items-center justify-center rounded-md border border-gray-400 text-xl font-bold shadow-sm ${
+                color === 'white' ? 'bg-white text-gray-900' : 'bg-gray-900 text-white'
+              }`}>
+                {(color === openingRollColor && rollingFace) || openingRoll[color] || '?'}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+      <div className="flex flex-wrap justify-center gap-2">
+        <button
+          onClick={handleRollDice}
+          disabled={disabled || isRolling}
+          className={`px-6 py-2 rounded-full font-semibold shadow-md transition-all duration-200 ${
+            disabled || isRolling ? 'bg-gray-300 text-gray-600 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700 text-white transform hover:scale-105'
+          }`}
+        >
+          {isRolling ? 'Rolling...' : (openingRoll ? 'Roll Opening Die' : 'Roll Dice')}
+        </button>
+        {canDouble && (
+          <button
+            onClick={onDouble}
+            disabled={isRolling}
+            className="px-6 py-2 rounded-full font-semibold shadow-md transition-all duration-200 bg-amber-500 hover:bg-amber-600 text-white transform hover:scale-105"
+          >
+            Double
+          </button>
+        )}
+      </div>
+      {onChooseDouble && (
+        <div className="flex flex-col items-center mt-3">
+          <span className="text-sm font-medium text-gray-700 mb-2">Acey-deucey! Choose a double:</span>
+          <div className="flex flex-wrap justify-center gap-2">
+            {DOUBLE_CHOICES.map(value => (
+              <button
+                key={value}
+                onClick={() => onChooseDouble(value)}
+                className="px-3 py-1 rounded-full font-semibold shadow-md bg-emerald-600 hover:bg-emerald-700 text-white"
+              >
+                {value}-{value}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Saves a match ({ matchLength, playerNames, transcript }) as a .mat file through a temporary download link.
+const downloadMatFile = (match, fileName) => {
+  const blob = new Blob([exportMatFile(match)], { type: 'text/plain' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Move List Component: The match transcript, game by game, scrolled to the latest entry.
+// When `onExport` is given, an "Export .mat" button is shown in the heading.
+const MoveList = ({ transcript, onExport }) => {
+  const listEndRef = useRef(null);
+
+  useEffect(() => {
+    if (listEndRef.current && listEndRef.current.scrollIntoView) {
+      listEndRef.current.scrollIntoView({ block: 'nearest' });
+    }
+  }, [transcript]);
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg shadow-inner">
+      <div className="flex justify-between items-center mb-2">
+        <h4 className="text-md font-bold text-gray-700">Move List</h4>
+        {onExport && (
+          <button
+            onClick={onExport}
+            className="text-xs bg-blue-600 hover:bg-blue-700 text-white font-semibold py-1 px-2 rounded-md shadow-sm transition-colors"
+          >
+            Export .mat
+          </button>
+        )}
+      </div>
+      <div className="max-h-72 overflow-y-auto text-sm font-mono">
+        {transcript.games.map(game => (
+          <div key={game.number} className="mb-3">
+            <p className="font-sans font-semibold text-gray-800">Game {game.number}</p>
+            <ol className="list-decimal list-inside text-gray-700">
+              {game.entries.map((entry, index) => (
+                <li key={index} className={entry.player === 'white' ? '' : 'text-gray-500'}>
+                  {describeTranscriptEntry(entry)}
+                </li>
+              ))}
+            </ol>
+            {game.result && (
+              <p className="font-sans font-semibold text-green-700">
+                {describeGameResult(game.result)} — {game.result.score.white}-{game.result.score.black}
+              </p>
+            )}
+          </div>
+        ))}
+        <div ref={listEndRef} />
+      </div>
+    </div>
+  );
+};
+
+// GNU Backgammon ID Panel: The current Position ID and Match ID with copy buttons, and a field to
+// paste an ID (`PositionID:MatchID` or a Position ID alone) to load as a practice game.
+const GnubgIdPanel = ({ positionId, matchId, onCopy, idInput, onIdInputChange, onLoad }) => (
+  <div className="mt-4 p-4 bg-gray-50 rounded-lg shadow-inner text-sm">
+    {positionId && (
+      <div className="flex flex-col gap-1 mb-3">
+        {[['Position ID', positionId], ['Match ID', matchId], ['GNUbg ID', `${positionId}:${matchId}`]].map(([label, value]) => (
+          <div key={label} className="flex items-center gap-2">
+            <span className="w-24 font-semibold text-gray-700">{label}:</span>
+            <code className="font-mono text-gray-800 break-all select-all">{value}</code>
+            <button
+              onClick={() => onCopy(value)}
+              className="ml-auto text-xs bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold py-1 px-2 rounded-md transition-colors"
+            >
+              Copy
+            </button>
+          </div>
+        ))}
+      </div>
+    )}
+    <div className="flex gap-2">
+      <input
+        type="text"
+        value={idInput}
+        onChange={(e) => onIdInputChange(e.target.value)}
+        placeholder="Paste a Position ID or PositionID:MatchID"
+        className="flex-1 p-2 border border-gray-300 rounded-lg bg-white shadow-sm font-mono focus:outline-none focus:ring-2 focus:ring-blue-400"
+      />
       <button
-        onClick={handleRollDice}
-        disabled={disabled || isRolling}
-        className={`px-6 py-2 rounded-full font-semibold shadow-md transition-all duration-200 ${
-          disabled || isRolling ? 'bg-gray-300 text-gray-600 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700 text-white transform hover:scale-105'
-        }`}
+        onClick={onLoad}
+        disabled={!idInput.trim()}
+        className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg shadow-sm transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
       >
-        {isRolling ? 'Rolling...' : 'Roll Dice'}
+        Load Position
       </button>
     </div>
+  </div>
+);
+
+// Position Editor Panel: Tools for setting up a position on the board. Clicking a point, the bar or
+// a tray adds or removes a checker of the chosen colour; the side on roll and the dice are set here too.
+const PositionEditorPanel = ({ editor, onChange, onClear, onReset, onStart, onCancel }) => {
+  const toolButton = (active) => `py-1 px-3 rounded-md font-semibold transition-colors ${active ? 'bg-blue-600 text-white' : 'bg-gray-200 hover:bg-gray-300 text-gray-800'}`;
+  const setDie = (index, value) => onChange({ dice: index === 0 ? [value, editor.dice[1]] : [editor.dice[0], value] });
+
+  return (
+    <div className="mt-4 p-4 bg-gray-50 rounded-lg shadow-inner text-sm flex flex-col gap-3">
+      <h4 className="text-md font-bold text-gray-700">Edit Position</h4>
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-semibold text-gray-700">Checker:</span>
+        {[WHITE, BLACK].map(color => (
+          <button key={color} onClick={() => onChange({ color })} className={toolButton(editor.color === color)}>
+            {color === WHITE ? 'White' : 'Black'} ({countSideCheckers(editor.position, color)}/15)
+          </button>
+        ))}
+        <span className="font-semibold text-gray-700 ml-4">Click to:</span>
+        {[['add', 'Add'], ['remove', 'Remove']].map(([action, label]) => (
+          <button key={action} onClick={() => onChange({ action })} className={toolButton(editor.action === action)}>
+            {label}
+          </button>
+        ))}
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <label htmlFor="editor-on-roll" className="font-semibold text-gray-700">On roll:</label>
+        <select
+          id="editor-on-roll"
+          value={editor.playerOnRoll}
+          onChange={(e) => onChange({ playerOnRoll: e.target.value })}
+          className="p-1 border border-gray-300 rounded-md bg-white"
+        >
+          <option value={WHITE}>White</option>
+          <option value={BLACK}>Black</option>
+        </select>
+        <span className="font-semibold text-gray-700 ml-4">Dice:</span>
+        {[0, 1].map(index => (
+          <select
+            key={index}
+            aria-label={`Die ${index + 1}`}
+            value={editor.dice[index]}
+            onChange={(e) => setDie(index, parseInt(e.target.value))}
+            className="p-1 border border-gray-300 rounded-md bg-white"
+          >
+            <option value={0}>-</option>
+            {[1, 2, 3, 4, 5, 6].map(value => <option key={value} value={value}>{value}</option>)}
+          </select>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-2">
+        <button onClick={onClear} className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold py-2 px-4 rounded-lg transition-colors">
+          Clear Board
+        </button>
+        <button onClick={onReset} className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold py-2 px-4 rounded-lg transition-colors">
+          Starting Position
+        </button>
+        <button onClick={() => onStart(false)} className="bg-purple-600 hover:bg-purple-700 text-white font-semibold py-2 px-4 rounded-lg shadow-sm transition-colors">
+          Play vs AI
+        </button>
+        <button onClick={() => onStart(true)} className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg shadow-sm transition-colors">
+          Analyse (play both sides)
+        </button>
+        <button onClick={onCancel} className="ml-auto bg-red-500 hover:bg-red-600 text-white font-semibold py-2 px-4 rounded-lg transition-colors">
+          Close Editor
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Online Game Panel: Creates a game room or joins one by its ID, and shows the room while in it.
+const OnlineGamePanel = ({ onlineGame, onlineRoom, joinGameId, onJoinGameIdChange, onCreate, onJoin, onLeave }) => {
+  const opponent = onlineGame && onlineRoom ? onlineRoom.players[onlineGame.color === WHITE ? BLACK : WHITE] : null;
+
+  return (
+    <div className="w-full max-w-xl p-4 bg-indigo-50 rounded-lg shadow-inner text-sm">
+      <h3 className="text-lg font-bold text-indigo-700 mb-2">Online Play</h3>
+      {onlineGame ? (
+        <div className="flex flex-col gap-2">
+          <p className="text-gray-700">
+            Game ID: <code className="font-mono select-all">{onlineGame.gameId}</code>
+          </p>
+          <p className="text-gray-700">
+            You play {onlineGame.color === WHITE ? 'White' : 'Black'}{opponent ? ` against ${opponent.name}` : ''}.
+          </p>
+          {onlineRoom && (
+            <p className="text-gray-700">
+              Game: {getVariantLabel(onlineRoom.variant)} · Time: {describeTimeControl(onlineRoom.timeControl)}
+            </p>
+          )}
+          {onlineRoom && onlineRoom.status === ROOM_STATUS.WAITING && (
+            <p className="text-indigo-700 font-semibold">Waiting for an opponent. Share the game ID so they can join.</p>
+          )}
+          <button
+            onClick={onLeave}
+            className="self-start bg-red-500 hover:bg-red-600 text-white font-semibold py-2 px-4 rounded-lg transition-colors"
+          >
+            Leave Online Game
+          </button>
+        </div>
+      ) : (
+        <div className="flex flex-col gap-2">
+          <button
+            onClick={onCreate}
+            className="self-start bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-2 px-4 rounded-lg shadow-sm transition-colors"
+          >
+            Create Online Game
+          </button>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={joinGameId}
+              onChange={(e) => onJoinGameIdChange(e.target.value)}
+              placeholder="Game ID to join"
+              className="flex-1 p-2 border border-gray-300 rounded-lg bg-white shadow-sm font-mono focus:outline-none focus:ring-2 focus:ring-indigo-400"
+            />
+            <button
+              onClick={onJoin}
+              disabled={!joinGameId.trim()}
+              className="bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-2 px-4 rounded-lg shadow-sm transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Join
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Match Replay Component: Steps a read-only board through a match ({ matchLength, playerNames, transcript }).
+const REPLAY_SPEEDS = [
+  { label: 'Slow', delay: 2000 },
+  { label: 'Normal', delay: 1000 },
+  { label: 'Fast', delay: 400 },
+];
+
+const MatchReplay = ({ match }) => {
+  const frames = useMemo(() => buildReplayFrames(match.transcript), [match]);
+  const [step, setStep] = useState(0);
+  const [isAutoplaying, setIsAutoplaying] = useState(false);
+  const [autoplayDelay, setAutoplayDelay] = useState(REPLAY_SPEEDS[1].delay);
+
+  useEffect(() => {
+    setStep(0);
+    setIsAutoplaying(false);
+  }, [frames]);
+
+  // Autoplay steps forward on a timer and stops by itself at the last step.
+  useEffect(() => {
+    if (!isAutoplaying) return;
+    if (step >= frames.length - 1) {
+      setIsAutoplaying(false);
+      return;
+    }
+    const autoplayTimer = setTimeout(() => setStep(prevStep => prevStep + 1), autoplayDelay);
+    return () => clearTimeout(autoplayTimer);
+  }, [isAutoplaying, step, frames, autoplayDelay]);
+
+  // The step each game starts at, for jumping straight to it.
+  const gameStarts = useMemo(() => getGameStarts(frames), [frames]);
+
+  const frame = frames[Math.min(step, frames.length - 1)];
+  if (!frame) {
+    return <p className="text-center text-gray-600">This match has no moves to replay.</p>;
+  }
+
+  return (
+    <div className="flex flex-col md:flex-row gap-6 items-start">
+      <div className="w-full md:w-3/4">
+        <BackgammonBoard
+          board={frame.position}
+          currentPlayer={frame.player || 'white'}
+          onPointClick={() => {}}
+          selectedPoint={null}
+          possibleMovePoints={[]}
+          currentDiceValues={frame.dice}
+          cube={isCubeUsed(match.transcript.variant, frame.gameNumber) ? frame.cube : null}
+          variant={getVariant(frame.variant)}
+        />
+      </div>
+      <div className="w-full md:w-1/4 flex flex-col gap-4">
+        <div className="p-4 bg-green-50 rounded-lg shadow-inner">
+          <h3 className="text-lg font-bold text-green-700 mb-1">
+            {match.playerNames.white} vs {match.playerNames.black}
+          </h3>
+          <p className="text-sm text-gray-600">
+            {match.matchLength} point {getVariantLabel(match.transcript.variant)} match · Game {frame.gameNumber}
+            {match.transcript.variant === TAVLI ? ` (${getVariantLabel(frame.variant)})` : ''}
+          </p>
+          <p className="text-sm text-gray-600">Score: {frame.score.white} - {frame.score.black}</p>
+          <p className="text-sm text-gray-600">Dice: {frame.dice[0] !== 0 ? frame.dice.join('-') : '-'}</p>
+          <p className="text-md font-mono text-gray-800 mt-3">{frame.description}</p>
+          <p className="text-xs text-gray-500 mt-1">Step {step + 1} of {frames.length}</p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setStep(prevStep => Math.max(prevStep - 1, 0))}
+            disabled={step === 0}
+            className="flex-1 bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-md shadow-sm transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Previous
+          </button>
+          <button
+            onClick={() => setStep(prevStep => Math.min(prevStep + 1, frames.length - 1))}
+            disabled={step === frames.length - 1}
+            className="flex-1 bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-md shadow-sm transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Next
+          </button>
+        </div>
+        <div className="p-4 bg-gray-50 rounded-lg shadow-inner flex flex-col gap-3 text-sm">
+          <label className="flex items-center gap-2">
+            <span className="font-semibold text-gray-700 w-16">Game:</span>
+            <select
+              value={frame.gameNumber}
+              onChange={(e) => {
+                const start = gameStarts.find(candidate => candidate.gameNumber === parseInt(e.target.value));
+                if (start) setStep(start.step);
+              }}
+              className="flex-1 p-1 border border-gray-300 rounded-md bg-white"
+            >
+              {gameStarts.map(({ gameNumber }) => (
+                <option key={gameNumber} value={gameNumber}>Game {gameNumber}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            <span className="font-semibold text-gray-700 w-16">Speed:</span>
+            <select
+              value={autoplayDelay}
+              onChange={(e) => setAutoplayDelay(parseInt(e.target.value))}
+              className="flex-1 p-1 border border-gray-300 rounded-md bg-white"
+            >
+              {REPLAY_SPEEDS.map(speed => (
+                <option key={speed.label} value={speed.delay}>{speed.label}</option>
+              ))}
+            </select>
+          </label>
+          <button
+            onClick={() => {
+              if (!isAutoplaying && step >= frames.length - 1) setStep(0);
+              setIsAutoplaying(!isAutoplaying);
+            }}
+            className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-md shadow-sm transition-colors"
+          >
+            {isAutoplaying ? 'Pause' : 'Autoplay'}
+          </button>
+        </div>
+        <MoveList
+          transcript={match.transcript}
+          onExport={canExportMatFile(match.transcript.variant) ? () => downloadMatFile(match, 'match.mat') : undefined}
+        />
+      </div>
+    </div>
   );
 };
 
 // Backgammon Board Component: Renders the SVG-based backgammon board.
-const BackgammonBoard = ({ board, currentPlayer, onPointClick, selectedPoint, possibleMovePoints, currentDiceValues }) => {
+// Optional information drawn over the board, each switchable in the match settings.
+const BOARD_OVERLAYS = [
+  { id: 'pipCounts', label: 'Pip counts' },
+  { id: 'raceIndicator', label: 'Race indicator' },
+  { id: 'trayCounts', label: 'Checkers left in the trays' },
+];
+const DEFAULT_BOARD_OVERLAYS = { pipCounts: true, raceIndicator: true, trayCounts: true };
+
+// How long a checker takes to glide to its new place, and how many checkers may change places at
+// once for the change to be animated; a new game or a jump in a replay is simply redrawn.
+const MOVE_ANIMATION_MS = 300;
+const MAX_ANIMATED_CHECKERS = 8;
+// How far (in board units) the pointer must travel before pressing a checker becomes a drag.
+const DRAG_THRESHOLD = 6;
+
+// Every place that can hold checkers of `color`, as [location, checkers of that colour, stack height]:
+// the points, the bar, the side's tray and, in Acey-deucey, the checkers still to enter.
+const getCheckerLocations = (board, color) => [
+  ...board.points.map((point, index) => {
+    const count = point.checkers.filter(checker => checker === color).length;
+    return [index + 1, count, point.checkers.length];
+  }),
+  [BAR, board.bar[color], board.bar[color]],
+  [getBearOffPoint(color), board.home[color], board.home[color]],
+  [ENTRY, countCheckersToEnter(board, color), countCheckersToEnter(board, color)],
+];
+
+// The checkers that changed places between two boards, as { color, from, fromIndex, to, toIndex }
+// where the indices are places in the stacks. Checkers that only appeared or disappeared, as in
+// the position editor, are left out.
+const getMovedCheckers = (previous, next) => {
+  const moved = [];
+  [WHITE, BLACK].forEach(color => {
+    const after = getCheckerLocations(next, color);
+    const sources = [];
+    const targets = [];
+    getCheckerLocations(previous, color).forEach(([location, count, height], index) => {
+      const [, nextCount, nextHeight] = after[index];
+      for (let k = 0; k < count - nextCount; k++) sources.push({ location, index: height - 1 - k });
+      for (let k = 0; k < nextCount - count; k++) targets.push({ location, index: nextHeight - 1 - k });
+    });
+    sources.slice(0, targets.length).forEach((source, index) => moved.push({
+      color, from: source.location, fromIndex: source.index, to: targets[index].location, toIndex: targets[index].index,
+    }));
+  });
+  return moved.length <= MAX_ANIMATED_CHECKERS ? moved : [];
+};
+
+// In `editMode` the bar and the trays are clickable too: `onPointClick` receives BAR, 0 or 25 for them.
+// Acey-deucey checkers still to enter wait in their side's tray; clicking them passes ENTRY.
+// With `onCheckerDragStart` the side to move can also drag its checkers, with the mouse or by touch:
+// it is called with the checker's location once a drag begins, and a drop on one of the
+// `possibleMovePoints` is passed to `onPointClick` like a click on it. Checkers that change places
+// glide to their new ones.
+// `overlays` turns on the BOARD_OVERLAYS by id; none are drawn without it. `variant` decides how the pips are counted.
+const BackgammonBoard = ({
+  board, currentPlayer, onPointClick, selectedPoint, possibleMovePoints, currentDiceValues, cube, openingRoll, editMode, overlays = {},
+  variant = getVariant(), onCheckerDragStart,
+}) => {
   // Define constants for board dimensions and checker size.
   const pointHeight = 250;
   const checkerRadius = 15;
@@ -330,12 +1281,186 @@ const BackgammonBoard = ({ board, currentPlayer, onPointClick, selectedPoint, po
   const barFill = "url(#darkLeatherTexture)";
   const bearOffFill = "url(#darkLeatherTexture)";
 
+  // Race information for the overlays. The side with fewer pips to go is ahead.
+  const whitePips = getPipCount(board, 'white', variant.getPath('white'));
+  const blackPips = getPipCount(board, 'black', variant.getPath('black'));
+  const pipDifference = Math.abs(whitePips - blackPips);
+  const pipLeader = whitePips < blackPips ? 'White' : 'Black';
+  const isRace = !variant.hasContact(board);
+
+  // Click handler for the bar and tray checkers, which only react while editing.
+  const editClick = (location) => (editMode ? () => onPointClick(location) : undefined);
+
+  // Left edge of the point drawn at `indexInHalf`, and the centres of the bar and of each side's tray.
+  const getPointX = (indexInHalf) => pointWidth * indexInHalf + (indexInHalf < 6 ? 0 : barWidth) + bearOffAreaWidth;
+  const barCenterX = halfBoardSectionWidth + barWidth / 2 + bearOffAreaWidth;
+  const getTrayCenterX = (color) => (color === 'white' ? bearOffAreaWidth / 2 : boardWidth + barWidth + bearOffAreaWidth + bearOffAreaWidth / 2);
+
+  // Centre of the checker of `color` drawn `index`-th from the edge at `location`. Points and the
+  // bar show five checkers at most, so any further ones sit on the fifth.
+  const getCheckerCenter = (location, color, index) => {
+    if (location === ENTRY || isBearOffPoint(location)) {
+      return {
+        x: getTrayCenterX(color),
+        y: color === 'white' ? boardHeight - checkerRadius - (index * checkerRadius * 2) - 5 : checkerRadius + (index * checkerRadius * 2) + 5,
+      };
+    }
+    const slot = Math.min(index, 4);
+    if (location === BAR) {
+      return {
+        x: barCenterX,
+        y: color === 'white' ? boardHeight / 2 - checkerRadius - (slot * checkerRadius * 2) : boardHeight / 2 + checkerRadius + (slot * checkerRadius * 2),
+      };
+    }
+    const { isTop, indexInHalf } = visualPointMapping.find(pointData => pointData.gamePoint === location);
+    return {
+      x: getPointX(indexInHalf) + pointWidth / 2,
+      y: isTop ? (slot * checkerRadius * 2) + checkerRadius : boardHeight - checkerRadius - (slot * checkerRadius * 2),
+    };
+  };
+
+  // The location under a spot on the board: a point, the bar or a tray (0 or 25).
+  const getLocationAt = ({ x, y }) => {
+    if (x < bearOffAreaWidth) return 0;
+    if (x >= boardWidth + barWidth + bearOffAreaWidth) return 25;
+    const rightHalfX = bearOffAreaWidth + halfBoardSectionWidth + barWidth;
+    if (x >= rightHalfX - barWidth && x < rightHalfX) return BAR;
+    const indexInHalf = x >= rightHalfX ? 6 + Math.floor((x - rightHalfX) / pointWidth) : Math.floor((x - bearOffAreaWidth) / pointWidth);
+    const isTop = y < boardHeight / 2;
+    return visualPointMapping.find(pointData => pointData.isTop === isTop && pointData.indexInHalf === indexInHalf).gamePoint;
+  };
+
+  // Checkers that changed places fly from their old spots to their new ones, where the checkers
+  // already drawn stay hidden until they land.
+  const [flights, setFlights] = useState([]);
+  const previousBoardRef = useRef(board);
+  const dropSpotRef = useRef(null); // Where a dragged checker was let go: its flight starts there.
+  useLayoutEffect(() => {
+    const previous = previousBoardRef.current;
+    const dropSpot = dropSpotRef.current;
+    previousBoardRef.current = board;
+    dropSpotRef.current = null;
+    if (previous === board) return undefined;
+
+    const moved = getMovedCheckers(previous, board);
+    const droppedIndex = dropSpot ? moved.findIndex(checker => checker.color === dropSpot.color) : -1;
+    setFlights(moved.map((checker, index) => ({ ...checker, id: index, start: index === droppedIndex ? dropSpot : null, started: false })));
+    if (moved.length === 0) return undefined;
+
+    // The second frame makes sure the checkers were drawn at their old spots before they set off.
+    let frame = requestAnimationFrame(() => {
+      frame = requestAnimationFrame(() => setFlights(current => current.map(flight => ({ ...flight, started: true }))));
+    });
+    const landingTimer = setTimeout(() => setFlights([]), MOVE_ANIMATION_MS + 50);
+    return () => {
+      cancelAnimationFrame(frame);
+      clearTimeout(landingTimer);
+    };
+  }, [board]);
+
+  // Drag and drop. A press on a checker of the side to move only becomes a drag once the pointer
+  // has travelled DRAG_THRESHOLD; a shorter press is left to the click that follows it.
+  const svgRef = useRef(null);
+  const [drag, setDrag] = useState(null); // { from, color, pointerId, origin, spot, moved }
+  const suppressClickRef = useRef(false); // Swallows the click a browser may send after a drop.
+  const canDrag = Boolean(onCheckerDragStart) && !editMode;
+  // Checkers on the bar have to move first.
+  const canDragFromBoard = canDrag && board.bar[currentPlayer] === 0;
+
+  // The pointer position in board units, or null where the browser cannot tell.
+  const toBoardSpot = (event) => {
+    const svg = svgRef.current;
+    const matrix = svg && svg.getScreenCTM && svg.getScreenCTM();
+    if (!matrix) return null;
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    const { x, y } = point.matrixTransform(matrix.inverse());
+    return { x, y };
+  };
+
+  const startDrag = (event, from, color) => {
+    if (event.button > 0) return;
+    const spot = toBoardSpot(event);
+    if (!spot) return;
+    if (svgRef.current.setPointerCapture) svgRef.current.setPointerCapture(event.pointerId);
+    setDrag({ from, color, pointerId: event.pointerId, origin: spot, spot, moved: false });
+  };
+
+  const moveDrag = (event) => {
+    if (!drag || event.pointerId !== drag.pointerId) return;
+    const spot = toBoardSpot(event);
+    if (!spot) return;
+    const moved = drag.moved || Math.hypot(spot.x - drag.origin.x, spot.y - drag.origin.y) > DRAG_THRESHOLD;
+    if (moved && !drag.moved) onCheckerDragStart(drag.from);
+    setDrag({ ...drag, spot, moved });
+  };
+
+  // A drop plays the move only on one of the highlighted targets; anywhere else the checker goes back.
+  const endDrag = (event) => {
+    if (!drag || event.pointerId !== drag.pointerId) return;
+    setDrag(null);
+    if (!drag.moved) return;
+    suppressClickRef.current = true;
+    const spot = toBoardSpot(event) || drag.spot;
+    const target = getLocationAt(spot);
+    if (event.type === 'pointerup' && possibleMovePoints.includes(target)) {
+      dropSpotRef.current = { ...spot, color: drag.color };
+      onPointClick(target);
+    }
+  };
+
+  // Handlers that let a checker of `color` at `location` be dragged, when it may be.
+  const getDragProps = (draggable, location, color) => (draggable
+    ? { onPointerDown: (event) => startDrag(event, location, color), style: { touchAction: 'none' } }
+    : {});
+
+  // Checkers hidden while they are on their way somewhere, counted by colour and location: the top
+  // ones of each stack.
+  const hiddenCheckers = {};
+  const hideChecker = (color, location) => {
+    const key = `${color}:${location}`;
+    hiddenCheckers[key] = (hiddenCheckers[key] || 0) + 1;
+  };
+  flights.forEach(flight => hideChecker(flight.color, flight.to));
+  if (drag && drag.moved) hideChecker(drag.color, drag.from);
+  const isCheckerHidden = (color, location, index, stackHeight) =>
+    index >= stackHeight - (hiddenCheckers[`${color}:${location}`] || 0);
+
+  // During the opening roll the dice area shows each side's single die in its own colour.
+  const leftDie = openingRoll
+      ? { value: openingRoll.white, fill: 'white', textColor: 'black' }
+      : { value: currentDiceValues[0], fill: 'white', textColor: 'black' };
+  const rightDie = openingRoll
+      ? { value: openingRoll.black, fill: '#111111', textColor: 'white' }
+      : { value: currentDiceValues[1], fill: 'white', textColor: 'black' };
+
+  // The doubling cube sits in the middle of the bar while centered and moves to its owner's end once taken.
+  const cubeSize = 36;
+  const cubeX = halfBoardSectionWidth + bearOffAreaWidth + barWidth / 2 - cubeSize / 2;
+  let cubeY = boardHeight / 2 - cubeSize - 6;
+  if (cube && cube.owner === 'white') {
+      cubeY = 8;
+  } else if (cube && cube.owner === 'black') {
+      cubeY = boardHeight - cubeSize - 8;
+  }
+
   return (
     <div className="relative w-full aspect-[1.8/1] bg-brown-900 rounded-lg shadow-2xl overflow-hidden border-8 border-brown-950">
       <svg
+        ref={svgRef}
         viewBox={`0 0 ${boardWidth + barWidth + (bearOffAreaWidth * 2)} ${boardHeight}`} // Adjust viewBox for new areas
         className="w-full h-full"
         preserveAspectRatio="xMidYMid meet"
+        onPointerDownCapture={() => { suppressClickRef.current = false; }}
+        onPointerMove={moveDrag}
+        onPointerUp={endDrag}
+        onPointerCancel={endDrag}
+        onClickCapture={(event) => {
+          if (!suppressClickRef.current) return;
+          suppressClickRef.current = false;
+          event.stopPropagation();
+        }}
       >
         <defs>
           {/* White Marble Pattern */}
@@ -380,19 +1505,23 @@ const BackgammonBoard = ({ board, currentPlayer, onPointClick, selectedPoint, po
           x="0" y="0" width={bearOffAreaWidth} height={boardHeight}
           fill={bearOffFill} stroke="#3d2812" strokeWidth="2"
           onClick={() => onPointClick(0)} // Point 0 for white's bear-off area
-          className={possibleMovePoints.includes(0) && currentPlayer === 'white' ? 'stroke-lime-500 stroke-4 cursor-pointer' : ''}
+          className={possibleMovePoints.includes(0) && currentPlayer === 'white' ? 'stroke-lime-500 stroke-4 cursor-pointer' : (editMode ? 'cursor-pointer' : '')}
         />
         {/* Right bear-off area (for black checkers borne off) */}
         <rect
           x={boardWidth + barWidth + bearOffAreaWidth} y="0" width={bearOffAreaWidth} height={boardHeight}
           fill={bearOffFill} stroke="#3d2812" strokeWidth="2"
           onClick={() => onPointClick(25)} // Point 25 for black's bear-off area
-          className={possibleMovePoints.includes(25) && currentPlayer === 'black' ? 'stroke-lime-500 stroke-4 cursor-pointer' : ''}
+          className={possibleMovePoints.includes(25) && currentPlayer === 'black' ? 'stroke-lime-500 stroke-4 cursor-pointer' : (editMode ? 'cursor-pointer' : '')}
         />
 
 
         {/* Bar in the middle of the board, shifted right */}
-        <rect x={halfBoardSectionWidth + bearOffAreaWidth} y="0" width={barWidth} height={boardHeight} fill={barFill} stroke="#3d2812" strokeWidth="2" />
+        <rect
+          x={halfBoardSectionWidth + bearOffAreaWidth} y="0" width={barWidth} height={boardHeight} fill={barFill} stroke="#3d2812" strokeWidth="2"
+          onClick={editClick(BAR)}
+          className={editMode ? 'cursor-pointer' : ''}
+        />
 
         {/* Render points (triangles), shifted right */}
         {visualPointMapping.map((pointData) => {
@@ -443,6 +1572,9 @@ const BackgammonBoard = ({ board, currentPlayer, onPointClick, selectedPoint, po
               {board.points[gamePoint - 1].checkers.map((color, checkerIdx) => {
                 let checkerY;
                 const checkerCountOnPoint = board.points[gamePoint - 1].checkers.length;
+                // In Plakoto a pinned checker lies at the bottom of a point held by the other colour.
+                const topColor = board.points[gamePoint - 1].checkers[checkerCountOnPoint - 1];
+                const isPinned = color !== topColor;
                 // Calculate Y position for checkers, stacking them.
                 if (isTop) {
                     checkerY = (checkerIdx * checkerRadius * 2) + checkerRadius;
@@ -471,13 +1603,17 @@ const BackgammonBoard = ({ board, currentPlayer, onPointClick, selectedPoint, po
                     return null;
                 }
 
-                // Add highlighting for the current player's checkers
-                const isCurrentPlayerChecker = color === currentPlayer;
+                // Add highlighting for the current player's checkers; pinned checkers cannot move and get a red dashed ring instead.
+                const isCurrentPlayerChecker = color === currentPlayer && !isPinned;
                 // Highlight color and width: black for white player, white for black player, yellow if selected
-                const checkerStrokeColor = isCurrentPlayerChecker
+                let checkerStrokeColor = isCurrentPlayerChecker
                     ? (isSelected ? 'yellow' : (currentPlayer === 'white' ? 'black' : 'white'))
                     : '#555';
-                const checkerStrokeWidth = isCurrentPlayerChecker ? (isSelected ? '3' : '3') : '1'; // Thicker border for current player
+                let checkerStrokeWidth = isCurrentPlayerChecker ? (isSelected ? '3' : '3') : '1'; // Thicker border for current player
+                if (isPinned) {
+                    checkerStrokeColor = 'red';
+                    checkerStrokeWidth = '3';
+                }
 
                 const checkerFill = color === 'white' ? 'url(#whiteMarbleGradient)' : 'url(#blackMarbleGradient)';
                 const checkerFilter = color === 'white' ? 'url(#whiteMarbleTexture)' : 'url(#blackMarbleTexture)';
@@ -493,6 +1629,10 @@ const BackgammonBoard = ({ board, currentPlayer, onPointClick, selectedPoint, po
                     filter={checkerFilter} // Apply the filter for texture
                     stroke={checkerStrokeColor}
                     strokeWidth={checkerStrokeWidth}
+                    strokeDasharray={isPinned ? '4 3' : undefined}
+                    data-pinned={isPinned ? 'true' : undefined}
+                    opacity={isCheckerHidden(topColor, gamePoint, checkerIdx, checkerCountOnPoint) ? 0 : undefined}
+                    {...getDragProps(canDragFromBoard && isCurrentPlayerChecker, gamePoint, color)}
                     className="cursor-pointer" // Make checkers look clickable
                     onClick={(e) => {
                         e.stopPropagation(); // Prevent clicking through to the point if checker is clicked
@@ -518,6 +1658,9 @@ const BackgammonBoard = ({ board, currentPlayer, onPointClick, selectedPoint, po
                 filter="url(#whiteMarbleTexture)" // Apply the filter
                 stroke={currentPlayer === 'white' ? 'black' : '#555'} // Highlight if white's turn with black border
                 strokeWidth={currentPlayer === 'white' ? '3' : '1'} // Thicker for current player
+                opacity={isCheckerHidden('white', BAR, idx, board.bar.white) ? 0 : undefined}
+                {...getDragProps(canDrag && currentPlayer === 'white', BAR, 'white')}
+                onClick={editClick(BAR)}
               />
             ))}
             {board.bar.white > 5 && (
@@ -547,6 +1690,9 @@ const BackgammonBoard = ({ board, currentPlayer, onPointClick, selectedPoint, po
                 filter="url(#blackMarbleTexture)" // Apply the filter
                 stroke={currentPlayer === 'black' ? 'white' : '#555'} // Highlight if black's turn with white border
                 strokeWidth={currentPlayer === 'black' ? '3' : '1'} // Thicker for current player
+                opacity={isCheckerHidden('black', BAR, idx, board.bar.black) ? 0 : undefined}
+                {...getDragProps(canDrag && currentPlayer === 'black', BAR, 'black')}
+                onClick={editClick(BAR)}
               />
             ))}
             {board.bar.black > 5 && (
@@ -565,6 +1711,36 @@ const BackgammonBoard = ({ board, currentPlayer, onPointClick, selectedPoint, po
           </g>
         )}
 
+        {/* Acey-deucey checkers still to enter wait in the tray they will later be borne off to */}
+        {['white', 'black'].map(color => {
+            const waiting = countCheckersToEnter(board, color);
+            if (waiting === 0) return null;
+            const canSelect = color === currentPlayer && !editMode;
+            const isSelected = canSelect && selectedPoint === ENTRY;
+            return (
+                <g key={`entry-${color}`} data-entry={color}>
+                    {Array(waiting).fill(0).map((_, idx) => (
+                        <circle
+                            key={`entry-${color}-${idx}`}
+                            cx={color === 'white' ? bearOffAreaWidth / 2 : boardWidth + barWidth + bearOffAreaWidth + (bearOffAreaWidth / 2)}
+                            cy={color === 'white'
+                                ? boardHeight - checkerRadius - (idx * checkerRadius * 2) - 5
+                                : checkerRadius + (idx * checkerRadius * 2) + 5}
+                            r={checkerRadius}
+                            fill={color === 'white' ? 'url(#whiteMarbleGradient)' : 'url(#blackMarbleGradient)'}
+                            filter={color === 'white' ? 'url(#whiteMarbleTexture)' : 'url(#blackMarbleTexture)'}
+                            stroke={isSelected ? 'yellow' : (canSelect ? (color === 'white' ? 'black' : 'white') : '#555')}
+                            strokeWidth={canSelect ? '3' : '1'}
+                            className={canSelect ? 'cursor-pointer' : ''}
+                            opacity={isCheckerHidden(color, ENTRY, idx, waiting) ? 0 : undefined}
+                            {...getDragProps(canSelect && canDragFromBoard, ENTRY, color)}
+                            onClick={canSelect ? () => onPointClick(ENTRY) : undefined}
+                        />
+                    ))}
+                </g>
+            );
+        })}
+
         {/* Render borne-off checkers in their dedicated areas */}
         {board.home.white > 0 && (
             <g>
@@ -578,6 +1754,8 @@ const BackgammonBoard = ({ board, currentPlayer, onPointClick, selectedPoint, po
                         filter="url(#whiteMarbleTexture)"
                         stroke="#555"
                         strokeWidth="1"
+                        opacity={isCheckerHidden('white', 0, idx, board.home.white) ? 0 : undefined}
+                        onClick={editClick(0)}
                     />
                 ))}
             </g>
@@ -594,25 +1772,28 @@ const BackgammonBoard = ({ board, currentPlayer, onPointClick, selectedPoint, po
                         filter="url(#blackMarbleTexture)"
                         stroke="#555"
                         strokeWidth="1"
+                        opacity={isCheckerHidden('black', 25, idx, board.home.black) ? 0 : undefined}
+                        onClick={editClick(25)}
                     />
                 ))}
             </g>
         )}
 
+
          {/* Player Turn Indicator */}
          <text
             x={boardWidth / 2 + barWidth / 2 + bearOffAreaWidth} // Center horizontally, accounting for bear-off area
             y={boardHeight / 2 - 55} // Shifted further up to make more space for dice
             textAnchor="middle"
             dominantBaseline="middle" // Ensures true vertical centering
-            fill={currentPlayer === 'white' ? 'white' : 'black'}
-            stroke={currentPlayer === 'white' ? 'black' : 'white'} // Added outline
+            fill={openingRoll || currentPlayer === 'white' ? 'white' : 'black'}
+            stroke={openingRoll || currentPlayer === 'white' ? 'black' : 'white'} // Added outline
             strokeWidth="1.5" // Outline thickness
             fontSize="24"
             fontWeight="bold"
             className="transition-all duration-500"
          >
-            {currentPlayer === 'white' ? 'White\'s Turn' : 'Black\'s Turn'}
+            {openingRoll ? 'Opening Roll' : (currentPlayer === 'white' ? 'White\'s Turn' : 'Black\'s Turn')}
          </text>
 
          {/* Display Current Dice Values on the Board */}
@@ -622,7 +1803,7 @@ const BackgammonBoard = ({ board, currentPlayer, onPointClick, selectedPoint, po
                 y={boardHeight / 2 + 5}
                 width="40"
                 height="40"
-                fill="white"
+                fill={leftDie.fill}
                 stroke="#333"
                 strokeWidth="1"
                 rx="5" ry="5" // Rounded corners
@@ -632,11 +1813,11 @@ const BackgammonBoard = ({ board, currentPlayer, onPointClick, selectedPoint, po
                 y={boardHeight / 2 + 30}
                 textAnchor="middle"
                 dominantBaseline="middle"
-                fill="black"
+                fill={leftDie.textColor}
                 fontSize="24"
                 fontWeight="bold"
             >
-                {currentDiceValues[0] || '?'}
+                {leftDie.value || '?'}
             </text>
 
             <rect
@@ -644,7 +1825,7 @@ const BackgammonBoard = ({ board, currentPlayer, onPointClick, selectedPoint, po
                 y={boardHeight / 2 + 5}
                 width="40"
                 height="40"
-                fill="white"
+                fill={rightDie.fill}
                 stroke="#333"
                 strokeWidth="1"
                 rx="5" ry="5" // Rounded corners
@@ -654,19 +1835,106 @@ const BackgammonBoard = ({ board, currentPlayer, onPointClick, selectedPoint, po
                 y={boardHeight / 2 + 30}
                 textAnchor="middle"
                 dominantBaseline="middle"
-                fill="black"
+                fill={rightDie.textColor}
                 fontSize="24"
                 fontWeight="bold"
             >
-                {currentDiceValues[1] || '?'}
+                {rightDie.value || '?'}
             </text>
          </g>
 
 
-         {/* Render point numbers ON TOP (moved from inside visualPointMapping loop) */}
-        <g className="point-numbers-overlay">
-            {visualPointMapping.map((pointData) => {
-                const { gamePoint, isTop, indexInHalf } = pointData;
+         {/* Doubling Cube: a centered cube shows 64, as on a real board */}
+         {cube && (
+            <g>
+                <rect
+                    x={cubeX}
+                    y={cubeY}
+                    width={cubeSize}
+                    height={cubeSize}
+                    fill="#fffbea"
+                    stroke="#b45309"
+                    strokeWidth="2"
+                    rx="4" ry="4"
+                />
+                <text
+                    x={cubeX + cubeSize / 2}
+                    y={cubeY + cubeSize / 2}
+                    textAnchor="middle"
+                    dominantBaseline="middle"
+                    fill="#7c2d12"
+                    fontSize="18"
+                    fontWeight="bold"
+                >
+                    {cube.owner === null ? 64 : cube.value}
+                </text>
+            </g>
+         )}
+
+         {/* Pip counts in the middle of the left half, the race indicator in the middle of the right half */}
+         {overlays.pipCounts && (
+            <text
+                x={bearOffAreaWidth + halfBoardSectionWidth / 2}
+                y={boardHeight / 2}
+                textAnchor="middle"
+                dominantBaseline="middle"
+                fill="white"
+                stroke="black"
+                strokeWidth="0.75"
+                fontSize="16"
+                fontWeight="bold"
+            >
+                Pips: White {whitePips} · Black {blackPips} ({pipDifference === 0 ? 'even' : `${pipLeader} +${pipDifference}`})
+            </text>
+         )}
+         {overlays.raceIndicator && isRace && (
+            <text
+                x={bearOffAreaWidth + halfBoardSectionWidth + barWidth + halfBoardSectionWidth / 2}
+                y={boardHeight / 2}
+                textAnchor="middle"
+                dominantBaseline="middle"
+                fill="#facc15"
+                stroke="black"
+                strokeWidth="0.75"
+                fontSize="18"
+                fontWeight="bold"
+            >
+                RACE
+            </text>
+         )}
+
+         {/* Checkers each side still has to bear off, at the empty end of its tray */}
+         {overlays.trayCounts && (
+            <g>
+                <text
+                    x={bearOffAreaWidth / 2}
+                    y={14}
+                    textAnchor="middle"
+                    dominantBaseline="middle"
+                    fill="white"
+                    fontSize="14"
+                    fontWeight="bold"
+                >
+                    {variant.checkersPerSide - board.home.white}
+                </text>
+                <text
+                    x={boardWidth + barWidth + bearOffAreaWidth + bearOffAreaWidth / 2}
+                    y={boardHeight - 14}
+                    textAnchor="middle"
+                    dominantBaseline="middle"
+                    fill="white"
+                    fontSize="14"
+                    fontWeight="bold"
+                >
+                    {variant.checkersPerSide - board.home.black}
+                </text>
+            </g>
+         )}
+
+         {/* Render point numbers ON TOP (moved from inside visualPointMapping loop) */}
+        <g className="point-numbers-overlay">
+            {visualPointMapping.map((pointData) => {
+                const { gamePoint, isTop, indexInHalf } = pointData;
                 let currentPointX;
                 if (indexInHalf < 6) {
                     currentPointX = pointWidth * indexInHalf + bearOffAreaWidth;
@@ -691,6 +1959,44 @@ const BackgammonBoard = ({ board, currentPlayer, onPointClick, selectedPoint, po
                 );
             })}
         </g>
+
+        {/* Checkers on their way to a new place, and the one being dragged */}
+        {flights.map(flight => {
+            const { x, y } = flight.started
+                ? getCheckerCenter(flight.to, flight.color, flight.toIndex)
+                : (flight.start || getCheckerCenter(flight.from, flight.color, flight.fromIndex));
+            return (
+                <circle
+                    key={`flight-${flight.id}`}
+                    cx={0}
+                    cy={0}
+                    r={checkerRadius}
+                    fill={flight.color === 'white' ? 'url(#whiteMarbleGradient)' : 'url(#blackMarbleGradient)'}
+                    filter={flight.color === 'white' ? 'url(#whiteMarbleTexture)' : 'url(#blackMarbleTexture)'}
+                    stroke="#555"
+                    strokeWidth="1"
+                    pointerEvents="none"
+                    data-flight={flight.color}
+                    style={{
+                        transform: `translate(${x}px, ${y}px)`,
+                        transition: flight.started ? `transform ${MOVE_ANIMATION_MS}ms ease-in-out` : 'none',
+                    }}
+                />
+            );
+        })}
+        {drag && drag.moved && (
+            <circle
+                cx={drag.spot.x}
+                cy={drag.spot.y}
+                r={checkerRadius}
+                fill={drag.color === 'white' ? 'url(#whiteMarbleGradient)' : 'url(#blackMarbleGradient)'}
+                filter={drag.color === 'white' ? 'url(#whiteMarbleTexture)' : 'url(#blackMarbleTexture)'}
+                stroke="yellow"
+                strokeWidth="3"
+                pointerEvents="none"
+                data-dragging={drag.color}
+            />
+        )}
       </svg>
     </div>
   );
@@ -722,19 +2028,65 @@ const ConfirmModal = ({ message, onConfirm, onCancel }) => {
     );
 };
 
-// Define whitePath and blackPath outside the component to ensure stable references
-const whitePath = [12, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1, 24, 23, 22, 21, 20, 19, 18, 17, 16, 15, 14, 13];
-const blackPath = [13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+// Resume Match Modal: Offers to go on with a saved match against the AI Opponent, or to abandon it.
+const ResumeMatchModal = ({ savedMatch, onResume, onAbandon }) => {
+    const { match, computerDifficulty } = savedMatch;
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-lg p-8 shadow-2xl text-center max-w-sm w-full border-t-8 border-purple-600">
+                <h3 className="text-xl font-bold text-gray-800 mb-4">Unfinished Match</h3>
+                <p className="text-lg text-gray-700 mb-2">
+                    You have an unfinished {match.matchLength}-point match against the AI Opponent ({getDifficultyLabel(computerDifficulty)}).
+                </p>
+                <p className="text-gray-700 mb-6">
+                    Score: You {match.score[WHITE]} - {match.score[BLACK]} AI Opponent. Abandoning it counts as a forfeit.
+                </p>
+                <div className="flex justify-center gap-4">
+                    <button
+                        onClick={onResume}
+                        className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-6 rounded-full shadow-md transition-all duration-300 transform hover:scale-105"
+                    >
+                        Resume Match
+                    </button>
+                    <button
+                        onClick={onAbandon}
+                        className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-6 rounded-full shadow-md transition-all duration-300 transform hover:scale-105"
+                    >
+                        Abandon
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// The computer always plays black; white is the signed-in user.
+const COMPUTER_COLOR = BLACK;
 
+// Every game starts with each side throwing one die; 0 means that side has not rolled yet.
+const NEW_OPENING_ROLL = { [WHITE]: 0, [BLACK]: 0 };
 
 // --- Main Game Logic Component (BackgammonGame) ---
-const BackgammonGame = ({ onMatchEnd }) => {
+// The rules live in the engine module; this component holds the match state and turns clicks into engine moves.
+// `gameToOpen` is the id of an online game to join right away (an accepted invitation); `onGameOpened` clears it.
+const BackgammonGame = ({ onMatchEnd, gameToOpen, onGameOpened }) => {
   const { currentUser, userId } = useContext(AuthContext);
-  const [matchFormat, setMatchFormat] = useState(7);
-  const [playerScore, setPlayerScore] = useState(0);
-  const [opponentScore, setOpponentScore] = useState(0);
+  const [matchLength, setMatchLength] = useState(5);
+  const [gameType, setGameType] = useState(DEFAULT_VARIANT); // Variant id (or TAVLI) for the next match.
+  const [matchState, setMatchState] = useState(() => createMatch(5)); // Points and finished games of the match.
   const [gameMessage, setGameMessage] = useState("Click 'Start Match' to begin!");
   const [isPlaying, setIsPlaying] = useState(false);
+  const [isPractice, setIsPractice] = useState(false); // Practice games from a pasted position are not recorded.
+  const [isAnalysis, setIsAnalysis] = useState(false); // Both sides are moved by hand and the AI Opponent stays out.
+  const [gnubgIdInput, setGnubgIdInput] = useState('');
+  // The position being set up while the editor is open: { position, color, action, playerOnRoll, dice }.
+  const [editor, setEditor] = useState(null);
+  // The online room being played, if any: { gameId, color } with the colour this browser plays.
+  const [onlineGame, setOnlineGame] = useState(null);
+  const [onlineRoom, setOnlineRoom] = useState(null); // Latest snapshot of that room.
+  const [joinGameId, setJoinGameId] = useState('');
+  const appliedRoomRef = useRef(null); // The room snapshot last applied to the local state.
+  const lastSyncedRoomRef = useRef(null); // { state, key } last written to or read from the room.
   const [showModal, setShowModal] = useState(false);
   const [modalMessage, setModalMessage] = useState('');
   const [showConfirmModal, setShowConfirmModal] = useState(false);
@@ -744,702 +2096,884 @@ const BackgammonGame = ({ onMatchEnd }) => {
   const [availableDice, setAvailableDice] = useState([]);
   const [currentPlayer, setCurrentPlayer] = useState('white');
   const [selectedPoint, setSelectedPoint] = useState(null);
-  const [possibleMovesInfo, setPossibleMovesInfo] = useState([]);
-  const [mustReenterFromBar, setMustReenterFromBar] = useState(false);
   const [moveHistory, setMoveHistory] = useState([]);
+  const [computerDifficulty, setComputerDifficulty] = useState('intermediate');
+  const [boardOverlays, setBoardOverlays] = useState(DEFAULT_BOARD_OVERLAYS);
+  const computerPlanRef = useRef(null); // The plan the computer made for its current roll.
+  const [cube, setCube] = useState(createCube);
+  const [pendingDouble, setPendingDouble] = useState(null); // Color whose double is waiting for an answer.
+  const [openingRoll, setOpeningRoll] = useState(null); // Each side's single die while deciding who starts.
+  const diceServiceRef = useRef(null); // Seeded dice for the current match.
+  const [diceCommitment, setDiceCommitment] = useState(null); // Published hash of the match's dice seed.
+  // Every roll, play, cube action and result of the match. Unlike `moveHistory` it is never cleared mid-match.
+  const [transcript, setTranscript] = useState(createTranscript);
+  // A match against the AI Opponent left unfinished last time, waiting for "Resume" or "Abandon".
+  const [unfinishedMatch, setUnfinishedMatch] = useState(() => getSavedMatch(userId));
 
 
   // Board State: Represents the checkers on each point, bar, and home areas.
-  const [boardState, setBoardState] = useState({
-    points: Array(24).fill(null).map(() => ({ checkers: [] })),
-    bar: { white: 0, black: 0 },
-    home: { white: 0, black: 0 },
-  });
-
-  // Initializes the board to the standard starting positions.
-  const initializeBoard = useCallback(() => {
-    const newPoints = Array(24).fill(null).map(() => ({ checkers: [] }));
-
-    // White player's initial positions as per user's latest precise description
-    newPoints[11].checkers = Array(2).fill('white');  // Point 12 (index 11)
-    newPoints[19].checkers = Array(3).fill('white');  // Point 20 (index 19)
-    newPoints[0].checkers = Array(5).fill('white');   // Point 1 (index 0)
-    newPoints[17].checkers = Array(5).fill('white');  // Point 18 (index 17)
-
-    // Black player's initial positions as per user's latest precise description
-    newPoints[6].checkers = Array(5).fill('black');   // Point 7 (index 6)
-    newPoints[4].checkers = Array(3).fill('black');   // Point 5 (index 4)
-    newPoints[23].checkers = Array(5).fill('black');  // Point 24 (index 23)
-    newPoints[12].checkers = Array(2).fill('black');  // Point 13 (index 12)
-
-    setBoardState({ points: newPoints, bar: { white: 0, black: 0 }, home: { white: 0, black: 0 } });
-  }, []);
-
-  // Helper to determine the opponent's color.
-  const getOpponentColor = useCallback((playerColor) => (playerColor === 'white' ? 'black' : 'opponent'), []); // No dependencies, stable reference
-
-  // Determines if a point is blocked by the opponent (2 or more opponent checkers).
-  const isPointBlocked = useCallback((pointIndex, playerColor, currentBoardState) => {
-    const point = currentBoardState.points[pointIndex];
-    if (!point || point.checkers.length === 0) return false;
-    const opponentColor = getOpponentColor(playerColor);
-    return point.checkers[0] === opponentColor && point.checkers.length >= 2;
-  }, [getOpponentColor]); // Depends on getOpponentColor, which is stable.
-
-  // Checks if all of a player's checkers are in their home board.
-  const areAllCheckersInHomeBoard = useCallback((playerColor, currentBoardState) => {
-    const totalCheckers = 15;
-    let checkersBorneOff = currentBoardState.home[playerColor];
-    let checkersInHomeQuadrantOnBoard = 0;
-
-    const isWhite = playerColor === 'white';
-    const homePointsForBearingOff = isWhite ? [6, 5, 4, 3, 2, 1] : [19, 20, 21, 22, 23, 24];
-
-    if (currentBoardState.bar[playerColor] > 0) {
-        return false;
-    }
+  const [boardState, setBoardState] = useState(createEmptyPosition);
 
-    for (let i = 0; i < 24; i++) {
-        const gamePoint = i + 1;
-        const checkersOnCurrentPoint = currentBoardState.points[i].checkers.filter(c => c === playerColor).length;
-
-        if (checkersOnCurrentPoint > 0) {
-            if (!homePointsForBearingOff.includes(gamePoint)) {
-                return false;
-            } else {
-                checkersInHomeQuadrantOnBoard += checkersOnCurrentPoint;
-            }
-        }
-    }
-    return (checkersBorneOff + checkersInHomeQuadrantOnBoard) === totalCheckers;
+  // Initializes the board to the starting layout of the variant with id `variantId`.
+  const initializeBoard = useCallback((variantId) => {
+    setBoardState(getVariant(variantId).createInitialPosition());
   }, []);
 
-  // Helper function to check if any moves are possible with given state and dice
-  const checkIfAnyPossibleMoves = useCallback((currentBoardState, player, currentDice) => {
-    const isWhite = player === 'white';
-    const playerPath = isWhite ? whitePath : blackPath; // Now stable references
+  // The variant of the game being played: its rules decide the legal moves and when a game is over.
+  // In a Tavli match it changes from game to game.
+  const variant = getVariant(getCurrentGameVariantId(matchState));
+  const cubeInUse = isCubeUsed(matchState.variant, matchState.games.length + 1);
+
+  // The side this browser moves: its own colour online, otherwise white (and black as well in analysis).
+  const humanColor = onlineGame ? onlineGame.color : WHITE;
+  const canActFor = (color) => isAnalysis || color === humanColor;
+  const computerColor = isAnalysis || onlineGame ? null : COMPUTER_COLOR;
+  const whiteName = onlineRoom?.players.white?.name || currentUser?.displayName || 'White Player';
+  const blackName = onlineRoom?.players.black?.name || 'AI Opponent';
+  const playerScore = matchState.score[humanColor];
+  const opponentScore = matchState.score[getOpponentColor(humanColor)];
+
+  // Checkers on the bar must be entered before any other checker can move.
+  const mustReenterFromBar = isPlaying && boardState.bar[currentPlayer] > 0;
+
+  // After a fully played Acey-deucey 1-2 the side on turn picks a double: its dice still show the
+  // 1-2, with none left to play and the turn's moves already recorded.
+  const awaitingBonusDouble = isPlaying && variant.hasAceyDeuceyBonus && !openingRoll && isAceyDeuceyRoll(dice) &&
+    availableDice.length === 0 && moveHistory.length === 0;
+
+  // Destinations for the bar checker or the selected checker with the remaining dice.
+  const possibleMovesInfo = useMemo(() => {
+    if (!isPlaying || availableDice.length === 0) return [];
+    if (mustReenterFromBar) return getCheckerMoves(boardState, currentPlayer, BAR, availableDice, variant.rules);
+    if (selectedPoint === null) return [];
+    return getCheckerMoves(boardState, currentPlayer, selectedPoint, availableDice, variant.rules);
+  }, [isPlaying, availableDice, mustReenterFromBar, boardState, currentPlayer, selectedPoint, variant]);
+
+  // Saves a finished match and adds it to the player's stats and rating. `forfeit` marks a match
+  // the player abandoned, which counts as a loss whatever the score.
+  const recordMatchResult = useCallback(({ match, matchTranscript, diceRecord, playerWon, difficulty, forfeit = false }) => {
+    if (!currentUser || currentUser.isAnonymous) return;
+    const playerGamesWon = countGamesWon(match, humanColor);
+    const opponentGamesWon = countGamesWon(match, getOpponentColor(humanColor));
+
+    // Player 1 is always white and player 2 black.
+    const players = onlineRoom ? onlineRoom.players : {
+      [WHITE]: { id: userId, name: currentUser.displayName || 'You' },
+      [BLACK]: { id: 'AI_Opponent', name: `AI Opponent (${getDifficultyLabel(difficulty)})` },
+    };
+    const winnerColor = playerWon ? humanColor : getOpponentColor(humanColor);
+    // Games and points per variant, so a Tavli match can be broken down into its three games.
+    const variantResults = {};
+    Object.entries(getResultsByVariant(match)).forEach(([variantId, sides]) => {
+      variantResults[variantId] = {
+        player1GamesWon: sides[WHITE].gamesWon,
+        player2GamesWon: sides[BLACK].gamesWon,
+        player1Points: sides[WHITE].points,
+        player2Points: sides[BLACK].points,
+      };
+    });
+    const matchResult = {
+      player1Id: players[WHITE].id,
+      player1DisplayName: players[WHITE].name,
+      player2Id: players[BLACK].id,
+      player2DisplayName: players[BLACK].name,
+      ...(onlineGame ? { gameId: onlineGame.gameId } : { player2Difficulty: difficulty }),
+      winnerId: players[winnerColor].id,
+      loserId: players[getOpponentColor(winnerColor)].id,
+      matchLength: match.matchLength,
+      variant: match.variant || DEFAULT_VARIANT,
+      variantResults,
+      player1Points: match.score[WHITE],
+      player2Points: match.score[BLACK],
+      player1GamesWon: countGamesWon(match, WHITE),
+      player2GamesWon: countGamesWon(match, BLACK),
+      games: match.games, // Win type and points awarded for every game.
+      transcript: matchTranscript,
+      // Seed, commitment and every die, so the rolls can be verified. Online each browser rolls
+      // for its own side from its own seed, so neither holds the whole record. A match abandoned
+      // from its saved copy has only its rolls: the seed was never saved.
+      ...(onlineGame ? {} : { dice: diceRecord }),
+      ...(forfeit ? { forfeit: true } : {}),
+    };
 
-    if (currentBoardState.bar[player] > 0) {
-        for (const die of currentDice) {
-            let targetGamePoint;
-            if (isWhite) {
-                targetGamePoint = die;
-            } else {
-                targetGamePoint = 18 + die;
-            }
-            const targetPointIndex = targetGamePoint - 1;
-            if (targetPointIndex >= 0 && targetPointIndex < 24 && !isPointBlocked(targetPointIndex, player, currentBoardState)) {
-                return true;
-            }
-        }
-        return false;
+    if (!onlineGame || playerWon) {
+      DataService.saveMatchResult(matchResult);
     }
 
-    for (let i = 0; i < 24; i++) {
-        const currentPointCheckers = currentBoardState.points[i].checkers;
-        if (currentPointCheckers.length > 0 && currentPointCheckers[0] === player) {
-            const fromPoint = i + 1;
-            const fromPointIndexInPath = playerPath.indexOf(fromPoint);
-            if (fromPointIndexInPath === -1) {
-                continue;
-            }
-
-            for (const die of currentDice) {
-                let targetPathIndex = fromPointIndexInPath + die;
-
-                if (targetPathIndex >= playerPath.length) {
-                    if (areAllCheckersInHomeBoard(player, currentBoardState)) {
-                        let noCheckersEarlierInPath = true;
-                        const homePoints = isWhite ? [6, 5, 4, 3, 2, 1] : [19, 20, 21, 22, 23, 24];
-                        const fromPointHomeIndex = homePoints.indexOf(fromPoint);
-                        if (fromPointHomeIndex !== -1) {
-                            for (let k = 0; k < fromPointHomeIndex; k++) {
-                                const furtherPointOnBoard = homePoints[k];
-                                if (currentBoardState.points[furtherPointOnBoard - 1].checkers.includes(player)) {
-                                    noCheckersEarlierInPath = false;
-                                    break;
-                                }
-                            }
-                        } else {
-                            noCheckersEarlierInPath = false;
-                        }
-
-                        const dieCanOvershoot = die >= (isWhite ? fromPoint : (25 - fromPoint));
-
-                        if (noCheckersEarlierInPath) {
-                             if ( (isWhite && fromPoint === die) || (!isWhite && (25 - fromPoint) === die) ) {
-                                return true;
-                            }
-                            if (dieCanOvershoot) {
-                                let isFurthestChecker = true;
-                                for (let k = 0; k < 24; k++) {
-                                    if (currentBoardState.points[k].checkers.includes(player)) {
-                                        if (isWhite && k + 1 > fromPoint) {
-                                            isFurthestChecker = false;
-                                            break;
-                                        }
-                                        if (!isWhite && k + 1 < fromPoint) {
-                                            isFurthestChecker = false;
-                                            break;
-                                        }
-                                    }
-                                }
-                                if (isFurthestChecker) {
-                                    return true;
-                                }
-                            }
-                        }
-                    }
-                } else {
-                    const targetGamePoint = playerPath[targetPathIndex];
-                    if (targetGamePoint >= 1 && targetGamePoint <= 24) {
-                        if (!isPointBlocked(targetGamePoint - 1, player, currentBoardState)) {
-                            return true;
-                        }
-                    }
-                }
-            }
-        }
+    // The auth user does not carry the stored totals, so they are added to where they are kept.
+    // The rankings work out the win/loss ratio from them.
+    const userStatsUpdate = {
+      totalGamesPlayed: DataService.increment(1),
+      totalMatchesWon: DataService.increment(playerWon ? 1 : 0),
+      totalMatchesLost: DataService.increment(playerWon ? 0 : 1),
+      totalGamesWon: DataService.increment(playerGamesWon),
+      totalGamesLost: DataService.increment(opponentGamesWon),
+    };
+    // Keep a tally of the computer levels this player has beaten.
+    if (playerWon && !onlineGame) {
+      userStatsUpdate[`aiMatchesWonByDifficulty.${difficulty}`] = DataService.increment(1);
     }
-    return false;
-  }, [areAllCheckersInHomeBoard, isPointBlocked]); // Removed whitePath, blackPath as they are global constants
-
-  // Calculates all possible moves for a checker from a given `fromPoint` with `currentDice`.
-  // Returns an array of objects: { targetPoint: number, diceUsed: number[] }
-  const calculatePossibleMoves = useCallback((fromPoint, currentDice, playerColor, board) => {
-      const moves = [];
-      const isWhite = playerColor === 'white';
-      const playerPath = isWhite ? whitePath : blackPath; // Now stable references
-
-      const checkSingleStepLogic = (startPoint, startPathIndex, die, tempBoard, playerColor, isInitialFromBar = false) => {
-          let targetGamePoint = null;
-          let isValid = false;
-          let isBearingOff = false;
-
-          if (isInitialFromBar && startPoint === 'bar') {
-              if (isWhite) {
-                  targetGamePoint = die;
-              } else {
-                  targetGamePoint = 18 + die;
-              }
-              const targetPointIndex = targetGamePoint - 1;
-              if (targetPointIndex >= 0 && targetPointIndex < 24 && !isPointBlocked(targetPointIndex, playerColor, tempBoard)) {
-                  isValid = true;
-              }
-              return { targetGamePoint, isValid, isBearingOff: false };
-          }
-
-          const targetPathIndex = startPathIndex + die;
-
-          if (targetPathIndex >= playerPath.length) {
-              isBearingOff = true;
-              if (areAllCheckersInHomeBoard(playerColor, tempBoard)) {
-                  let noCheckersFurtherAway = true;
-                  const homePoints = isWhite ? [6, 5, 4, 3, 2, 1] : [19, 20, 21, 22, 23, 24];
-                  const fromPointHomeIndex = homePoints.indexOf(startPoint);
-
-                  if (fromPointHomeIndex !== -1) {
-                      for (let i = 0; i < fromPointHomeIndex; i++) {
-                          const furtherPoint = homePoints[i];
-                          if (tempBoard.points[furtherPoint - 1].checkers.includes(playerColor)) {
-                              noCheckersFurtherAway = false;
-                              break;
-                          }
-                      }
-                  } else {
-                      noCheckersFurtherAway = false;
-                  }
-
-                  if (noCheckersFurtherAway) {
-                       const distanceToBearOff = isWhite ? startPoint : (25 - startPoint);
-                       if (die === distanceToBearOff || (die > distanceToBearOff && noCheckersFurtherAway)) {
-                           targetGamePoint = isWhite ? 0 : 25;
-                           isValid = true;
-                       }
-                  }
-              }
-          } else {
-              const actualTargetGamePoint = playerPath[targetPathIndex];
-              if (actualTargetGamePoint >= 1 && actualTargetGamePoint <= 24) {
-                  if (!isPointBlocked(actualTargetGamePoint - 1, playerColor, tempBoard)) {
-                      targetGamePoint = actualTargetGamePoint;
-                      isValid = true;
-                  }
-              }
-          }
-          return { targetGamePoint, isValid, isBearingOff };
-      };
-
-      if (mustReenterFromBar && fromPoint === 'bar') {
-          currentDice.forEach(die => {
-              const { targetGamePoint, isValid } = checkSingleStepLogic('bar', -1, die, board, playerColor, true);
-              if (isValid) {
-                  moves.push({ targetPoint: targetGamePoint, diceUsed: [die] });
-              }
-          });
-          return moves;
-      }
-
-      if (fromPoint === 'bar' || !board.points[fromPoint - 1] || board.points[fromPoint - 1].checkers[0] !== playerColor) {
-        return [];
-      }
-
-      const fromPointIndexInPath = playerPath.indexOf(fromPoint);
-      if (fromPointIndexInPath === -1) {
-          return [];
-      }
-
-      const findAllMoves = (currentFromPoint, currentFromPathIndex, remainingDice, currentBoard, pathDice) => {
-          if (remainingDice.length === 0) {
-              return;
-          }
-
-          const sortedRemainingDice = [...remainingDice].sort((a,b) => a-b);
-
-          sortedRemainingDice.forEach((d1) => {
-              const tempRemainingDice = [...sortedRemainingDice];
-              const actualIdx = tempRemainingDice.indexOf(d1);
-              if (actualIdx > -1) {
-                tempRemainingDice.splice(actualIdx, 1);
-              } else {
-                  return;
-              }
-
-              const tempBoardAfterD1 = JSON.parse(JSON.stringify(currentBoard));
-              let checkerSuccessfullyMovedInTemp = true;
-
-              if (currentFromPoint === 'bar') {
-                  if (tempBoardAfterD1.bar[playerColor] === 0) { checkerSuccessfullyMovedInTemp = false; }
-                  else { tempBoardAfterD1.bar[playerColor]--; }
-              } else {
-                  if (!tempBoardAfterD1.points[currentFromPoint - 1] || tempBoardAfterD1.points[currentFromPoint - 1].checkers.length === 0 || tempBoardAfterD1.points[currentFromPoint - 1].checkers[0] !== playerColor) {
-                      checkerSuccessfullyMovedInTemp = false;
-                  } else {
-                      tempBoardAfterD1.points[currentFromPoint - 1].checkers.pop();
-                  }
-              }
-
-              if (!checkerSuccessfullyMovedInTemp) return;
-
-              const { targetGamePoint: intermediatePoint, isValid: isValidIntermediate, isBearingOff: isIntermedBearOff } =
-                  checkSingleStepLogic(currentFromPoint, currentFromPathIndex, d1, tempBoardAfterD1, playerColor);
-
-              if (isValidIntermediate) {
-                  if (!isIntermedBearOff) {
-                      if (tempBoardAfterD1.points[intermediatePoint - 1].checkers.length === 1 && tempBoardAfterD1.points[intermediatePoint - 1].checkers[0] === getOpponentColor(playerColor)) {
-                          tempBoardAfterD1.points[intermediatePoint - 1].checkers.pop();
-                          tempBoardAfterD1.bar[getOpponentColor(playerColor)]++;
-                      }
-                      if (isPointBlocked(intermediatePoint - 1, playerColor, tempBoardAfterD1)) {
-                          return;
-                      }
-                      tempBoardAfterD1.points[intermediatePoint - 1].checkers.push(playerColor);
-                  }
-
-                  const currentPathDice = [...pathDice, d1];
-                  moves.push({ targetPoint: intermediatePoint, diceUsed: currentPathDice.sort((a,b)=>a-b) });
+    if (forfeit) userStatsUpdate.totalMatchesForfeited = DataService.increment(1);
+    // And of the games won and lost in each variant.
+    Object.entries(getResultsByVariant(match)).forEach(([variantId, sides]) => {
+      userStatsUpdate[`gamesWonByVariant.${variantId}`] = DataService.increment(sides[humanColor].gamesWon);
+      userStatsUpdate[`gamesLostByVariant.${variantId}`] = DataService.increment(sides[getOpponentColor(humanColor)].gamesWon);
+    });
 
-                  const intermediatePointPathIndex = isIntermedBearOff ? playerPath.length : playerPath.indexOf(intermediatePoint);
-                  if (intermediatePointPathIndex !== -1 && tempRemainingDice.length > 0) {
-                      findAllMoves(intermediatePoint, intermediatePointPathIndex, tempRemainingDice, tempBoardAfterD1, currentPathDice);
-                  }
-              }
-          });
-      };
+    DataService.updateUserStats(userId, userStatsUpdate);
 
-      findAllMoves(fromPoint, fromPointIndexInPath, currentDice, board, []);
-
-      const uniqueMovesMap = new Map();
-      moves.forEach(move => {
-          const key = move.targetPoint;
-          const currentDiceUsedStr = move.diceUsed.sort((a, b) => a - b).join(',');
-
-          if (!uniqueMovesMap.has(key)) {
-              uniqueMovesMap.set(key, move);
-          } else {
-              const existingMove = uniqueMovesMap.get(key);
-              const existingDiceUsedStr = existingMove.diceUsed.sort((a, b) => a - b).join(',');
-
-              if (currentDiceUsedStr !== existingDiceUsedStr) {
-                  if (move.diceUsed.length < existingMove.diceUsed.length) {
-                      uniqueMovesMap.set(key, move);
-                  } else if (move.diceUsed.length === existingMove.diceUsed.length) {
-                      const sumCurrent = move.diceUsed.reduce((sum, d) => sum + d, 0);
-                      const sumExisting = existingMove.diceUsed.reduce((sum, d) => sum + d, 0);
-                      if (sumCurrent > sumExisting) {
-                          uniqueMovesMap.set(key, move);
-                      }
-                  }
-              }
-          }
-      });
-      return Array.from(uniqueMovesMap.values());
-  }, [mustReenterFromBar, areAllCheckersInHomeBoard]); // Removed `getOpponentColor` and `isPointBlocked`
+    const opponent = players[getOpponentColor(humanColor)];
+    DataService.updateUserRating(
+      userId,
+      onlineGame ? opponent : { ...opponent, rating: getComputerRating(difficulty) },
+      match.matchLength,
+      playerWon,
+      onlineGame ? onlineGame.gameId : null,
+    );
+  }, [currentUser, onlineGame, onlineRoom, humanColor, userId]);
 
   const endMatch = useCallback((playerWon) => {
     setIsPlaying(false);
-    const winnerGames = playerWon ? playerScore : opponentScore;
-    const loserGames = playerWon ? opponentScore : playerScore;
-
-    setModalMessage(`Match Over! You ${playerWon ? 'won' : 'lost'} the best of ${matchFormat} match (${winnerGames}-${loserGames}).`);
+    const winnerPoints = playerWon ? playerScore : opponentScore;
+    const loserPoints = playerWon ? opponentScore : playerScore;
+    const lastGame = matchState.games[matchState.games.length - 1];
+    const diceRecord = diceServiceRef.current.reveal();
+
+    setModalMessage(`Match Over! You ${playerWon ? 'won' : 'lost'} the ${matchState.matchLength}-point match (${winnerPoints}-${loserPoints}). ` +
+      `The last game was a ${WIN_TYPE_LABELS[lastGame.winType]} worth ${lastGame.points} point${lastGame.points === 1 ? '' : 's'}. ` +
+      `Dice seed revealed: ${diceRecord.seed}`);
     setShowModal(true);
 
-    if (currentUser && !currentUser.isAnonymous) {
-      const matchResult = {
-        player1Id: userId,
-        player1DisplayName: currentUser.displayName || 'You',
-        player2Id: 'AI_Opponent',
-        player2DisplayName: 'AI Opponent',
-        winnerId: playerWon ? userId : 'AI_Opponent',
-        loserId: playerWon ? 'AI_Opponent' : userId,
-        matchFormat: matchFormat,
-        player1GamesWon: playerScore,
-        player2GamesWon: opponentScore,
-      };
-
-      FirestoreService.saveMatchResult(matchResult);
+    if (isPractice) return; // Practice games stay on the board and are not saved.
 
-      const userStatsUpdate = {
-        totalGamesPlayed: (currentUser.totalGamesPlayed || 0) + 1,
-        totalMatchesWon: (currentUser.totalMatchesWon || 0) + (playerWon ? 1 : 0),
-        totalMatchesLost: (currentUser.totalMatchesLost || 0) + (playerWon ? 0 : 1),
-        totalGamesWon: (currentUser.totalGamesWon || 0) + playerScore,
-        totalGamesLost: (currentUser.totalGamesLost || 0) + opponentScore,
-      };
-      const newTotalMatches = userStatsUpdate.totalMatchesWon + userStatsUpdate.totalMatchesLost;
-      userStatsUpdate.winLossRatio = newTotalMatches > 0
-        ? (userStatsUpdate.totalMatchesWon / newTotalMatches).toFixed(3)
-        : 0;
-
-      FirestoreService.updateUserStats(userId, userStatsUpdate);
+    // Online, both browsers get here; the winner's closes the room and saves the shared match record.
+    if (onlineGame && playerWon) {
+      DataService.updateGameRoom(onlineGame.gameId, { status: ROOM_STATUS.FINISHED });
     }
-    onMatchEnd();
-  }, [currentUser, matchFormat, opponentScore, playerScore, userId, onMatchEnd]);
-
-  const endTurn = useCallback(() => {
-    if (!isPlaying) return;
+    if (!onlineGame) clearSavedMatch(userId);
 
-    if (boardState.home.white === 15) {
-        setModalMessage(`White wins this game!`);
-        setShowModal(true);
-        setPlayerScore(prev => prev + 1);
-        initializeBoard();
-        setDice([0, 0]);
-        setAvailableDice([]);
-        setSelectedPoint(null);
-        setPossibleMovesInfo([]);
-        setMustReenterFromBar(false);
-        setCurrentPlayer('white');
-        setGameMessage("New game started. White to roll.");
-        setMoveHistory([]);
-        return;
-    } else if (boardState.home.black === 15) {
-        setModalMessage(`Black wins this game!`);
-        setShowModal(true);
-        setOpponentScore(prev => prev + 1);
-        initializeBoard();
-        setDice([0, 0]);
-        setAvailableDice([]);
-        setSelectedPoint(null);
-        setPossibleMovesInfo([]);
-        setMustReenterFromBar(false);
-        setCurrentPlayer('black');
-        setGameMessage("New game started. Black to roll.");
-        setMoveHistory([]);
-        return;
-    }
-
-    setCurrentPlayer(prev => prev === 'white' ? 'black' : 'white');
+    recordMatchResult({ match: matchState, matchTranscript: transcript, diceRecord, playerWon, difficulty: computerDifficulty });
+    onMatchEnd();
+  }, [matchState, transcript, isPractice, onlineGame, opponentScore, playerScore, userId, onMatchEnd, computerDifficulty, recordMatchResult]);
+
+
+  // Scores a finished game for `winner` at the current cube value and sets up the next one.
+  const finishGame = useCallback((winner, winType, { doubleDropped = false } = {}) => {
+    const winnerName = winner === WHITE ? 'White' : 'Black';
+    const loserName = winner === WHITE ? 'Black' : 'White';
+    const nextMatchState = scoreGame(matchState, winner, winType, cube, { doubleDropped });
+    const { points } = nextMatchState.games[nextMatchState.games.length - 1];
+    const pointsText = `${points} point${points === 1 ? '' : 's'}`;
+    setMatchState(nextMatchState);
+    setTranscript(prevTranscript => recordGameResult(prevTranscript, { winner, winType, points, score: nextMatchState.score }));
+    const nextVariantId = getCurrentGameVariantId(nextMatchState);
+    const matchGoesOn = !getMatchWinner(nextMatchState);
+    setModalMessage((doubleDropped
+        ? `${loserName} drops the double. ${winnerName} wins ${pointsText}!`
+        : `${winnerName} wins a ${WIN_TYPE_LABELS[winType]} and scores ${pointsText}!`) +
+        (nextMatchState.isCrawfordGame && isCubeUsed(nextMatchState.variant, nextMatchState.games.length + 1)
+            ? ' The next game is the Crawford game.' : '') +
+        (nextMatchState.variant === TAVLI && matchGoesOn ? ` The next game is ${getVariantLabel(nextVariantId)}.` : ''));
+    setShowModal(true);
+    initializeBoard(nextVariantId);
+    setCube(createCube());
+    setPendingDouble(null);
     setDice([0, 0]);
     setAvailableDice([]);
     setSelectedPoint(null);
-    setPossibleMovesInfo([]);
-    setMustReenterFromBar(false);
-    setGameMessage(`Turn ended. It's now ${getOpponentColor(currentPlayer).charAt(0).toUpperCase() + getOpponentColor(currentPlayer).slice(1)}'s turn. Roll the dice!`);
+    setOpeningRoll(NEW_OPENING_ROLL);
+    setGameMessage('New game started. Roll your opening die to decide who moves first.');
     setMoveHistory([]);
-  }, [isPlaying, boardState.home.white, boardState.home.black, initializeBoard, currentPlayer, getOpponentColor]); // Removed `endMatch` as a dependency
+  }, [initializeBoard, matchState, cube]);
 
-  const performMove = useCallback((fromPoint, toPoint, diceToConsume) => {
-    const newBoardState = JSON.parse(JSON.stringify(boardState));
+  // Ends the current turn given the board it finished on, scoring the game if someone has borne off.
+  // `play` ({ dice, moves }) is the turn to write into the transcript.
+  const endTurn = useCallback((board, play = null) => {
+    if (!isPlaying) return;
 
-    let checkerToMove;
-    if (fromPoint === 'bar') {
-        if (newBoardState.bar[currentPlayer] > 0) {
-            newBoardState.bar[currentPlayer]--;
-            checkerToMove = currentPlayer;
-        } else {
-            console.error("No checkers on bar to move!");
-            setGameMessage("Error: No checkers on bar to move!");
-            return;
-        }
-    } else {
-        const sourcePoint = newBoardState.points[fromPoint - 1];
-        if (sourcePoint.checkers.length === 0 || sourcePoint.checkers[0] !== currentPlayer) {
-            console.error("Invalid move: No checker of current player at source point.");
-            setGameMessage("Error: No checker of current player at source point.");
-            return;
-        }
-        checkerToMove = sourcePoint.checkers.pop();
+    if (play) {
+        setTranscript(prevTranscript => recordTurn(prevTranscript, currentPlayer, play.dice, play.moves));
     }
 
-    let hitOpponentChecker = false;
-    let hitCheckerColor = null;
-
-    const isBearingOff = (toPoint === 0 || toPoint === 25);
-
-    if (!isBearingOff && newBoardState.points[toPoint - 1].checkers.length === 1 && newBoardState.points[toPoint - 1].checkers[0] === getOpponentColor(currentPlayer)) {
-        hitOpponentChecker = true;
-        hitCheckerColor = getOpponentColor(currentPlayer);
+    const winner = variant.getWinner(board);
+    if (winner) {
+        finishGame(winner, variant.getWinType(board, winner));
+        return;
     }
 
-    if (isBearingOff) {
-        if (toPoint === 0) {
-            newBoardState.home.white++;
-        } else {
-            newBoardState.home.black++;
+    // In Acey-deucey a fully played 1-2 is followed by a double of the player's choice, and that
+    // double, fully played, by another roll: the same side stays on turn.
+    if (variant.hasAceyDeuceyBonus && play) {
+        if (isAceyDeuceyRoll(play.dice) && play.moves.length === 2) {
+            setAvailableDice([]);
+            setSelectedPoint(null);
+            setGameMessage('Acey-deucey! Choose the double to play next.');
+            setMoveHistory([]);
+            return;
         }
-        setBoardState(newBoardState);
-        setGameMessage(`${currentPlayer.charAt(0).toUpperCase() + currentPlayer.slice(1)} checker borne off!`);
-        setSelectedPoint(null);
-
-        let newAvailableDice = [...availableDice];
-        diceToConsume.forEach(die => {
-            const index = newAvailableDice.indexOf(die);
-            if (index > -1) {
-                newAvailableDice.splice(index, 1);
-            } else {
-                console.warn(`Attempted to consume die ${die} but it was not found in available dice:`, newAvailableDice);
-            }
-        });
-        setAvailableDice(newAvailableDice);
-        setPossibleMovesInfo([]);
-
-        setMoveHistory(prevHistory => [...prevHistory, {
-            fromPoint,
-            toPoint,
-            checkerColor: currentPlayer,
-            hitOpponentChecker: false,
-            hitCheckerColor: null,
-            usedDice: diceToConsume
-        }]);
-
-        if (newBoardState.home.white === 15 || newBoardState.home.black === 15) {
-            endTurn();
-        } else {
-            const hasMoreMoves = checkIfAnyPossibleMoves(newBoardState, currentPlayer, newAvailableDice);
-            if (newAvailableDice.length === 0 || !hasMoreMoves) {
-                setTimeout(endTurn, 1000);
-            }
+        const lastTurn = getLastTurn(transcript);
+        const wasBonusDouble = lastTurn && lastTurn.player === currentPlayer && isAceyDeuceyRoll(lastTurn.dice) &&
+            lastTurn.moves.length === 2 && play.dice[0] === play.dice[1];
+        if (wasBonusDouble && play.moves.length === 4) {
+            setDice([0, 0]);
+            setAvailableDice([]);
+            setSelectedPoint(null);
+            setGameMessage(`Bonus double played. ${currentPlayer.charAt(0).toUpperCase() + currentPlayer.slice(1)} rolls again!`);
+            setMoveHistory([]);
+            return;
         }
-        return;
     }
 
-    if (hitOpponentChecker) {
-      newBoardState.points[toPoint - 1].checkers.pop();
-      newBoardState.bar[hitCheckerColor]++;
-      setGameMessage(`Blot hit! ${hitCheckerColor.charAt(0).toUpperCase() + hitCheckerColor.slice(1)} checker sent to the bar.`);
-    }
+    const nextPlayer = getOpponentColor(currentPlayer);
+    setCurrentPlayer(nextPlayer);
+    setDice([0, 0]);
+    setAvailableDice([]);
+    setSelectedPoint(null);
+    setGameMessage(`Turn ended. It's now ${nextPlayer.charAt(0).toUpperCase() + nextPlayer.slice(1)}'s turn. Roll the dice!`);
+    setMoveHistory([]);
+  }, [isPlaying, finishGame, currentPlayer, variant, transcript]);
+
+  // Plays one entry of `possibleMovesInfo`: a checker moved with one or more dice.
+  const performMove = useCallback((moveInfo) => {
+    const newBoardState = applyPlay(boardState, currentPlayer, moveInfo.moves, variant.rules);
+    const newAvailableDice = moveInfo.diceUsed.reduce((remaining, die) => removeDie(remaining, die), availableDice);
 
-    newBoardState.points[toPoint - 1].checkers.push(checkerToMove);
     setBoardState(newBoardState);
+    setAvailableDice(newAvailableDice);
     setSelectedPoint(null);
-    setGameMessage("Move made!");
-
     setMoveHistory(prevHistory => [...prevHistory, {
-        fromPoint,
-        toPoint,
+        fromPoint: moveInfo.moves[0].from,
+        toPoint: moveInfo.targetPoint,
         checkerColor: currentPlayer,
-        hitOpponentChecker,
-        hitCheckerColor,
-        usedDice: diceToConsume
+        moves: moveInfo.moves,
+        usedDice: moveInfo.diceUsed,
+        boardBefore: boardState,
     }]);
 
-    let newAvailableDice = [...availableDice];
-    diceToConsume.forEach(die => {
-        const index = newAvailableDice.indexOf(die);
-        if (index > -1) {
-            newAvailableDice.splice(index, 1);
-        } else {
-                console.warn(`Attempted to consume die ${die} but it was not found in available dice:`, newAvailableDice);
-            }
-        });
-        setAvailableDice(newAvailableDice);
-        setPossibleMovesInfo([]);
-
-        const hasMoreMoves = checkIfAnyPossibleMoves(newBoardState, currentPlayer, newAvailableDice);
-        if (newAvailableDice.length === 0 || !hasMoreMoves) {
-            setTimeout(endTurn, 1000);
-        }
+    const opponentColor = getOpponentColor(currentPlayer);
+    if (isBearOffPoint(moveInfo.targetPoint)) {
+        setGameMessage(`${currentPlayer.charAt(0).toUpperCase() + currentPlayer.slice(1)} checker borne off!`);
+    } else if (moveInfo.moves.some(move => move.hit)) {
+        setGameMessage(variant.pinsBlots
+            ? `Blot pinned! The ${opponentColor} checker cannot move until it is released.`
+            : `Blot hit! ${opponentColor.charAt(0).toUpperCase() + opponentColor.slice(1)} checker sent to the bar.`);
+    } else {
+        setGameMessage("Move made!");
+    }
 
-    }, [boardState, availableDice, currentPlayer, getOpponentColor, checkIfAnyPossibleMoves, setMoveHistory, endTurn]);
+    const play = { dice, moves: [...moveHistory.flatMap(entry => entry.moves), ...moveInfo.moves] };
+    if (variant.getWinner(newBoardState)) {
+        endTurn(newBoardState, play);
+        return;
+    }
+    if (newAvailableDice.length === 0 || !hasAnyLegalMove(newBoardState, currentPlayer, newAvailableDice, variant.rules)) {
+        setTimeout(() => endTurn(newBoardState, play), 1000);
+    }
+  }, [boardState, availableDice, currentPlayer, dice, moveHistory, endTurn, variant]);
 
-    const rollDiceHandler = useCallback((die1, die2) => {
+    // `player` is only passed for the opening roll, where the side to move was decided in the same update.
+    const rollDiceHandler = useCallback((die1, die2, player = currentPlayer) => {
         if (!isPlaying) return;
-        const newAvailableDice = die1 === die2 ? [die1, die1, die1, die1] : [die1, die2];
+        const newAvailableDice = expandDice(die1, die2);
+        const turnStartBoard = beginTurn(boardState, player, [die1, die2], variant.rules);
+        setBoardState(turnStartBoard);
         setAvailableDice(newAvailableDice);
-        setGameMessage(`${currentPlayer === 'white' ? (currentUser?.displayName || 'White Player') : 'Black Player'} rolled a ${die1} and a ${die2}. Now make your move.`);
+        setGameMessage(`${player === 'white' ? whiteName : blackName} rolled a ${die1} and a ${die2}. Now make your move.`);
         setSelectedPoint(null);
-        setPossibleMovesInfo([]);
         setMoveHistory([]);
 
-        const initialPossibleMoves = checkIfAnyPossibleMoves(boardState, currentPlayer, newAvailableDice);
+        const initialPossibleMoves = hasAnyLegalMove(turnStartBoard, player, newAvailableDice, variant.rules);
 
-        if (boardState.bar[currentPlayer] > 0 && !initialPossibleMoves) {
-            setGameMessage(`${currentPlayer.charAt(0).toUpperCase() + currentPlayer.slice(1)} has checkers on the bar and no valid moves. Turn skipped.`);
-            setTimeout(endTurn, 2000);
+        if (turnStartBoard.bar[player] > 0 && !initialPossibleMoves) {
+            setGameMessage(`${player.charAt(0).toUpperCase() + player.slice(1)} has checkers on the bar and no valid moves. Turn skipped.`);
+            setTimeout(() => endTurn(turnStartBoard, { dice: [die1, die2], moves: [] }), 2000);
             return;
         } else if (!initialPossibleMoves) {
-            setGameMessage(`No possible moves for ${currentPlayer.charAt(0).toUpperCase() + currentPlayer.slice(1)} with these dice. Turn ends.`);
-            setTimeout(endTurn, 1500);
+            setGameMessage(`No possible moves for ${player.charAt(0).toUpperCase() + player.slice(1)} with these dice. Turn ends.`);
+            setTimeout(() => endTurn(turnStartBoard, { dice: [die1, die2], moves: [] }), 1500);
+        } else if (turnStartBoard.bar[player] > 0) {
+            setGameMessage(`${player.charAt(0).toUpperCase() + player.slice(1)} must re-enter checkers from the bar! Click on an available highlighted point to place your checker.`);
+        }
+    }, [isPlaying, currentPlayer, whiteName, blackName, boardState, endTurn, variant]);
+
+    // Plays `value`-`value` as the Acey-deucey bonus double.
+    const chooseBonusDouble = useCallback((value) => {
+        if (!awaitingBonusDouble) return;
+        setDice([value, value]);
+        rollDiceHandler(value, value);
+        if (hasAnyLegalMove(boardState, currentPlayer, expandDice(value, value), variant.rules)) {
+            setGameMessage(`${currentPlayer === 'white' ? whiteName : blackName} takes ${value}-${value} for the Acey-deucey bonus. Now make your move.`);
         }
-    }, [isPlaying, currentPlayer, currentUser, checkIfAnyPossibleMoves, boardState, endTurn, setMoveHistory]);
+    }, [awaitingBonusDouble, rollDiceHandler, boardState, currentPlayer, variant, whiteName, blackName]);
+
+    // Every die of the match, for either side, comes from the match's seeded dice service.
+    const drawDice = useCallback((count) => diceServiceRef.current.roll(count), []);
+
+    // Records one side's opening die; the opening-roll effect below decides who starts once both are in.
+    const rollOpeningDie = useCallback((color, die) => {
+        setOpeningRoll(prevOpeningRoll => prevOpeningRoll && { ...prevOpeningRoll, [color]: die });
+    }, []);
 
 
     const startMatch = () => {
-        setPlayerScore(0);
-        setOpponentScore(0);
-        setGameMessage(`Match started! First to ${Math.ceil(matchFormat / 2)} games wins. White rolls first!`);
+        diceServiceRef.current = createDiceService();
+        setDiceCommitment(diceServiceRef.current.commitment);
+        setMatchState(createMatch(matchLength, gameType));
+        setTranscript(createTranscript(gameType));
+        setIsPractice(false);
+        setIsAnalysis(false);
+        setGameMessage(`${getVariantLabel(gameType)} match started! First to ${matchLength} point${matchLength === 1 ? '' : 's'} wins. Roll your opening die to decide who moves first.`);
         setIsPlaying(true);
         setDice([0,0]);
         setAvailableDice([]);
         setCurrentPlayer('white');
-        initializeBoard();
+        initializeBoard(getGameVariantId(gameType, 1));
+        setCube(createCube());
+        setPendingDouble(null);
+        setOpeningRoll(NEW_OPENING_ROLL);
         setSelectedPoint(null);
-        setPossibleMovesInfo([]);
-        setMustReenterFromBar(false);
         setMoveHistory([]);
     };
 
-    const closeModal = () => {
-        setShowModal(false);
+    // Starts an unrecorded practice game from a given position, score and cube. Dice that were already
+    // rolled are kept when they can be played; otherwise the side on roll starts by rolling.
+    const startPracticeGame = ({ position, playerOnRoll, dice: rolledDice, matchLength: practiceLength, score, crawford, cube: practiceCube, analysis }) => {
+        const playable = rolledDice[0] !== 0 && hasAnyLegalMove(position, playerOnRoll, expandDice(...rolledDice));
+        const sideName = playerOnRoll === WHITE ? 'White' : 'Black';
+
+        diceServiceRef.current = createDiceService();
+        setDiceCommitment(diceServiceRef.current.commitment);
+        setMatchState(score ? createMatchAtScore(practiceLength, score, crawford) : createMatch(practiceLength));
+        setTranscript(createTranscript());
+        setIsPractice(true);
+        setIsAnalysis(analysis);
+        setIsPlaying(true);
+        setBoardState(position);
+        setCube(practiceCube);
+        setPendingDouble(null);
+        setOpeningRoll(null);
+        setCurrentPlayer(playerOnRoll);
+        setDice(playable ? rolledDice : [0, 0]);
+        setAvailableDice(playable ? expandDice(...rolledDice) : []);
+        setSelectedPoint(null);
+        setMoveHistory([]);
+        setGameMessage(`Practice position loaded. ${sideName} is on roll.` +
+            (rolledDice[0] !== 0 && !playable ? ` ${sideName} has no legal move with ${rolledDice.join('-')}, so roll again.` : ''));
     };
 
-    const undoLastMove = useCallback(() => {
-        if (moveHistory.length === 0) {
-            setGameMessage("No moves to undo!");
+    // Loads a pasted GNU Backgammon ID. With a Match ID the score, cube, side on roll and any dice
+    // already rolled are taken from it as well; a lone Position ID has White on roll.
+    const loadPracticePosition = () => {
+        const { position, match, error } = parseGnubgId(gnubgIdInput);
+        if (error) {
+            setGameMessage(`Could not load that ID: ${error}`);
+            return;
+        }
+        if (match && match.matchLength === 0) {
+            setGameMessage("Could not load that ID: it is from a money game, and only match play is supported.");
             return;
         }
 
-        const lastMove = moveHistory[moveHistory.length - 1];
-        const newMoveHistory = moveHistory.slice(0, -1);
-        setMoveHistory(newMoveHistory);
+        startPracticeGame({
+            position,
+            playerOnRoll: match ? match.playerOnRoll : WHITE,
+            dice: match ? match.dice : [0, 0],
+            matchLength: match ? match.matchLength : matchLength,
+            score: match ? match.score : null,
+            crawford: match ? match.crawford : false,
+            cube: match ? match.cube : createCube(),
+            analysis: false,
+        });
+    };
 
-        const newBoardState = JSON.parse(JSON.stringify(boardState));
+    // Asks before a practice game or the editor replaces a match that is still being played.
+    // A match replaced this way is abandoned and counts as a forfeit.
+    const confirmLeavingMatch = (message, action) => {
+        if (onlineGame) {
+            setGameMessage("Leave the online game first.");
+            return;
+        }
+        if (isPlaying && !isPractice) {
+            setConfirmModalAction(() => () => {
+                setShowConfirmModal(false);
+                recordMatchResult({
+                    match: matchState,
+                    matchTranscript: transcript,
+                    diceRecord: diceServiceRef.current.reveal(),
+                    playerWon: false,
+                    difficulty: computerDifficulty,
+                    forfeit: true,
+                });
+                clearSavedMatch(userId);
+                action();
+            });
+            setModalMessage(message);
+            setShowConfirmModal(true);
+            return;
+        }
+        action();
+    };
 
-        const isBearingOffMove = (lastMove.toPoint === 0 || lastMove.toPoint === 25);
+    // --- Resuming an unfinished match ---
 
-        if (isBearingOffMove) {
-            if (lastMove.toPoint === 0) {
-                newBoardState.home.white--;
-            } else {
-                newBoardState.home.black--;
-            }
-            newBoardState.points[lastMove.fromPoint - 1].checkers.push(lastMove.checkerColor);
-        } else {
-            if (!newBoardState.points[lastMove.toPoint - 1] || newBoardState.points[lastMove.toPoint - 1].checkers.length === 0 ||
-                newBoardState.points[lastMove.toPoint - 1].checkers[newBoardState.points[lastMove.toPoint - 1].checkers.length - 1] !== lastMove.checkerColor) {
-                console.error("Error during undo: No checker of correct color at toPoint to move back.");
-                setGameMessage("Error undoing move. Please restart game if issues persist.");
-                return;
-            }
-            newBoardState.points[lastMove.toPoint - 1].checkers.pop();
-            if (lastMove.fromPoint === 'bar') {
-                newBoardState.bar[lastMove.checkerColor]++;
-            } else {
-                newBoardState.points[lastMove.fromPoint - 1].checkers.push(lastMove.checkerColor);
-            }
+    // Snapshots the match against the AI Opponent after every change.
+    useEffect(() => {
+        if (!userId || !isPlaying || isPractice || onlineGame || getMatchWinner(matchState)) return;
+        saveMatchSnapshot(userId, {
+            board: boardState,
+            dice,
+            availableDice,
+            currentPlayer,
+            moveHistory,
+            match: matchState,
+            cube,
+            pendingDouble,
+            openingRoll,
+            transcript,
+            computerDifficulty,
+            diceRolls: diceServiceRef.current.getRolls(),
+        });
+    }, [userId, isPlaying, isPractice, onlineGame, boardState, dice, availableDice, currentPlayer, moveHistory, matchState, cube, pendingDouble, openingRoll, transcript, computerDifficulty]);
+
+    const resumeMatch = () => {
+        const saved = unfinishedMatch;
+        setUnfinishedMatch(null);
+        diceServiceRef.current = createDiceService(createSeed(), saved.diceRolls);
+        setDiceCommitment(diceServiceRef.current.commitment);
+        setMatchLength(saved.match.matchLength);
+        setGameType(saved.match.variant || DEFAULT_VARIANT);
+        setComputerDifficulty(saved.computerDifficulty);
+        setMatchState(saved.match);
+        setTranscript(saved.transcript);
+        setBoardState(saved.board);
+        setDice(saved.dice);
+        setAvailableDice(saved.availableDice);
+        setCurrentPlayer(saved.currentPlayer);
+        setCube(saved.cube);
+        setPendingDouble(saved.pendingDouble);
+        setOpeningRoll(saved.openingRoll);
+        setSelectedPoint(null);
+        setMoveHistory(saved.moveHistory || []);
+        setIsPractice(false);
+        setIsAnalysis(false);
+        setIsPlaying(true);
+        setGameMessage(`Match resumed. ${saved.currentPlayer === WHITE ? 'Your' : "AI Opponent's"} turn.`);
+    };
+
+    const abandonMatch = () => {
+        const saved = unfinishedMatch;
+        setUnfinishedMatch(null);
+        clearSavedMatch(userId);
+        recordMatchResult({
+            match: saved.match,
+            matchTranscript: saved.transcript,
+            diceRecord: { rolls: saved.diceRolls },
+            playerWon: false,
+            difficulty: saved.computerDifficulty,
+            forfeit: true,
+        });
+        setGameMessage("Match abandoned. It counts as a forfeit. Click 'Start New Match' to play again!");
+    };
+
+    // --- Online play ---
+
+    const createOnlineGame = async () => {
+        if (!userId) {
+            setGameMessage("Sign in to play online.");
+            return;
+        }
+        const player = { id: userId, name: currentUser?.displayName || 'Anonymous Player' };
+        const gameId = await DataService.createGameRoom(createRoom(matchLength, player, { variant: gameType }));
+        if (!gameId) {
+            setGameMessage("Could not create an online game. Please try again.");
+            return;
         }
+        setOnlineGame({ gameId, color: WHITE });
+        setGameMessage(`Online game created. You play White; share the game ID ${gameId} with your opponent.`);
+    };
 
-        if (lastMove.hitOpponentChecker && lastMove.hitCheckerColor) {
-            newBoardState.bar[lastMove.hitCheckerColor]--;
-            if (lastMove.toPoint !== 0 && lastMove.toPoint !== 25) {
-                newBoardState.points[lastMove.toPoint - 1].checkers.push(lastMove.hitCheckerColor);
-            }
+    const openOnlineGame = useCallback(async (gameId) => {
+        if (!userId) {
+            setGameMessage("Sign in to play online.");
+            return;
+        }
+        const player = { id: userId, name: currentUser?.displayName || 'Anonymous Player' };
+        const { color, error } = await DataService.joinGameRoom(gameId, player);
+        if (error) {
+            setGameMessage(error);
+            return;
         }
+        // Switching rooms starts over from the new room's state.
+        setOnlineRoom(null);
+        setIsPlaying(false);
+        setPendingDouble(null);
+        setOpeningRoll(null);
+        setOnlineGame({ gameId, color });
+        setGameMessage(`Joined the online game. You play ${color === WHITE ? 'White' : 'Black'}.`);
+    }, [userId, currentUser]);
 
-        setBoardState(newBoardState);
+    const joinOnlineGame = () => openOnlineGame(joinGameId.trim());
 
-        setAvailableDice(prevDice => {
-            let tempDice = [...prevDice];
-            lastMove.usedDice.forEach(die => {
-                tempDice.push(die);
-            });
-            return tempDice.sort((a, b) => b - a);
-        });
+    useEffect(() => {
+        if (!gameToOpen) return;
+        onGameOpened();
+        openOnlineGame(gameToOpen);
+    }, [gameToOpen, onGameOpened, openOnlineGame]);
+
+    const leaveOnlineGame = () => {
+        setOnlineGame(null);
+        setOnlineRoom(null);
+        setIsPlaying(false);
+        setPendingDouble(null);
+        setOpeningRoll(null);
+        setGameMessage("You left the online game. You can rejoin it with the same game ID.");
+    };
+
+    useEffect(() => {
+        if (!onlineGame) return;
+        appliedRoomRef.current = null;
+        lastSyncedRoomRef.current = null;
+        const unsubscribe = DataService.getGameRoom(onlineGame.gameId, setOnlineRoom);
+        return () => unsubscribe();
+    }, [onlineGame]);
+
+    // Applies the other side's changes from the room. Echoes of this browser's own writes match the
+    // last synced state and are skipped.
+    useEffect(() => {
+        if (!onlineGame || !onlineRoom || onlineRoom === appliedRoomRef.current) return;
+        appliedRoomRef.current = onlineRoom;
+        if (onlineRoom.status === ROOM_STATUS.WAITING || (onlineRoom.status === ROOM_STATUS.FINISHED && !isPlaying)) return;
+
+        const remoteState = onlineRoom.state;
+        const remoteKey = getRoomStateKey(remoteState);
+        if (lastSyncedRoomRef.current && lastSyncedRoomRef.current.key === remoteKey) return;
+        lastSyncedRoomRef.current = { state: remoteState, key: remoteKey };
+
+        if (!isPlaying) {
+            // This browser's side rolls from its own seeded dice.
+            diceServiceRef.current = createDiceService();
+            setDiceCommitment(diceServiceRef.current.commitment);
+            setIsPractice(false);
+            setIsAnalysis(false);
+            setEditor(null);
+            setIsPlaying(true);
+        } else if (remoteState.match.games.length > matchState.games.length && !getMatchWinner(remoteState.match)) {
+            const finishedGame = remoteState.transcript.games[remoteState.transcript.games.length - 1];
+            setModalMessage(`${describeGameResult(finishedGame.result)}!`);
+            setShowModal(true);
+        }
 
+        setBoardState(remoteState.board);
+        setDice(remoteState.dice);
+        setAvailableDice(remoteState.availableDice);
+        setCurrentPlayer(remoteState.currentPlayer);
+        setMatchState(remoteState.match);
+        setCube(remoteState.cube);
+        setPendingDouble(remoteState.pendingDouble);
+        setOpeningRoll(remoteState.openingRoll);
+        setTranscript(remoteState.transcript);
         setSelectedPoint(null);
-        setPossibleMovesInfo([]);
-        setGameMessage(`Last move undone.`);
+        setMoveHistory([]);
 
-        if (newBoardState.bar[currentPlayer] > 0) {
-            setMustReenterFromBar(true);
-            const updatedAvailableDice = [...availableDice, ...lastMove.usedDice];
-            const availableEntryMoves = calculatePossibleMoves('bar', updatedAvailableDice, currentPlayer, newBoardState);
-            setPossibleMovesInfo(availableEntryMoves);
+        const lastGame = remoteState.transcript.games[remoteState.transcript.games.length - 1];
+        const lastEntry = lastGame && lastGame.entries[lastGame.entries.length - 1];
+        const opponentAction = lastEntry && lastEntry.player !== onlineGame.color ? `${describeTranscriptEntry(lastEntry)}. ` : '';
+        if (remoteState.openingRoll) {
+            setGameMessage(remoteState.openingRoll[onlineGame.color] === 0
+                ? "Roll your opening die to decide who moves first."
+                : "Waiting for your opponent's opening die...");
         } else {
-            setMustReenterFromBar(false);
+            setGameMessage(opponentAction + (remoteState.currentPlayer === onlineGame.color ? "Your turn." : "Waiting for your opponent..."));
+        }
+    }, [onlineGame, onlineRoom, isPlaying, matchState]);
+
+    // Writes this browser's own changes to the room.
+    useEffect(() => {
+        if (!onlineGame || !isPlaying) return;
+        const state = {
+            board: boardState,
+            dice,
+            availableDice,
+            currentPlayer,
+            match: matchState,
+            cube,
+            pendingDouble,
+            openingRoll,
+            transcript,
+        };
+        const key = getRoomStateKey(state);
+        const lastSynced = lastSyncedRoomRef.current;
+        if (lastSynced && lastSynced.key === key) return;
+        DataService.updateGameRoom(onlineGame.gameId, getRoomUpdate(lastSynced && lastSynced.state, state, onlineGame.color));
+        lastSyncedRoomRef.current = { state, key };
+    }, [onlineGame, isPlaying, boardState, dice, availableDice, currentPlayer, matchState, cube, pendingDouble, openingRoll, transcript]);
+
+    // --- Position editor ---
+
+    const openEditor = () => {
+        setIsPlaying(false);
+        setPendingDouble(null);
+        setOpeningRoll(null);
+        setAvailableDice([]);
+        setSelectedPoint(null);
+        setEditor({
+            position: isPlaying ? clonePosition(boardState) : createInitialPosition(),
+            color: WHITE,
+            action: 'add',
+            playerOnRoll: isPlaying ? currentPlayer : WHITE,
+            dice: [0, 0],
+        });
+        setGameMessage("Editing a position. Click a point, the bar or a tray to add or remove a checker.");
+    };
+
+    const editPosition = (location) => {
+        const edit = editor.action === 'add' ? addChecker : removeChecker;
+        const { position, error } = edit(editor.position, location, editor.color);
+        if (error) {
+            setGameMessage(error);
+            return;
+        }
+        setEditor({ ...editor, position });
+    };
+
+    const startFromEditor = (analysis) => {
+        const error = validatePosition(editor.position, editor.playerOnRoll, editor.dice);
+        if (error) {
+            setGameMessage(`This position cannot be played: ${error}`);
+            return;
+        }
+        setEditor(null);
+        startPracticeGame({
+            position: editor.position,
+            playerOnRoll: editor.playerOnRoll,
+            dice: editor.dice,
+            matchLength,
+            score: null,
+            crawford: false,
+            cube: createCube(),
+            analysis,
+        });
+    };
+
+    const copyToClipboard = (text) => {
+        if (!navigator.clipboard) {
+            setGameMessage("Copying is not available in this browser. Select the text to copy it.");
+            return;
+        }
+        navigator.clipboard.writeText(text).then(() => setGameMessage(`Copied ${text}`));
+    };
+
+    // Doubling happens before the roll: the side on turn offers, the other side takes or drops.
+    const canDoubleNow = cubeInUse && isPlaying && openingRoll === null && dice[0] === 0 && availableDice.length === 0 && pendingDouble === null &&
+        canOfferDouble(cube, currentPlayer, matchState);
+
+    const offerDouble = () => {
+        if (!canDoubleNow || !canActFor(currentPlayer)) return;
+        setPendingDouble(currentPlayer);
+        setTranscript(prevTranscript => recordDouble(prevTranscript, currentPlayer, cube.value * 2));
+        setGameMessage(isAnalysis
+            ? `${currentPlayer === WHITE ? 'White' : 'Black'} offers a double to ${cube.value * 2}.`
+            : `You offer a double to ${cube.value * 2}. Waiting for ${onlineGame ? 'your opponent' : 'the AI Opponent'} to answer...`);
+    };
+
+    // Taking turns the cube over to the taker and play continues; dropping concedes the game at the current value.
+    const answerDouble = useCallback((taken) => {
+        if (pendingDouble === null) return;
+        const taker = getOpponentColor(pendingDouble);
+        if (taken) {
+            setCube(acceptDouble(cube, taker));
+            setPendingDouble(null);
+            setTranscript(prevTranscript => recordTake(prevTranscript, taker, cube.value * 2));
+            setGameMessage(`${taker.charAt(0).toUpperCase() + taker.slice(1)} takes. The cube is now at ${cube.value * 2}. ${pendingDouble.charAt(0).toUpperCase() + pendingDouble.slice(1)} to roll.`);
+        } else {
+            setTranscript(prevTranscript => recordDrop(prevTranscript, taker));
+            finishGame(pendingDouble, WIN_TYPES.SINGLE, { doubleDropped: true });
+        }
+    }, [pendingDouble, cube, finishGame]);
+
+    const closeModal = () => {
+        setShowModal(false);
+    };
+
+    // Each history entry keeps the board from before the move, so undoing restores it exactly.
+    const undoLastMove = useCallback(() => {
+        if (moveHistory.length === 0) {
+            setGameMessage("No moves to undo!");
+            return;
         }
 
-    }, [moveHistory, boardState, availableDice, currentPlayer, setAvailableDice, setSelectedPoint, setPossibleMovesInfo, setGameMessage, setMustReenterFromBar, calculatePossibleMoves]); // Removed `getOpponentColor` and `isPointBlocked` as they are no longer direct dependencies of `undoLastMove`
+        const lastMove = moveHistory[moveHistory.length - 1];
+        setMoveHistory(moveHistory.slice(0, -1));
+        setBoardState(lastMove.boardBefore);
+        setAvailableDice(prevDice => [...prevDice, ...lastMove.usedDice].sort((a, b) => b - a));
+        setSelectedPoint(null);
+        setGameMessage(`Last move undone.`);
+    }, [moveHistory]);
 
     useEffect(() => {
-        initializeBoard();
+        initializeBoard(DEFAULT_VARIANT);
     }, [initializeBoard]);
 
     useEffect(() => {
-        if (isPlaying) {
-            if (playerScore >= Math.ceil(matchFormat / 2)) {
-                endMatch(true);
-            } else if (opponentScore >= Math.ceil(matchFormat / 2)) {
-                endMatch(false);
-            }
+        const matchWinner = getMatchWinner(matchState);
+        if (isPlaying && matchWinner) {
+            endMatch(matchWinner === humanColor);
         }
-    }, [playerScore, opponentScore, isPlaying, matchFormat, endMatch]);
+    }, [matchState, isPlaying, humanColor, endMatch]);
 
 
+    // Once both opening dice are in, the higher one moves first with both numbers; a tie is rolled again.
+    // Online only white clears the tied dice, both in one write, and black waits to see them cleared.
     useEffect(() => {
-        if (isPlaying && boardState.bar[currentPlayer] > 0) {
-            setMustReenterFromBar(true);
-            setGameMessage(`${currentPlayer.charAt(0).toUpperCase() + currentPlayer.slice(1)} must re-enter checkers from the bar! Click on an available highlighted point to place your checker.`);
-            if (availableDice.length > 0) {
-                const availableEntryMoves = calculatePossibleMoves('bar', availableDice, currentPlayer, boardState);
-                setPossibleMovesInfo(availableEntryMoves);
-            }
-        } else {
-            setMustReenterFromBar(false);
-            if(selectedPoint === null && possibleMovesInfo.length > 0) {
-                setPossibleMovesInfo([]);
-            }
+        if (!openingRoll || openingRoll[WHITE] === 0 || openingRoll[BLACK] === 0) return;
+
+        const starter = getOpeningRollWinner(openingRoll[WHITE], openingRoll[BLACK]);
+        if (!starter) {
+            setGameMessage(`Both sides rolled a ${openingRoll[WHITE]}. Roll again!`);
+            if (onlineGame && onlineGame.color !== WHITE) return;
+            const rerollTimer = setTimeout(() => setOpeningRoll(NEW_OPENING_ROLL), 1500);
+            return () => clearTimeout(rerollTimer);
         }
-    }, [boardState.bar, currentPlayer, isPlaying, availableDice, selectedPoint, calculatePossibleMoves, boardState, possibleMovesInfo.length]);
 
+        setOpeningRoll(null);
+        setCurrentPlayer(starter);
+        setDice([openingRoll[WHITE], openingRoll[BLACK]]);
+        rollDiceHandler(openingRoll[WHITE], openingRoll[BLACK], starter);
+        setGameMessage(`${starter === WHITE ? 'White' : 'Black'} wins the opening roll ${openingRoll[WHITE]}-${openingRoll[BLACK]} and plays those two numbers.`);
+    }, [openingRoll, onlineGame, rollDiceHandler]);
 
+    // The computer throws its opening die on its own.
     useEffect(() => {
-        if (selectedPoint !== null && availableDice.length > 0) {
-            const moves = calculatePossibleMoves(selectedPoint, availableDice, currentPlayer, boardState);
-            if (JSON.stringify(moves) !== JSON.stringify(possibleMovesInfo)) {
-                setPossibleMovesInfo(moves);
-            }
-        } else if (selectedPoint === null && possibleMovesInfo.length > 0 && !mustReenterFromBar) {
-            setPossibleMovesInfo([]);
+        if (!isPlaying || onlineGame || !openingRoll || openingRoll[COMPUTER_COLOR] !== 0 || showModal) return;
+        const openingTimer = setTimeout(() => {
+            const [die] = drawDice(1);
+            rollOpeningDie(COMPUTER_COLOR, die);
+        }, 800);
+        return () => clearTimeout(openingTimer);
+    }, [isPlaying, onlineGame, openingRoll, showModal, drawDice, rollOpeningDie]);
+
+    // The computer rolls as soon as its turn starts, then plays its chosen moves one at a time.
+    // If the board no longer matches its plan, it simply plans again from the current position.
+    useEffect(() => {
+        if (!isPlaying || openingRoll || currentPlayer !== computerColor || showModal || pendingDouble !== null) return;
+
+        if (awaitingBonusDouble) {
+            const bonusTimer = setTimeout(() => {
+                chooseBonusDouble(chooseAceyDeuceyDouble(boardState, COMPUTER_COLOR, computerDifficulty, variant));
+            }, 800);
+            return () => clearTimeout(bonusTimer);
         }
-    }, [selectedPoint, availableDice, currentPlayer, boardState, calculatePossibleMoves, possibleMovesInfo, mustReenterFromBar]);
 
+        if (dice[0] === 0) {
+            computerPlanRef.current = null;
+            const wantsToDouble = cubeInUse && canOfferDouble(cube, COMPUTER_COLOR, matchState) &&
+                shouldOfferDouble(boardState, COMPUTER_COLOR, computerDifficulty, variant);
+            const rollTimer = setTimeout(() => {
+                if (wantsToDouble) {
+                    setPendingDouble(COMPUTER_COLOR);
+                    setTranscript(prevTranscript => recordDouble(prevTranscript, COMPUTER_COLOR, cube.value * 2));
+                    setGameMessage(`The AI Opponent offers a double to ${cube.value * 2}.`);
+                    return;
+                }
+                const [die1, die2] = drawDice(2);
+                setDice([die1, die2]);
+                rollDiceHandler(die1, die2);
+            }, 800);
+            return () => clearTimeout(rollTimer);
+        }
 
-    const handlePointClick = (pointNumber) => {
+        if (availableDice.length === 0) return;
+        let nextMove = getPlannedMove(computerPlanRef.current, boardState, availableDice);
+        if (!nextMove) {
+            computerPlanRef.current = planComputerTurn(boardState, COMPUTER_COLOR, availableDice, computerDifficulty, variant);
+            nextMove = getPlannedMove(computerPlanRef.current, boardState, availableDice);
+        }
+        if (!nextMove) return;
+        const moveTimer = setTimeout(() => {
+            performMove({ targetPoint: nextMove.to, diceUsed: [nextMove.die], moves: [nextMove] });
+        }, 700);
+        return () => clearTimeout(moveTimer);
+    }, [isPlaying, openingRoll, currentPlayer, computerColor, showModal, pendingDouble, cube, cubeInUse, matchState, variant, dice, availableDice, boardState, computerDifficulty, drawDice, rollDiceHandler, performMove, awaitingBonusDouble, chooseBonusDouble]);
+
+    // The computer answers a double offered to it after a short pause.
+    useEffect(() => {
+        if (computerColor === null || pendingDouble !== getOpponentColor(computerColor)) return;
+        const answerTimer = setTimeout(() => {
+            answerDouble(shouldAcceptDouble(boardState, COMPUTER_COLOR, computerDifficulty, variant));
+        }, 1000);
+        return () => clearTimeout(answerTimer);
+    }, [pendingDouble, computerColor, boardState, computerDifficulty, variant, answerDouble]);
+
+    // Whether the player may move a checker right now; if not, the message says why.
+    const checkCanMoveChecker = () => {
+        if (isPlaying && openingRoll) {
+            setGameMessage("Roll your opening die first to decide who moves first.");
+            return false;
+        }
+        if (!canActFor(currentPlayer)) {
+            setGameMessage(onlineGame ? "It's your opponent's turn." : "Please wait while the AI Opponent plays its turn.");
+            return false;
+        }
+        if (awaitingBonusDouble) {
+            setGameMessage("Choose the double for your Acey-deucey bonus first.");
+            return false;
+        }
         if (!isPlaying || availableDice.length === 0) {
             setGameMessage("Please roll the dice and ensure moves are available!");
+            return false;
+        }
+        return true;
+    };
+
+    // Selects the checker to move from `location` (a point, ENTRY or a tray), or says why it cannot move.
+    const selectChecker = (location) => {
+        if (location === ENTRY) {
+            if (getCheckerMoves(boardState, currentPlayer, ENTRY, availableDice, variant.rules).length === 0) {
+                setGameMessage(explainIllegalMove(boardState, currentPlayer, availableDice, ENTRY, undefined, variant.rules) ||
+                    "None of your checkers can enter with these dice.");
+                setSelectedPoint(null);
+                return;
+            }
+            setSelectedPoint(ENTRY);
+            setGameMessage("Selected a checker to enter. Now choose a destination.");
+            return;
+        }
+
+        if (isBearOffPoint(location)) {
+            setGameMessage("You cannot select checkers from the bear-off area.");
+            setSelectedPoint(null);
             return;
         }
 
+        // The checker on top is the one that moves; in Plakoto a pinned checker lies under it.
+        const pointCheckers = boardState.points[location - 1].checkers;
+        if (pointCheckers.length > 0 && pointCheckers[pointCheckers.length - 1] === currentPlayer) {
+            if (getCheckerMoves(boardState, currentPlayer, location, availableDice, variant.rules).length === 0) {
+                const isHeadClosed = boardState.headMovesLeft === 0 && location === variant.getPath(currentPlayer)[0];
+                setGameMessage(explainIllegalMove(boardState, currentPlayer, availableDice, location, undefined, variant.rules) ||
+                    (isHeadClosed ? 'No more checkers may leave the head this turn.'
+                        : `The checker on point ${location} has no legal move with these dice.`));
+                setSelectedPoint(null);
+                return;
+            }
+            setSelectedPoint(location);
+            setGameMessage(`Selected checker from point ${location}. Now choose a destination.`);
+        } else {
+            setGameMessage("You don't have checkers on this point or it's not your turn. Please select your own checker.");
+            setSelectedPoint(null);
+        }
+    };
+
+    const handlePointClick = (pointNumber) => {
+        if (!checkCanMoveChecker()) return;
+
         if (selectedPoint === pointNumber) {
             setSelectedPoint(null);
-            setPossibleMovesInfo([]);
             setGameMessage("Checker deselected.");
             return;
         }
 
-        const isClickOnBearOffArea = (pointNumber === 0 || pointNumber === 25);
+        const isClickOnBearOffArea = isBearOffPoint(pointNumber);
         const targetMoveInfo = possibleMovesInfo.find(move => move.targetPoint === pointNumber);
 
         if (mustReenterFromBar) {
@@ -1448,37 +2982,35 @@ const BackgammonGame = ({ onMatchEnd }) => {
                 return;
             }
             if (targetMoveInfo) {
-                performMove('bar', pointNumber, targetMoveInfo.diceUsed);
+                performMove(targetMoveInfo);
             } else {
-                setGameMessage("You must re-enter checkers from the bar. Please click one of the highlighted points.");
+                setGameMessage(explainIllegalMove(boardState, currentPlayer, availableDice, BAR, pointNumber, variant.rules) ||
+                    "You must re-enter checkers from the bar. Please click one of the highlighted points.");
             }
             return;
         }
 
         if (selectedPoint !== null && targetMoveInfo) {
-            performMove(selectedPoint, pointNumber, targetMoveInfo.diceUsed);
+            performMove(targetMoveInfo);
         } else {
-            if (isClickOnBearOffArea) {
-                setGameMessage("You cannot select checkers from the bear-off area.");
-                setSelectedPoint(null);
-                setPossibleMovesInfo([]);
+            // A move the dice allow but the whole-turn rules forbid is refused with the reason.
+            const illegalMoveReason = selectedPoint !== null &&
+                explainIllegalMove(boardState, currentPlayer, availableDice, selectedPoint, pointNumber, variant.rules);
+            if (illegalMoveReason) {
+                setGameMessage(illegalMoveReason);
                 return;
             }
-
-            const pointCheckers = boardState.points[pointNumber - 1].checkers;
-            if (pointCheckers.length > 0 && pointCheckers[0] === currentPlayer) {
-                setSelectedPoint(pointNumber);
-                const calculatedMoves = calculatePossibleMoves(pointNumber, availableDice, currentPlayer, boardState);
-                setPossibleMovesInfo(calculatedMoves);
-                setGameMessage(`Selected checker from point ${pointNumber}. Now choose a destination.`);
-            } else {
-                setGameMessage("You don't have checkers on this point or it's not your turn. Please select your own checker.");
-                setSelectedPoint(null);
-                setPossibleMovesInfo([]);
-            }
+            selectChecker(pointNumber);
         }
     };
 
+    // Dragging a checker selects it as a first click would; the drop then plays like a click on the
+    // target. Checkers on the bar are the only ones that may move, so they need no selecting.
+    const startCheckerDrag = (location) => {
+        if (location === BAR || location === selectedPoint || !checkCanMoveChecker()) return;
+        selectChecker(location);
+    };
+
     return (
         <div className="bg-white p-6 rounded-xl shadow-2xl max-w-5xl mx-auto my-8">
             <h2 className="text-3xl font-extrabold text-blue-800 mb-6 text-center">Play Backgammon</h2>
@@ -1489,22 +3021,59 @@ const BackgammonGame = ({ onMatchEnd }) => {
             <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
                 <div className="p-4 bg-blue-50 rounded-lg shadow-inner col-span-1">
                     <h3 className="text-xl font-bold text-blue-700 mb-3">Match Settings</h3>
-                    <label htmlFor="match-format" className="block text-gray-700 font-medium mb-2">
-                        Match Format (Best of N games):
+                    <label htmlFor="match-length" className="block text-gray-700 font-medium mb-2">
+                        Match Length (points):
+                    </label>
+                    <select
+                        id="match-length"
+                        className="w-full p-2 border border-gray-300 rounded-lg bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400"
+                        value={matchLength}
+                        onChange={(e) => setMatchLength(parseInt(e.target.value))}
+                        disabled={isPlaying}
+                    >
+                        {MATCH_LENGTHS.map(length => (
+                            <option key={length} value={length}>{length} point{length === 1 ? '' : 's'}</option>
+                        ))}
+                    </select>
+                    <label htmlFor="game-type" className="block text-gray-700 font-medium mt-4 mb-2">
+                        Game Type:
+                    </label>
+                    <select
+                        id="game-type"
+                        className="w-full p-2 border border-gray-300 rounded-lg bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400"
+                        value={gameType}
+                        onChange={(e) => setGameType(e.target.value)}
+                        disabled={isPlaying}
+                    >
+                        {GAME_TYPES.map(option => (
+                            <option key={option.id} value={option.id}>{option.label}</option>
+                        ))}
+                    </select>
+                    <label htmlFor="computer-difficulty" className="block text-gray-700 font-medium mt-4 mb-2">
+                        AI Opponent Difficulty:
                     </label>
                     <select
-                        id="match-format"
+                        id="computer-difficulty"
                         className="w-full p-2 border border-gray-300 rounded-lg bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400"
-                        value={matchFormat}
-                        onChange={(e) => setMatchFormat(parseInt(e.target.value))}
+                        value={computerDifficulty}
+                        onChange={(e) => setComputerDifficulty(e.target.value)}
                         disabled={isPlaying}
                     >
-                        <option value={7}>Best of 7</option>
-                        <option value={9}>Best of 9</option>
-                        <option value={11}>Best of 11</option>
-                        <option value={13}>Best of 13</option>
-                        <option value={15}>Best of 15</option>
+                        {COMPUTER_DIFFICULTIES.map(level => (
+                            <option key={level.id} value={level.id}>{level.label}</option>
+                        ))}
                     </select>
+                    <p className="block text-gray-700 font-medium mt-4 mb-2">Board Display:</p>
+                    {BOARD_OVERLAYS.map(overlay => (
+                        <label key={overlay.id} className="flex items-center gap-2 text-gray-700">
+                            <input
+                                type="checkbox"
+                                checked={boardOverlays[overlay.id]}
+                                onChange={(e) => setBoardOverlays({ ...boardOverlays, [overlay.id]: e.target.checked })}
+                            />
+                            {overlay.label}
+                        </label>
+                    ))}
                 </div>
 
                 <div className="p-4 bg-green-50 rounded-lg shadow-inner flex flex-col justify-between col-span-2">
@@ -1515,10 +3084,29 @@ const BackgammonGame = ({ onMatchEnd }) => {
                     <div className="mt-4 text-center">
                         <p className="text-2xl font-bold text-gray-800">
                             Score: {playerScore} - {opponentScore}
+                            <span className="text-base font-medium text-gray-600"> (first to {matchState.matchLength})</span>
                         </p>
+                        {isPlaying && matchState.variant === TAVLI && (
+                            <p className="text-md font-semibold text-gray-700 mt-1">
+                                Game {matchState.games.length + 1}: {variant.label} · Next: {getVariantLabel(getGameVariantId(TAVLI, matchState.games.length + 2))}
+                            </p>
+                        )}
+                        {isPlaying && cubeInUse && matchState.isCrawfordGame && (
+                            <p className="text-md font-semibold text-red-600 mt-1">Crawford game</p>
+                        )}
+                        {isPlaying && cubeInUse && (
+                            <p className="text-md text-gray-600 mt-1">
+                                Cube: {cube.value} {cube.owner ? `(owned by ${cube.owner === WHITE ? 'White' : 'Black'})` : '(centered)'}
+                            </p>
+                        )}
                         {isPlaying && availableDice.length > 0 && (
                             <p className="text-md text-gray-600 mt-1">Remaining Dice: {availableDice.join(', ')}</p>
                         )}
+                        {isPlaying && diceCommitment && (
+                            <p className="text-xs text-gray-500 mt-2" title="SHA-256 of the dice seed, revealed when the match ends">
+                                Dice commitment: <span className="font-mono break-all">{diceCommitment}</span>
+                            </p>
+                        )}
                     </div>
                 </div>
             </div>
@@ -1526,33 +3114,85 @@ const BackgammonGame = ({ onMatchEnd }) => {
             <div className="flex flex-col md:flex-row gap-6 items-start">
                 <div className="w-full md:w-3/4">
                     <BackgammonBoard
-                        board={boardState}
-                        currentPlayer={currentPlayer}
-                        onPointClick={handlePointClick}
-                        selectedPoint={selectedPoint}
-                        possibleMovePoints={possibleMovesInfo.map(m => m.targetPoint)}
-                        currentDiceValues={dice}
+                        board={editor ? editor.position : boardState}
+                        currentPlayer={editor ? editor.playerOnRoll : currentPlayer}
+                        onPointClick={editor ? editPosition : handlePointClick}
+                        selectedPoint={editor ? null : selectedPoint}
+                        possibleMovePoints={editor ? [] : possibleMovesInfo.map(m => m.targetPoint)}
+                        currentDiceValues={editor ? editor.dice : dice}
+                        cube={editor || cubeInUse ? cube : null}
+                        openingRoll={editor ? null : openingRoll}
+                        editMode={editor !== null}
+                        overlays={boardOverlays}
+                        variant={editor ? getVariant() : variant}
+                        onCheckerDragStart={editor ? undefined : startCheckerDrag}
                     />
+                    {editor ? (
+                        <PositionEditorPanel
+                            editor={editor}
+                            onChange={(changes) => setEditor({ ...editor, ...changes })}
+                            onClear={() => setEditor({ ...editor, position: createEmptyPosition() })}
+                            onReset={() => setEditor({ ...editor, position: createInitialPosition() })}
+                            onStart={startFromEditor}
+                            onCancel={() => {
+                                setEditor(null);
+                                setGameMessage("Editor closed. Click 'Start New Match' to begin!");
+                            }}
+                        />
+                    ) : (
+                        <GnubgIdPanel
+                            positionId={isPlaying && variant.hasGnubgIds ? encodePositionId(boardState, currentPlayer) : null}
+                            matchId={isPlaying && variant.hasGnubgIds ? encodeMatchId({
+                                matchLength: matchState.matchLength,
+                                score: matchState.score,
+                                cube,
+                                playerOnRoll: currentPlayer,
+                                dice,
+                                crawford: matchState.isCrawfordGame,
+                            }) : null}
+                            onCopy={copyToClipboard}
+                            idInput={gnubgIdInput}
+                            onIdInputChange={setGnubgIdInput}
+                            onLoad={() => confirmLeavingMatch(
+                                "Abandon the current match and load this position as a practice game? It counts as a forfeit.",
+                                loadPracticePosition,
+                            )}
+                        />
+                    )}
                 </div>
                 <div className="w-full md:w-1/4 flex flex-col gap-4">
-                    <Dice dice={dice} setDice={setDice} rollDice={rollDiceHandler} disabled={!isPlaying || availableDice.length > 0} />
+                    <Dice
+                        dice={dice}
+                        setDice={setDice}
+                        rollDice={openingRoll ? (die) => rollOpeningDie(humanColor, die) : rollDiceHandler}
+                        drawDice={drawDice}
+                        disabled={!isPlaying || (openingRoll
+                            ? openingRoll[humanColor] !== 0
+                            : dice[0] !== 0 || !canActFor(currentPlayer) || pendingDouble !== null)}
+                        canDouble={canDoubleNow && canActFor(currentPlayer)}
+                        onDouble={offerDouble}
+                        openingRoll={openingRoll}
+                        openingRollColor={humanColor}
+                        onChooseDouble={awaitingBonusDouble && canActFor(currentPlayer) ? chooseBonusDouble : undefined}
+                    />
                     {isPlaying && (
                         <div className="flex flex-col gap-2 p-4 bg-gray-50 rounded-lg shadow-inner">
                             <h4 className="text-md font-bold text-gray-700">Turn Actions</h4>
                             <button
                                 onClick={undoLastMove}
-                                disabled={moveHistory.length === 0 || !isPlaying}
+                                disabled={moveHistory.length === 0 || !isPlaying || !canActFor(currentPlayer)}
                                 className="bg-orange-500 hover:bg-orange-600 text-white font-bold py-2 px-4 rounded-md shadow-sm transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
                             >
                                 Undo Last Move
                             </button>
+                            {!onlineGame && (
                             <button
                                 onClick={() => {
                                     setConfirmModalAction(() => () => {
-                                        const newBoardState = JSON.parse(JSON.stringify(boardState));
-                                        newBoardState.home.white = 15;
+                                        const newBoardState = clonePosition(boardState);
+                                        newBoardState.home.white = variant.checkersPerSide;
                                         setBoardState(newBoardState);
-                                        endTurn();
+                                        endTurn(newBoardState);
                                         setShowConfirmModal(false);
                                     });
                                     setShowConfirmModal(true);
@@ -1562,13 +3202,15 @@ const BackgammonGame = ({ onMatchEnd }) => {
                             >
                                 Simulate White Win Game
                             </button>
+                            )}
+                            {!onlineGame && (
                             <button
                                 onClick={() => {
                                     setConfirmModalAction(() => () => {
-                                        const newBoardState = JSON.parse(JSON.stringify(boardState));
-                                        newBoardState.home.black = 15;
+                                        const newBoardState = clonePosition(boardState);
+                                        newBoardState.home.black = variant.checkersPerSide;
                                         setBoardState(newBoardState);
-                                        endTurn();
+                                        endTurn(newBoardState);
                                         setShowConfirmModal(false);
                                     });
                                     setShowConfirmModal(true);
@@ -1578,13 +3220,24 @@ const BackgammonGame = ({ onMatchEnd }) => {
                             >
                                 Simulate Black Win Game
                             </button>
+                            )}
                         </div>
                     )}
+                    {transcript.games.length > 0 && (
+                        <MoveList
+                            transcript={transcript}
+                            onExport={isPractice || !canExportMatFile(transcript.variant) ? undefined : () => downloadMatFile({
+                                matchLength: matchState.matchLength,
+                                playerNames: { white: whiteName, black: onlineGame ? blackName : `AI Opponent (${getDifficultyLabel(computerDifficulty)})` },
+                                transcript,
+                            }, 'match.mat')}
+                        />
+                    )}
                 </div>
             </div>
 
             <div className="flex flex-wrap justify-center gap-4 mt-8">
-                {!isPlaying ? (
+                {!isPlaying && !editor && !onlineGame ? (
                     <button
                         onClick={startMatch}
                         className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-3 px-8 rounded-full shadow-lg transition-all duration-300 transform hover:scale-105 focus:outline-none focus:ring-4 focus:ring-purple-300"
@@ -1592,8 +3245,30 @@ const BackgammonGame = ({ onMatchEnd }) => {
                         Start New Match
                     </button>
                 ) : null}
+                {!editor && !onlineGame ? (
+                    <button
+                        onClick={() => confirmLeavingMatch("Abandon the current match and edit this position? It counts as a forfeit.", openEditor)}
+                        className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 px-8 rounded-full shadow-lg transition-all duration-300 transform hover:scale-105 focus:outline-none focus:ring-4 focus:ring-gray-300"
+                    >
+                        Edit Position
+                    </button>
+                ) : null}
             </div>
 
+            {!editor && !isLocalMode && (onlineGame || !isPlaying) && (
+                <div className="flex justify-center mt-6">
+                    <OnlineGamePanel
+                        onlineGame={onlineGame}
+                        onlineRoom={onlineRoom}
+                        joinGameId={joinGameId}
+                        onJoinGameIdChange={setJoinGameId}
+                        onCreate={createOnlineGame}
+                        onJoin={joinOnlineGame}
+                        onLeave={leaveOnlineGame}
+                    />
+                </div>
+            )}
+
             {showModal && (
                 <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
                     <div className="bg-white rounded-lg p-8 shadow-2xl text-center max-w-sm w-full border-t-8 border-blue-600">
@@ -1609,6 +3284,14 @@ const BackgammonGame = ({ onMatchEnd }) => {
                 </div>
             )}
 
+            {pendingDouble !== null && canActFor(getOpponentColor(pendingDouble)) && (
+                <ConfirmModal
+                    message={`${isAnalysis ? `${pendingDouble === WHITE ? 'White' : 'Black'} doubles to ${cube.value * 2}. Does ${pendingDouble === WHITE ? 'Black' : 'White'} take?` : `${onlineGame ? 'Your opponent' : 'The AI Opponent'} doubles to ${cube.value * 2}. Do you take?`} Dropping concedes this game for ${cube.value} point${cube.value === 1 ? '' : 's'}.`}
+                    onConfirm={() => answerDouble(true)}
+                    onCancel={() => answerDouble(false)}
+                />
+            )}
+
             {showConfirmModal && (
                 <ConfirmModal
                     message={modalMessage}
@@ -1616,14 +3299,18 @@ const BackgammonGame = ({ onMatchEnd }) => {
                     onCancel={() => setShowConfirmModal(false)}
                 />
             )}
+
+            {unfinishedMatch && (
+                <ResumeMatchModal savedMatch={unfinishedMatch} onResume={resumeMatch} onAbandon={abandonMatch} />
+            )}
         </div>
     );
 };
 
 // --- Other Shared Components ---
 
-// Header Component: Navigation and user info display.
-const Header = ({ onNavigate }) => {
+// Header Component: Navigation and user info display. `notifications` is shown next to the user.
+const Header = ({ onNavigate, notifications }) => {
     const { currentUser, logout } = useContext(AuthContext);
 
     return (
@@ -1645,6 +3332,27 @@ const Header = ({ onNavigate }) => {
                     >
                         Rankings
                     </button>
+                    <button
+                        onClick={() => onNavigate('replay')}
+                        className="px-4 py-2 bg-purple-500 hover:bg-purple-600 text-white font-semibold rounded-lg shadow-md transition-transform transform hover:scale-105 flex items-center gap-2"
+                    >
+                        Replay
+                    </button>
+                    <button
+                        onClick={() => onNavigate('history')}
+                        className="px-4 py-2 bg-teal-500 hover:bg-teal-600 text-white font-semibold rounded-lg shadow-md transition-transform transform hover:scale-105 flex items-center gap-2"
+                    >
+                        My Matches
+                    </button>
+                    {!isLocalMode && (
+                        <button
+                            onClick={() => onNavigate('lobby')}
+                            className="px-4 py-2 bg-pink-500 hover:bg-pink-600 text-white font-semibold rounded-lg shadow-md transition-transform transform hover:scale-105 flex items-center gap-2"
+                        >
+                            Lobby
+                        </button>
+                    )}
+                    {currentUser && !currentUser.isAnonymous && !isLocalMode && notifications}
                     {currentUser && !currentUser.isAnonymous && (
                         <div className="flex items-center gap-2 bg-blue-500 px-4 py-2 rounded-lg shadow-md">
                             <img
@@ -1667,6 +3375,106 @@ const Header = ({ onNavigate }) => {
     );
 };
 
+// Invitation Notifications: Challenges waiting for the user's answer, and answers to the user's own
+// invitations. Accepting opens the new online game.
+const InvitationNotifications = ({ invitations, onAccept, onDecline, onPlay, onDismiss }) => {
+    const { userId } = useContext(AuthContext);
+    const [isOpen, setIsOpen] = useState(false);
+    const [error, setError] = useState('');
+
+    const incoming = invitations.filter(invitation =>
+        invitation.status === INVITATION_STATUS.OPEN && invitation.to && invitation.to.id === userId);
+    const answered = invitations.filter(invitation =>
+        invitation.from.id === userId && !invitation.fromSeen &&
+        (invitation.status === INVITATION_STATUS.ACCEPTED || invitation.status === INVITATION_STATUS.DECLINED));
+    const count = incoming.length + answered.length;
+
+    const handleAccept = async (invitation) => {
+        setError('');
+        const acceptError = await onAccept(invitation);
+        if (acceptError) {
+            setError(acceptError);
+        } else {
+            setIsOpen(false);
+        }
+    };
+
+    const handlePlay = (invitation) => {
+        setIsOpen(false);
+        onPlay(invitation);
+    };
+
+    return (
+        <div className="relative">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="px-4 py-2 bg-blue-500 hover:bg-blue-400 text-white font-semibold rounded-lg shadow-md transition-colors flex items-center gap-2"
+            >
+                Notifications
+                {count > 0 && (
+                    <span className="bg-yellow-300 text-blue-900 text-xs font-bold rounded-full px-2 py-0.5">{count}</span>
+                )}
+            </button>
+            {isOpen && (
+                <div className="absolute right-0 mt-2 w-80 bg-white text-gray-800 rounded-lg shadow-2xl p-3 z-40 text-sm">
+                    {count === 0 && <p className="text-gray-500">No new notifications.</p>}
+                    {error && <p className="text-red-600 font-semibold mb-2">{error}</p>}
+                    {incoming.map(invitation => (
+                        <div key={invitation.id} className="border-b border-gray-200 py-2 last:border-b-0">
+                            <p>
+                                <span className="font-semibold">{invitation.from.name}</span> challenges you to a {describeInvitation(invitation)}.
+                            </p>
+                            <div className="flex gap-2 mt-2">
+                                <button
+                                    onClick={() => handleAccept(invitation)}
+                                    className="bg-green-600 hover:bg-green-700 text-white font-semibold py-1 px-3 rounded-lg transition-colors"
+                                >
+                                    Accept
+                                </button>
+                                <button
+                                    onClick={() => onDecline(invitation)}
+                                    className="bg-red-500 hover:bg-red-600 text-white font-semibold py-1 px-3 rounded-lg transition-colors"
+                                >
+                                    Decline
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+                    {answered.map(invitation => (
+                        <div key={invitation.id} className="border-b border-gray-200 py-2 last:border-b-0">
+                            {invitation.status === INVITATION_STATUS.ACCEPTED ? (
+                                <>
+                                    <p>
+                                        <span className="font-semibold">{invitation.acceptedBy.name}</span> accepted your {describeInvitation(invitation)}.
+                                    </p>
+                                    <button
+                                        onClick={() => handlePlay(invitation)}
+                                        className="mt-2 bg-green-600 hover:bg-green-700 text-white font-semibold py-1 px-3 rounded-lg transition-colors"
+                                    >
+                                        Play
+                                    </button>
+                                </>
+                            ) : (
+                                <>
+                                    <p>
+                                        <span className="font-semibold">{invitation.to.name}</span> declined your challenge.
+                                    </p>
+                                    <button
+                                        onClick={() => onDismiss(invitation)}
+                                        className="mt-2 bg-gray-200 hover:bg-gray-300 font-semibold py-1 px-3 rounded-lg transition-colors"
+                                    >
+                                        Dismiss
+                                    </button>
+                                </>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
 // LoginPage Component: Handles user authentication.
 const LoginPage = () => {
     const { signInWithGoogle, loadingAuth } = useContext(AuthContext);
@@ -1709,20 +3517,166 @@ const LoginPage = () => {
     );
 };
 
+// Match Offer Fields: The match length and time settings of a lobby offer or a challenge.
+const MatchOfferFields = ({ idPrefix, matchLength, timeControl, variant, onMatchLengthChange, onTimeControlChange, onVariantChange }) => {
+    return (
+        <div className="flex flex-col sm:flex-row flex-wrap gap-4">
+            <div className="flex items-center gap-2">
+                <label htmlFor={`${idPrefix}-game-type`} className="font-semibold text-gray-700">Game:</label>
+                <select
+                    id={`${idPrefix}-game-type`}
+                    className="p-2 border border-gray-300 rounded-lg bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400"
+                    value={variant}
+                    onChange={(e) => onVariantChange(e.target.value)}
+                >
+                    {GAME_TYPES.map(option => (
+                        <option key={option.id} value={option.id}>{option.label}</option>
+                    ))}
+                </select>
+            </div>
+            <div className="flex items-center gap-2">
+                <label htmlFor={`${idPrefix}-match-length`} className="font-semibold text-gray-700">Match Length:</label>
+                <select
+                    id={`${idPrefix}-match-length`}
+                    className="p-2 border border-gray-300 rounded-lg bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400"
+                    value={matchLength}
+                    onChange={(e) => onMatchLengthChange(parseInt(e.target.value))}
+                >
+                    {MATCH_LENGTHS.map(length => (
+                        <option key={length} value={length}>{length} point{length === 1 ? '' : 's'}</option>
+                    ))}
+                </select>
+            </div>
+            <div className="flex items-center gap-2">
+                <label htmlFor={`${idPrefix}-time-control`} className="font-semibold text-gray-700">Time:</label>
+                <select
+                    id={`${idPrefix}-time-control`}
+                    className="p-2 border border-gray-300 rounded-lg bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400"
+                    value={timeControl}
+                    onChange={(e) => onTimeControlChange(e.target.value)}
+                >
+                    {TIME_CONTROLS.map(option => (
+                        <option key={option.id} value={option.id}>{option.label}</option>
+                    ))}
+                </select>
+            </div>
+            {timeControl !== TIME_CONTROLS[0].id && (
+                <p className="w-full text-sm text-gray-500">{TIME_CONTROL_NOTE}</p>
+            )}
+        </div>
+    );
+};
+
+// Challenge Modal: Chooses the match settings for a challenge to `opponent`.
+const ChallengeModal = ({ opponent, onSend, onCancel }) => {
+    const [matchLength, setMatchLength] = useState(5);
+    const [timeControl, setTimeControl] = useState(TIME_CONTROLS[0].id);
+    const [variant, setVariant] = useState(DEFAULT_VARIANT);
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-lg p-8 shadow-2xl max-w-lg w-full border-t-8 border-green-600">
+                <h3 className="text-xl font-bold text-gray-800 mb-4 text-center">Challenge {opponent.displayName}</h3>
+                <MatchOfferFields
+                    idPrefix="challenge"
+                    matchLength={matchLength}
+                    timeControl={timeControl}
+                    variant={variant}
+                    onMatchLengthChange={setMatchLength}
+                    onTimeControlChange={setTimeControl}
+                    onVariantChange={setVariant}
+                />
+                <div className="flex justify-center gap-4 mt-6">
+                    <button
+                        onClick={() => onSend(matchLength, timeControl, variant)}
+                        className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-6 rounded-full shadow-md transition-colors"
+                    >
+                        Send Challenge
+                    </button>
+                    <button
+                        onClick={onCancel}
+                        className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-6 rounded-full shadow-md transition-colors"
+                    >
+                        Cancel
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// LocalLoginPage Component: Chooses or creates a named local player when there is no Firebase.
+const LocalLoginPage = () => {
+    const { signInLocally } = useContext(AuthContext);
+    const [name, setName] = useState('');
+    const players = LocalStorageService.getLocalPlayers();
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (name.trim()) signInLocally(name.trim());
+    };
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-gray-100 to-gray-300 flex items-center justify-center p-4">
+            <div className="bg-white p-8 rounded-xl shadow-2xl max-w-md w-full text-center border-t-4 border-blue-500">
+                <h2 className="text-3xl font-extrabold text-gray-800 mb-6">Welcome to Backgammon Royale</h2>
+                <p className="text-lg text-gray-600 mb-8">
+                    Playing offline. Matches and stats are saved in this browser for each local player.
+                </p>
+                {players.length > 0 && (
+                    <div className="mb-6">
+                        <p className="font-semibold text-gray-700 mb-2">Continue as:</p>
+                        <div className="flex flex-wrap justify-center gap-2">
+                            {players.map(player => (
+                                <button
+                                    key={player.id}
+                                    onClick={() => signInLocally(player.displayName)}
+                                    className="bg-blue-100 hover:bg-blue-200 text-blue-800 font-semibold py-2 px-4 rounded-full transition-colors"
+                                >
+                                    {player.displayName}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                )}
+                <form onSubmit={handleSubmit} className="flex gap-2">
+                    <input
+                        type="text"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        placeholder="Player name"
+                        maxLength={30}
+                        className="flex-1 p-2 border border-gray-300 rounded-lg bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400"
+                    />
+                    <button
+                        type="submit"
+                        disabled={!name.trim()}
+                        className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-6 rounded-full shadow-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Play
+                    </button>
+                </form>
+            </div>
+        </div>
+    );
+};
+
 // StatsPage Component: Displays player rankings and statistics.
-const StatsPage = () => {
+// Each other player can be challenged; `onChallenge(user, matchLength, timeControl, variant)` sends the invitation.
+const StatsPage = ({ invitations, onChallenge }) => {
     const { currentUser, userId, loadingAuth } = useContext(AuthContext);
     const [users, setUsers] = useState([]);
     const [loadingStats, setLoadingStats] = useState(true);
-    const [sortBy, setSortBy] = useState('winLossRatio');
+    const [sortBy, setSortBy] = useState('rating');
     const [sortOrder, setSortOrder] = useState('desc');
     const [filterType, setFilterType] = useState('all');
+    const [challengedUser, setChallengedUser] = useState(null);
+    const [challengeMessage, setChallengeMessage] = useState('');
 
     useEffect(() => {
         if (!loadingAuth) {
-            if (!db) console.warn("StatsPage: db is not initialized.");
             console.log("StatsPage: Attempting to fetch users from Firestore...");
-            const unsubscribe = FirestoreService.getUsers((fetchedUsers) => {
+            const unsubscribe = DataService.getUsers((fetchedUsers) => {
                 console.log("Users fetched:", fetchedUsers.length, "users."); // Console log moved here
                 const processedUsers = fetchedUsers.map(user => {
                     const totalMatches = (user.totalMatchesWon || 0) + (user.totalMatchesLost || 0);
@@ -1730,6 +3684,8 @@ const StatsPage = () => {
                         ...user,
                         winLossRatio: totalMatches > 0 ? ((user.totalMatchesWon || 0) / totalMatches) : 0,
                         totalMatches: totalMatches,
+                        rating: user.rating || INITIAL_RATING,
+                        isProvisional: isProvisional(user.ratingExperience || 0),
                     };
                 });
                 setUsers(processedUsers);
@@ -1753,7 +3709,10 @@ const StatsPage = () => {
         })
         .sort((a, b) => {
             let valA, valB;
-            if (sortBy === 'winLossRatio') {
+            if (sortBy === 'rating') {
+                valA = a.rating;
+                valB = b.rating;
+            } else if (sortBy === 'winLossRatio') {
                 valA = a.winLossRatio;
                 valB = b.winLossRatio;
             } else if (sortBy === 'totalMatchesWon') {
@@ -1777,6 +3736,20 @@ const StatsPage = () => {
             }
         });
 
+    // Players with a challenge from the user still waiting for an answer.
+    const challengedIds = new Set(invitations
+        .filter(invitation => invitation.status === INVITATION_STATUS.OPEN && invitation.from.id === userId && invitation.to)
+        .map(invitation => invitation.to.id));
+
+    const sendChallenge = async (matchLength, timeControl, variant) => {
+        const opponent = challengedUser;
+        setChallengedUser(null);
+        const sent = await onChallenge(opponent, matchLength, timeControl, variant);
+        setChallengeMessage(sent
+            ? `Challenge sent to ${opponent.displayName}. You will be notified when they answer.`
+            : "Could not send the challenge. Please try again.");
+    };
+
     if (loadingAuth || loadingStats) {
         return <div className="text-center py-8">Loading rankings...</div>;
     }
@@ -1807,6 +3780,7 @@ const StatsPage = () => {
                         value={sortBy}
                         onChange={(e) => setSortBy(e.target.value)}
                     >
+                        <option value="rating">Rating</option>
                         <option value="winLossRatio">Win/Loss Ratio</option>
                         <option value="totalMatchesWon">Total Matches Won</option>
                         <option value="totalGamesWon">Total Games Won</option>
@@ -1829,6 +3803,10 @@ const StatsPage = () => {
                 </div>
             </div>
 
+            {challengeMessage && (
+                <p className="mb-4 text-center text-green-700 font-semibold">{challengeMessage}</p>
+            )}
+
             <div className="overflow-x-auto rounded-lg shadow-md border border-gray-200">
                 <table className="min-w-full divide-y divide-gray-200">
                     <thead className="bg-blue-100">
@@ -1836,6 +3814,7 @@ const StatsPage = () => {
                             <th className="px-4 py-3 text-left text-xs font-medium text-blue-700 uppercase tracking-wider">Rank</th>
                             <th className="px-4 py-3 text-left text-xs font-medium text-blue-700 uppercase tracking-wider">Player</th>
                             <th className="px-4 py-3 text-left text-xs font-medium text-blue-700 uppercase tracking-wider">User ID</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-blue-700 uppercase tracking-wider">Rating</th>
                             <th className="px-4 py-3 text-left text-xs font-medium text-blue-700 uppercase tracking-wider">Matches Won</th>
                             <th className="px-4 py-3 text-left text-xs font-medium text-blue-700 uppercase tracking-wider">Matches Lost</th>
                             <th className="px-4 py-3 text-left text-xs font-medium text-blue-700 uppercase tracking-wider">Win/Loss Ratio</th>
@@ -1843,12 +3822,13 @@ const StatsPage = () => {
                             <th className="px-4 py-3 text-left text-xs font-medium text-blue-700 uppercase tracking-wider">Games Lost</th>
                             <th className="px-4 py-3 whitespace-nowrap text-left text-xs font-medium text-blue-700 uppercase tracking-wider">Total Games Played</th>
                             <th className="px-4 py-3 whitespace-nowrap text-left text-xs font-medium text-blue-700 uppercase tracking-wider">Total Matches Played</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-blue-700 uppercase tracking-wider">Actions</th>
                         </tr>
                     </thead>
                     <tbody className="bg-white divide-y divide-gray-200">
                         {sortedAndFilteredUsers.length === 0 ? (
                             <tr>
-                                <td colSpan="10" className="px-4 py-4 text-center text-gray-500">
+                                <td colSpan="12" className="px-4 py-4 text-center text-gray-500">
                                     No players found or no data available. Play some matches!
                                 </td>
                             </tr>
@@ -1865,6 +3845,10 @@ const StatsPage = () => {
                                         {user.displayName}
                                     </td>
                                     <td className="px-4 py-3 text-sm text-gray-700 font-mono text-xs break-words">{user.id}</td>
+                                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">
+                                        {user.rating.toFixed(2)}
+                                        {user.isProvisional && <span className="ml-1 text-xs font-normal text-gray-500" title="Provisional rating">(P)</span>}
+                                    </td>
                                     <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">{user.totalMatchesWon || 0}</td>
                                     <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">{user.totalMatchesLost || 0}</td>
                                     <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">{user.winLossRatio.toFixed(3)}</td>
@@ -1872,6 +3856,17 @@ const StatsPage = () => {
                                     <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">{user.totalGamesLost || 0}</td>
                                     <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">{user.totalGamesPlayed || 0}</td>
                                     <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">{user.totalMatches || 0}</td>
+                                    <td className="px-4 py-3 whitespace-nowrap text-sm">
+                                        {user.id !== userId && !isLocalMode && (
+                                            <button
+                                                onClick={() => setChallengedUser(user)}
+                                                disabled={challengedIds.has(user.id)}
+                                                className="px-3 py-1 bg-green-600 hover:bg-green-700 text-white font-semibold rounded-lg shadow-sm transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                                            >
+                                                {challengedIds.has(user.id) ? 'Challenged' : 'Challenge'}
+                                            </button>
+                                        )}
+                                    </td>
                                 </tr>
                             ))
                         )}
@@ -1879,8 +3874,440 @@ const StatsPage = () => {
                 </table>
             </div>
             <p className="mt-6 text-sm text-gray-500 text-center">
-                Note: "Total Games Played" refers to individual games within a best-of-N match.
+                Note: "Total Games Played" refers to individual games within a point match.
+                Ratings follow the FIBS formula: longer matches and stronger opponents count for more.
+                (P) marks a provisional rating, which moves faster until {PROVISIONAL_EXPERIENCE} match points have been played.
             </p>
+
+            {challengedUser && (
+                <ChallengeModal
+                    opponent={challengedUser}
+                    onSend={sendChallenge}
+                    onCancel={() => setChallengedUser(null)}
+                />
+            )}
+        </div>
+    );
+};
+
+// DiceVerification Component: Checks the revealed dice of a saved match against its seed and the
+// commitment published before the match started.
+const DiceVerification = ({ diceRecord }) => {
+    const [result, setResult] = useState(null);
+
+    useEffect(() => {
+        setResult(null);
+    }, [diceRecord]);
+
+    // Online matches have no single record (each side rolls from its own seed), and a match
+    // abandoned from its saved copy kept only its rolls.
+    if (!diceRecord || !diceRecord.seed) {
+        return <p className="mt-3 text-sm text-gray-500">This match has no revealed dice seed, so its rolls cannot be verified.</p>;
+    }
+
+    const verifyDice = () => {
+        const error = verifyDiceRolls(diceRecord);
+        const firstRoll = diceRecord.firstRoll || 0;
+        setResult(error ? { verified: false, message: error } : {
+            verified: true,
+            message: `All ${diceRecord.rolls.length - firstRoll} dice match the seed and its commitment.` +
+                (firstRoll ? ` The first ${firstRoll}, rolled before the match was resumed, cannot be checked.` : ''),
+        });
+    };
+
+    return (
+        <div className="mt-3 flex flex-col sm:flex-row sm:items-center gap-3">
+            <button
+                onClick={verifyDice}
+                className="bg-purple-600 hover:bg-purple-700 text-white font-semibold py-2 px-4 rounded-lg shadow-sm transition-colors"
+            >
+                Verify Dice
+            </button>
+            {result && (
+                <p className={`text-sm font-semibold ${result.verified ? 'text-green-700' : 'text-red-700'}`}>{result.message}</p>
+            )}
+        </div>
+    );
+};
+
+// ReplayPage Component: Loads a .mat match file or a saved match and replays it on a read-only board;
+// the dice of a saved match can be verified too.
+// `matchToOpen` is the id of a saved match to replay right away (from My Matches); `onMatchOpened` clears it.
+const ReplayPage = ({ matchToOpen, onMatchOpened }) => {
+    const [replayMatch, setReplayMatch] = useState(null);
+    const [importErrors, setImportErrors] = useState([]);
+    const [fileName, setFileName] = useState('');
+    const [savedMatches, setSavedMatches] = useState([]);
+    const [selectedMatchId, setSelectedMatchId] = useState('');
+
+    // Only matches saved with a transcript can be replayed.
+    useEffect(() => {
+        const unsubscribe = DataService.getMatches(matches => {
+            setSavedMatches(matches.filter(match => match.transcript));
+        });
+        return () => unsubscribe();
+    }, []);
+
+    useEffect(() => {
+        const saved = matchToOpen && savedMatches.find(match => match.id === matchToOpen);
+        if (!saved) return;
+        onMatchOpened();
+        setSelectedMatchId(saved.id);
+        setImportErrors([]);
+        setReplayMatch(getSavedMatchReplay(saved));
+    }, [matchToOpen, savedMatches, onMatchOpened]);
+
+    const selectedMatch = savedMatches.find(match => match.id === selectedMatchId);
+
+    const handleSavedMatchChange = (e) => {
+        const saved = savedMatches.find(match => match.id === e.target.value);
+        setSelectedMatchId(e.target.value);
+        setImportErrors([]);
+        setReplayMatch(saved ? getSavedMatchReplay(saved) : null);
+    };
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        setFileName(file.name);
+        setSelectedMatchId('');
+        const { match, errors } = importMatFile(await file.text());
+        setImportErrors(errors);
+        setReplayMatch(match);
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-2xl max-w-6xl mx-auto my-8">
+            <h2 className="text-3xl font-extrabold text-purple-800 mb-6 text-center">Match Replay</h2>
+
+            <div className="mb-6 p-4 bg-gray-50 rounded-lg shadow-inner">
+                <label htmlFor="saved-match" className="block font-semibold text-gray-700 mb-2">
+                    Replay a saved match:
+                </label>
+                <select
+                    id="saved-match"
+                    value={selectedMatchId}
+                    onChange={handleSavedMatchChange}
+                    className="w-full p-2 border border-gray-300 rounded-lg bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-purple-400"
+                >
+                    <option value="">{savedMatches.length > 0 ? 'Choose a match...' : 'No saved matches with a transcript yet'}</option>
+                    {savedMatches.map(match => (
+                        <option key={match.id} value={match.id}>
+                            {getMatchDate(match).toLocaleString()}: {match.player1DisplayName} vs {match.player2DisplayName}, {match.player1Points}-{match.player2Points} ({match.matchLength} pt)
+                        </option>
+                    ))}
+                </select>
+                {selectedMatch && <DiceVerification diceRecord={selectedMatch.dice} />}
+            </div>
+
+            <div className="mb-6 p-4 bg-gray-50 rounded-lg shadow-inner">
+                <label htmlFor="mat-file" className="block font-semibold text-gray-700 mb-2">
+                    Import a match file (GNU Backgammon / Jellyfish .mat):
+                </label>
+                <input
+                    id="mat-file"
+                    type="file"
+                    accept=".mat,.txt"
+                    onChange={handleFileChange}
+                    className="block w-full text-sm text-gray-700"
+                />
+                {importErrors.length > 0 && (
+                    <div className="mt-4 p-3 bg-red-50 border border-red-300 rounded-md">
+                        <p className="font-semibold text-red-700 mb-1">{fileName} could not be imported:</p>
+                        <ul className="text-sm text-red-700 font-mono list-disc list-inside">
+                            {importErrors.map((error, index) => (
+                                <li key={index}>Line {error.line}: {error.message}</li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+            </div>
+
+            {replayMatch && <MatchReplay match={replayMatch} />}
+        </div>
+    );
+};
+
+// MyMatchesPage Component: The signed-in player's saved matches, filtered by opponent and date.
+// `onReplay(matchId)` opens a match that was saved with a transcript on the replay page.
+const MyMatchesPage = ({ onReplay }) => {
+    const { userId } = useContext(AuthContext);
+    const [matches, setMatches] = useState([]);
+    const [loadingMatches, setLoadingMatches] = useState(true);
+    const [opponentFilter, setOpponentFilter] = useState('all');
+    const [fromDate, setFromDate] = useState(''); // YYYY-MM-DD from the date inputs; empty for no limit.
+    const [toDate, setToDate] = useState('');
+
+    useEffect(() => {
+        const unsubscribe = DataService.getMatches(allMatches => {
+            setMatches(allMatches.filter(match => match.player1Id === userId || match.player2Id === userId));
+            setLoadingMatches(false);
+        });
+        return () => unsubscribe();
+    }, [userId]);
+
+    // Each match seen from the player's side: player 1 or player 2, whichever they were.
+    const myMatches = matches.map(match => {
+        const isPlayer1 = match.player1Id === userId;
+        return {
+            ...match,
+            date: getMatchDate(match),
+            opponentId: isPlayer1 ? match.player2Id : match.player1Id,
+            opponentName: isPlayer1 ? match.player2DisplayName : match.player1DisplayName,
+            myPoints: isPlayer1 ? match.player1Points : match.player2Points,
+            opponentPoints: isPlayer1 ? match.player2Points : match.player1Points,
+            won: match.winnerId === userId,
+            // Matches saved before variants existed were all Portes.
+            variantResults: Object.entries(match.variantResults || {
+                [DEFAULT_VARIANT]: {
+                    player1GamesWon: match.player1GamesWon || 0,
+                    player2GamesWon: match.player2GamesWon || 0,
+                    player1Points: match.player1Points || 0,
+                    player2Points: match.player2Points || 0,
+                },
+            }).map(([variantId, result]) => ({
+                variantId,
+                gamesWon: isPlayer1 ? result.player1GamesWon : result.player2GamesWon,
+                gamesLost: isPlayer1 ? result.player2GamesWon : result.player1GamesWon,
+                pointsFor: isPlayer1 ? result.player1Points : result.player2Points,
+                pointsAgainst: isPlayer1 ? result.player2Points : result.player1Points,
+            })),
+        };
+    });
+
+    const opponents = [];
+    myMatches.forEach(match => {
+        if (!opponents.some(opponent => opponent.id === match.opponentId)) {
+            opponents.push({ id: match.opponentId, name: match.opponentName });
+        }
+    });
+    opponents.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+    const from = fromDate ? new Date(`${fromDate}T00:00:00`) : null;
+    const to = toDate ? new Date(`${toDate}T23:59:59.999`) : null;
+    const filteredMatches = myMatches.filter(match =>
+        (opponentFilter === 'all' || match.opponentId === opponentFilter) &&
+        (!from || match.date >= from) &&
+        (!to || match.date <= to));
+
+    // Games and points in each variant over the matches shown.
+    const variantTotals = GAME_TYPES.filter(type => type.id !== TAVLI).map(type => {
+        const totals = { id: type.id, label: type.label, gamesWon: 0, gamesLost: 0, pointsFor: 0, pointsAgainst: 0 };
+        filteredMatches.forEach(match => match.variantResults
+            .filter(result => result.variantId === type.id)
+            .forEach(result => {
+                totals.gamesWon += result.gamesWon;
+                totals.gamesLost += result.gamesLost;
+                totals.pointsFor += result.pointsFor;
+                totals.pointsAgainst += result.pointsAgainst;
+            }));
+        return totals;
+    }).filter(totals => totals.gamesWon + totals.gamesLost > 0);
+
+    if (loadingMatches) {
+        return <div className="text-center py-8">Loading matches...</div>;
+    }
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-2xl max-w-6xl mx-auto my-8">
+            <h2 className="text-3xl font-extrabold text-teal-700 mb-6 text-center">My Matches</h2>
+
+            <div className="flex flex-col md:flex-row gap-4 mb-6 p-4 bg-gray-50 rounded-lg shadow-inner justify-between items-center">
+                <div className="flex items-center gap-2">
+                    <label htmlFor="opponent-filter" className="font-semibold text-gray-700">Opponent:</label>
+                    <select
+                        id="opponent-filter"
+                        className="p-2 border border-gray-300 rounded-lg bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-teal-400"
+                        value={opponentFilter}
+                        onChange={(e) => setOpponentFilter(e.target.value)}
+                    >
+                        <option value="all">All Opponents</option>
+                        {opponents.map(opponent => (
+                            <option key={opponent.id} value={opponent.id}>{opponent.name}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="flex items-center gap-2">
+                    <label htmlFor="from-date" className="font-semibold text-gray-700">From:</label>
+                    <input
+                        id="from-date"
+                        type="date"
+                        value={fromDate}
+                        onChange={(e) => setFromDate(e.target.value)}
+                        className="p-2 border border-gray-300 rounded-lg bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-teal-400"
+                    />
+                    <label htmlFor="to-date" className="font-semibold text-gray-700">To:</label>
+                    <input
+                        id="to-date"
+                        type="date"
+                        value={toDate}
+                        onChange={(e) => setToDate(e.target.value)}
+                        className="p-2 border border-gray-300 rounded-lg bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-teal-400"
+                    />
+                </div>
+            </div>
+
+            {variantTotals.length > 0 && (
+                <div className="flex flex-wrap gap-4 mb-6">
+                    {variantTotals.map(totals => (
+                        <div key={totals.id} className="p-3 bg-teal-50 rounded-lg shadow-inner text-sm text-gray-700">
+                            <p className="font-semibold text-teal-700">{totals.label}</p>
+                            <p>Games: {totals.gamesWon} won, {totals.gamesLost} lost</p>
+                            <p>Points: {totals.pointsFor} - {totals.pointsAgainst}</p>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <div className="overflow-x-auto rounded-lg shadow-md border border-gray-200">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-teal-100">
+                        <tr>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-teal-700 uppercase tracking-wider">Date</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-teal-700 uppercase tracking-wider">Opponent</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-teal-700 uppercase tracking-wider">Format</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-teal-700 uppercase tracking-wider">Score</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-teal-700 uppercase tracking-wider">Winner</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-teal-700 uppercase tracking-wider">Replay</th>
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {filteredMatches.length === 0 ? (
+                            <tr>
+                                <td colSpan="6" className="px-4 py-4 text-center text-gray-500">
+                                    {myMatches.length === 0 ? 'No matches played yet.' : 'No matches match these filters.'}
+                                </td>
+                            </tr>
+                        ) : (
+                            filteredMatches.map(match => (
+                                <tr key={match.id} className={match.won ? 'bg-green-50' : 'hover:bg-gray-50'}>
+                                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">{match.date.toLocaleString()}</td>
+                                    <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-blue-800">{match.opponentName}</td>
+                                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">
+                                        {match.matchLength}-point {getVariantLabel(match.variant)} match{match.gameId ? ', online' : ''}
+                                    </td>
+                                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">{match.myPoints} - {match.opponentPoints}</td>
+                                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">{match.won ? 'You' : match.opponentName}</td>
+                                    <td className="px-4 py-3 whitespace-nowrap text-sm">
+                                        {match.transcript ? (
+                                            <button
+                                                onClick={() => onReplay(match.id)}
+                                                className="px-3 py-1 bg-purple-500 hover:bg-purple-600 text-white font-semibold rounded-lg shadow-sm transition-colors"
+                                            >
+                                                Replay
+                                            </button>
+                                        ) : (
+                                            <span className="text-gray-400">No transcript</span>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))
+                        )}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+// LobbyPage Component: Open match offers anyone can accept, and the user's own pending invitations.
+const LobbyPage = ({ invitations, onPost, onAccept, onCancel }) => {
+    const { userId } = useContext(AuthContext);
+    const [matchLength, setMatchLength] = useState(5);
+    const [timeControl, setTimeControl] = useState(TIME_CONTROLS[0].id);
+    const [variant, setVariant] = useState(DEFAULT_VARIANT);
+    const [lobbyMessage, setLobbyMessage] = useState('');
+
+    const openOffers = invitations.filter(invitation => invitation.status === INVITATION_STATUS.OPEN && !invitation.to);
+    const sentChallenges = invitations.filter(invitation =>
+        invitation.status === INVITATION_STATUS.OPEN && invitation.to && invitation.from.id === userId);
+
+    const handlePost = async () => {
+        const posted = await onPost(matchLength, timeControl, variant);
+        setLobbyMessage(posted ? "Offer posted. You will be notified when someone accepts it." : "Could not post the offer. Please try again.");
+    };
+
+    const handleAccept = async (invitation) => {
+        const error = await onAccept(invitation);
+        if (error) setLobbyMessage(error);
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-2xl max-w-4xl mx-auto my-8">
+            <h2 className="text-3xl font-extrabold text-pink-700 mb-6 text-center">Lobby</h2>
+
+            <div className="mb-6 p-4 bg-gray-50 rounded-lg shadow-inner">
+                <h3 className="text-lg font-bold text-gray-700 mb-3">Offer a match</h3>
+                <div className="flex flex-col md:flex-row gap-4 md:items-center">
+                    <MatchOfferFields
+                        idPrefix="offer"
+                        matchLength={matchLength}
+                        timeControl={timeControl}
+                        variant={variant}
+                        onMatchLengthChange={setMatchLength}
+                        onTimeControlChange={setTimeControl}
+                        onVariantChange={setVariant}
+                    />
+                    <button
+                        onClick={handlePost}
+                        className="bg-pink-600 hover:bg-pink-700 text-white font-semibold py-2 px-4 rounded-lg shadow-sm transition-colors"
+                    >
+                        Post Offer
+                    </button>
+                </div>
+                {lobbyMessage && <p className="mt-3 text-pink-700 font-semibold">{lobbyMessage}</p>}
+            </div>
+
+            <h3 className="text-lg font-bold text-gray-700 mb-3">Open offers</h3>
+            {openOffers.length === 0 ? (
+                <p className="text-gray-500 mb-6">No open offers. Post one and wait for an opponent!</p>
+            ) : (
+                <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg mb-6">
+                    {openOffers.map(invitation => (
+                        <li key={invitation.id} className="flex justify-between items-center p-3">
+                            <span>
+                                <span className="font-semibold">{invitation.from.id === userId ? 'You' : invitation.from.name}</span>: {describeInvitation(invitation)}
+                            </span>
+                            {invitation.from.id === userId ? (
+                                <button
+                                    onClick={() => onCancel(invitation)}
+                                    className="bg-gray-200 hover:bg-gray-300 font-semibold py-1 px-3 rounded-lg transition-colors"
+                                >
+                                    Cancel
+                                </button>
+                            ) : (
+                                <button
+                                    onClick={() => handleAccept(invitation)}
+                                    className="bg-green-600 hover:bg-green-700 text-white font-semibold py-1 px-3 rounded-lg transition-colors"
+                                >
+                                    Accept
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {sentChallenges.length > 0 && (
+                <>
+                    <h3 className="text-lg font-bold text-gray-700 mb-3">Challenges you sent</h3>
+                    <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                        {sentChallenges.map(invitation => (
+                            <li key={invitation.id} className="flex justify-between items-center p-3">
+                                <span>
+                                    <span className="font-semibold">{invitation.to.name}</span>: {describeInvitation(invitation)}
+                                </span>
+                                <button
+                                    onClick={() => onCancel(invitation)}
+                                    className="bg-gray-200 hover:bg-gray-300 font-semibold py-1 px-3 rounded-lg transition-colors"
+                                >
+                                    Cancel
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
         </div>
     );
 };
@@ -1888,7 +4315,43 @@ const StatsPage = () => {
 // --- Main App Content Component (holds routing and game/stats pages) ---
 const MainAppContent = () => {
     const [currentPage, setCurrentPage] = useState('game');
-    const { currentUser, loadingAuth } = useContext(AuthContext);
+    const { currentUser, userId, loadingAuth } = useContext(AuthContext);
+    const [invitations, setInvitations] = useState([]);
+    const [gameToOpen, setGameToOpen] = useState(null); // An online game to open on the game page.
+    const [matchToReplay, setMatchToReplay] = useState(null); // A saved match to open on the replay page.
+    const isSignedIn = Boolean(currentUser && !currentUser.isAnonymous);
+
+    useEffect(() => {
+        if (!isSignedIn) return;
+        const unsubscribe = DataService.getInvitations(setInvitations);
+        return () => unsubscribe();
+    }, [isSignedIn]);
+
+    const clearGameToOpen = useCallback(() => setGameToOpen(null), []);
+    const clearMatchToReplay = useCallback(() => setMatchToReplay(null), []);
+
+    const openOnlineGame = (gameId) => {
+        setGameToOpen(gameId);
+        setCurrentPage('game');
+    };
+
+    const player = { id: userId, name: currentUser?.displayName || 'Anonymous Player' };
+
+    const sendInvitation = (to, matchLength, timeControl, variant) =>
+        DataService.createInvitation(createInvitation(player, to, matchLength, timeControl, variant));
+
+    // Returns null once the game is opened, or the reason the invitation could not be accepted.
+    const acceptInvitation = async (invitation) => {
+        const { gameId, error } = await DataService.acceptInvitation(invitation.id, player);
+        if (error) return error;
+        openOnlineGame(gameId);
+        return null;
+    };
+
+    const playAcceptedInvitation = (invitation) => {
+        DataService.updateInvitation(invitation.id, { fromSeen: true });
+        openOnlineGame(invitation.gameId);
+    };
 
     console.log("MainAppContent rendering. CurrentPage:", currentPage, "LoadingAuth:", loadingAuth, "CurrentUser:", currentUser?.uid);
 
@@ -1902,14 +4365,54 @@ const MainAppContent = () => {
 
     return (
         <div className="min-h-screen bg-gray-100 font-inter antialiased">
-            <Header onNavigate={setCurrentPage} />
+            <Header
+                onNavigate={setCurrentPage}
+                notifications={(
+                    <InvitationNotifications
+                        invitations={invitations}
+                        onAccept={acceptInvitation}
+                        onDecline={(invitation) => DataService.updateInvitation(invitation.id, { status: INVITATION_STATUS.DECLINED })}
+                        onPlay={playAcceptedInvitation}
+                        onDismiss={(invitation) => DataService.updateInvitation(invitation.id, { fromSeen: true })}
+                    />
+                )}
+            />
             <main className="container mx-auto p-4">
                 {!currentUser || currentUser.isAnonymous ? (
-                    <LoginPage />
+                    isLocalMode ? <LocalLoginPage /> : <LoginPage />
                 ) : (
                     <>
-                        {currentPage === 'game' && <BackgammonGame onMatchEnd={() => setCurrentPage('stats')} />}
-                        {currentPage === 'stats' && <StatsPage />}
+                        {currentPage === 'game' && (
+                            <BackgammonGame
+                                onMatchEnd={() => setCurrentPage('stats')}
+                                gameToOpen={gameToOpen}
+                                onGameOpened={clearGameToOpen}
+                            />
+                        )}
+                        {currentPage === 'stats' && (
+                            <StatsPage
+                                invitations={invitations}
+                                onChallenge={(user, matchLength, timeControl, variant) =>
+                                    sendInvitation({ id: user.id, name: user.displayName || 'Anonymous Player' }, matchLength, timeControl, variant)}
+                            />
+                        )}
+                        {currentPage === 'replay' && <ReplayPage matchToOpen={matchToReplay} onMatchOpened={clearMatchToReplay} />}
+                        {currentPage === 'history' && (
+                            <MyMatchesPage
+                                onReplay={(matchId) => {
+                                    setMatchToReplay(matchId);
+                                    setCurrentPage('replay');
+                                }}
+                            />
+                        )}
+                        {currentPage === 'lobby' && (
+                            <LobbyPage
+                                invitations={invitations}
+                                onPost={(matchLength, timeControl, variant) => sendInvitation(null, matchLength, timeControl, variant)}
+                                onAccept={acceptInvitation}
+                                onCancel={(invitation) => DataService.updateInvitation(invitation.id, { status: INVITATION_STATUS.CANCELLED })}
+                            />
+                        )}
                     </>
                 )}
             </main>
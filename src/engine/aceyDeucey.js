@@ -0,0 +1,53 @@
+// --- Acey-deucey ---
+// Backgammon in which every checker starts off the board. Each side enters its checkers into
+// the opponent's home board as if from the bar, and may move checkers already on the board
+// before all of them have entered. The position counts the checkers still to enter in
+// `toEnter: { white, black }`; they move from ENTRY.
+//   - A hit checker goes to the bar as usual and must re-enter before anything else moves.
+//   - Bearing off starts only once every checker has entered and reached home.
+//   - Rolling 1-2 ("acey-deucey") is a bonus: after playing the 1 and the 2, the player picks
+//     any double and plays it, then rolls again.
+// Hitting, blocking and scoring are otherwise those of backgammon.
+
+import {
+  WHITE, BLACK, BAR, ENTRY, CHECKERS_PER_SIDE, getPath, getOpponentColor, isPointBlocked, isBlot,
+  createEmptyPosition, getSingleMoves, applyMove,
+} from './backgammon';
+
+export const DOUBLE_CHOICES = [1, 2, 3, 4, 5, 6];
+
+export const createAceyDeuceyPosition = () => ({
+  ...createEmptyPosition(),
+  toEnter: { [WHITE]: CHECKERS_PER_SIDE, [BLACK]: CHECKERS_PER_SIDE },
+});
+
+// Whether `dice` is the 1-2 roll that earns the bonus double.
+export const isAceyDeuceyRoll = (dice) =>
+  dice.length === 2 && Math.min(...dice) === 1 && Math.max(...dice) === 2;
+
+// --- Move Generation ---
+
+// Lists every single checker move `color` could make with one die: the standard moves, plus
+// entering a new checker while any are left to enter and none is on the bar.
+export const getAceyDeuceySingleMoves = (position, color, die) => {
+  const moves = getSingleMoves(position, color, die);
+  if (position.bar[color] > 0 || position.toEnter[color] === 0) return moves;
+  const to = getPath(color)[die - 1];
+  if (!isPointBlocked(position, to, color)) {
+    moves.push({ from: ENTRY, to, die, hit: isBlot(position, to, getOpponentColor(color)) });
+  }
+  return moves;
+};
+
+// Entering a checker plays like entering one from the bar.
+export const applyAceyDeuceyMove = (position, color, move) => {
+  if (move.from !== ENTRY) return applyMove(position, color, move);
+  const entering = {
+    ...position,
+    bar: { ...position.bar, [color]: position.bar[color] + 1 },
+    toEnter: { ...position.toEnter, [color]: position.toEnter[color] - 1 },
+  };
+  return applyMove(entering, color, { ...move, from: BAR });
+};
+
+export const ACEY_DEUCEY_RULES = { getSingleMoves: getAceyDeuceySingleMoves, applyMove: applyAceyDeuceyMove };
@@ -0,0 +1,48 @@
+import {
+  WHITE, BLACK, BAR, ENTRY, getPath, getBearOffPoint, getPipCount, areAllCheckersHome, countCheckersToEnter, generatePlays,
+} from './backgammon';
+import {
+  ACEY_DEUCEY_RULES, createAceyDeuceyPosition, isAceyDeuceyRoll, getAceyDeuceySingleMoves, applyAceyDeuceyMove,
+} from './aceyDeucey';
+
+test('every checker starts off the board, still to enter', () => {
+  const position = createAceyDeuceyPosition();
+  expect(position.points.every(point => point.checkers.length === 0)).toBe(true);
+  expect(countCheckersToEnter(position, WHITE)).toBe(15);
+  expect(getPipCount(position, BLACK)).toBe(15 * 25);
+});
+
+test('checkers enter into the opponent\'s home board like checkers from the bar', () => {
+  const position = createAceyDeuceyPosition();
+  const [enter] = getAceyDeuceySingleMoves(position, WHITE, 3);
+  expect(enter).toEqual({ from: ENTRY, to: getPath(WHITE)[2], die: 3, hit: false });
+
+  const after = applyAceyDeuceyMove(position, WHITE, enter);
+  expect(countCheckersToEnter(after, WHITE)).toBe(14);
+  expect(after.bar[WHITE]).toBe(0);
+  expect(after.points[getPath(WHITE)[2] - 1].checkers).toEqual([WHITE]);
+  // Checkers already on the board move while others still wait to enter.
+  expect(getAceyDeuceySingleMoves(after, WHITE, 1).map(move => move.from)).toEqual([getPath(WHITE)[2], ENTRY]);
+});
+
+test('a hit checker re-enters before new ones enter', () => {
+  const position = { ...createAceyDeuceyPosition(), bar: { [WHITE]: 1, [BLACK]: 0 } };
+  position.toEnter = { [WHITE]: 14, [BLACK]: 15 };
+  expect(getAceyDeuceySingleMoves(position, WHITE, 4).map(move => move.from)).toEqual([BAR]);
+});
+
+test('nobody bears off while checkers are still to enter', () => {
+  const position = createAceyDeuceyPosition();
+  position.toEnter[WHITE] = 1;
+  position.points[getPath(WHITE)[23] - 1].checkers = Array(14).fill(WHITE);
+  expect(areAllCheckersHome(position, WHITE)).toBe(false);
+  const plays = generatePlays(position, WHITE, [6, 5], ACEY_DEUCEY_RULES);
+  expect(plays.some(play => play.moves.some(move => move.to === getBearOffPoint(WHITE)))).toBe(false);
+});
+
+test('the acey-deucey roll is a 1 and a 2', () => {
+  expect(isAceyDeuceyRoll([1, 2])).toBe(true);
+  expect(isAceyDeuceyRoll([2, 1])).toBe(true);
+  expect(isAceyDeuceyRoll([1, 1])).toBe(false);
+  expect(isAceyDeuceyRoll([1, 1, 1, 1])).toBe(false);
+});
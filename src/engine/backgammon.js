@@ -0,0 +1,429 @@
+// --- Backgammon Rules Engine ---
+// Pure, UI-independent rules for standard backgammon. Nothing in here touches React, so the
+// same functions can drive the board component, a computer player, a server or a test.
+//
+// Positions use the same shape as the board state rendered by BackgammonBoard:
+//   { points: [{ checkers: ['white', ...] }, ...24], bar: { white, black }, home: { white, black } }
+// Points are addressed by game point number (1-24). A single checker move is
+//   { from: gamePoint | 'bar' | 'entry', to: gamePoint | bear-off point, die, hit }
+// where the bear-off point is 0 for white and 25 for black (the trays on the board), and 'entry'
+// is only used by Acey-deucey, whose checkers start off the board.
+//
+// The legal-play functions take an optional `rules` argument, { getSingleMoves, applyMove }, so
+// that variants with other movement rules (see variants.js) share the same play logic. Rules that
+// limit a whole turn also have a `beginTurn(position, color, dice)`, which sets up that turn's
+// state in the position; call beginTurn() below when a side rolls.
+
+export const WHITE = 'white';
+export const BLACK = 'black';
+export const BAR = 'bar';
+export const ENTRY = 'entry'; // Where Acey-deucey checkers still to be entered move from.
+export const CHECKERS_PER_SIDE = 15;
+
+// Each side's route around the board, from its furthest point to the last point of its home board.
+export const WHITE_PATH = [12, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1, 24, 23, 22, 21, 20, 19, 18, 17, 16, 15, 14, 13];
+export const BLACK_PATH = [13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+
+const BEAR_OFF_POINT = { white: 0, black: 25 };
+const HOME_BOARD_START = 18; // Index on the path where a side's home board begins.
+
+export const WIN_TYPES = {
+  SINGLE: 'single',
+  GAMMON: 'gammon',
+  BACKGAMMON: 'backgammon',
+};
+
+export const getOpponentColor = (color) => (color === WHITE ? BLACK : WHITE);
+
+export const getPath = (color) => (color === WHITE ? WHITE_PATH : BLACK_PATH);
+
+export const getBearOffPoint = (color) => BEAR_OFF_POINT[color];
+
+export const isBearOffPoint = (point) => point === BEAR_OFF_POINT.white || point === BEAR_OFF_POINT.black;
+
+// The last six points on a side's path, in the order the side moves through them.
+export const getHomeBoardPoints = (color) => getPath(color).slice(HOME_BOARD_START);
+
+// Converts a board location into the point number as seen by `color`: 24 is its furthest point,
+// 1 its last point, 25 the bar (or the checkers still to enter) and 0 off the board. This is the
+// numbering used in move notation. Variants that route a side differently pass its `path`.
+export const toPlayerPoint = (color, point, path = getPath(color)) => {
+  if (point === BAR || point === ENTRY) return 25;
+  if (isBearOffPoint(point)) return 0;
+  return 24 - path.indexOf(point);
+};
+
+// Expands a roll into the list of dice that can be played: doubles are played four times.
+export const expandDice = (die1, die2) => (die1 === die2 ? [die1, die1, die1, die1] : [die1, die2]);
+
+// Opening roll: each side throws a single die and the higher one moves first, playing both
+// numbers. Returns the side that starts, or null on a tie, which is rolled again.
+export const getOpeningRollWinner = (whiteDie, blackDie) => {
+  if (whiteDie === blackDie) return null;
+  return whiteDie > blackDie ? WHITE : BLACK;
+};
+
+// Returns a copy of `dice` with one instance of `die` removed.
+export const removeDie = (dice, die) => {
+  const index = dice.indexOf(die);
+  if (index === -1) return [...dice];
+  return [...dice.slice(0, index), ...dice.slice(index + 1)];
+};
+
+// --- Positions ---
+
+export const createEmptyPosition = () => ({
+  points: Array(24).fill(null).map(() => ({ checkers: [] })),
+  bar: { white: 0, black: 0 },
+  home: { white: 0, black: 0 },
+});
+
+// The standard starting layout: 2 checkers on the furthest point, 5 on the mid point,
+// 3 just outside the home board and 5 on the first home board point, for each side.
+export const createInitialPosition = () => {
+  const position = createEmptyPosition();
+  [WHITE, BLACK].forEach((color) => {
+    const path = getPath(color);
+    position.points[path[0] - 1].checkers = Array(2).fill(color);
+    position.points[path[11] - 1].checkers = Array(5).fill(color);
+    position.points[path[16] - 1].checkers = Array(3).fill(color);
+    position.points[path[18] - 1].checkers = Array(5).fill(color);
+  });
+  return position;
+};
+
+// Nackgammon: as the standard layout, but with two more checkers back on the 23-point,
+// taken from the mid point and the 6-point.
+export const createNackgammonPosition = () => {
+  const position = createEmptyPosition();
+  [WHITE, BLACK].forEach((color) => {
+    const path = getPath(color);
+    position.points[path[0] - 1].checkers = Array(2).fill(color);
+    position.points[path[1] - 1].checkers = Array(2).fill(color);
+    position.points[path[11] - 1].checkers = Array(4).fill(color);
+    position.points[path[16] - 1].checkers = Array(3).fill(color);
+    position.points[path[18] - 1].checkers = Array(4).fill(color);
+  });
+  return position;
+};
+
+export const HYPERGAMMON_CHECKERS = 3;
+
+// Hypergammon: three checkers each, on the 24-, 23- and 22-points.
+export const createHypergammonPosition = () => {
+  const position = createEmptyPosition();
+  [WHITE, BLACK].forEach((color) => {
+    getPath(color).slice(0, HYPERGAMMON_CHECKERS).forEach(point => {
+      position.points[point - 1].checkers = [color];
+    });
+  });
+  return position;
+};
+
+// Acey-deucey positions also count the checkers each side still has to enter, in `toEnter`, and
+// Long Nardy ones how many more checkers may leave the head this turn, in `headMovesLeft`.
+export const clonePosition = (position) => ({
+  points: position.points.map(point => ({ checkers: [...point.checkers] })),
+  bar: { ...position.bar },
+  home: { ...position.home },
+  ...(position.toEnter ? { toEnter: { ...position.toEnter } } : {}),
+  ...(position.headMovesLeft !== undefined ? { headMovesLeft: position.headMovesLeft } : {}),
+});
+
+// Checkers of `color` that have not entered the board yet (Acey-deucey only).
+export const countCheckersToEnter = (position, color) => (position.toEnter ? position.toEnter[color] : 0);
+
+export const countCheckers = (position, point, color) =>
+  position.points[point - 1].checkers.filter(checker => checker === color).length;
+
+// Total number of pips `color` needs to bear off every checker along `path`; a checker on the bar
+// or still to enter counts 25.
+export const getPipCount = (position, color, path = getPath(color)) => {
+  let pips = (position.bar[color] + countCheckersToEnter(position, color)) * 25;
+  path.forEach((point, index) => {
+    pips += countCheckers(position, point, color) * (24 - index);
+  });
+  return pips;
+};
+
+// Index along its own path of a side's rearmost checker: -1 for the bar, 24 if all are borne off.
+const getRearmostIndex = (position, color) => {
+  if (position.bar[color] > 0 || countCheckersToEnter(position, color) > 0) return -1;
+  const index = getPath(color).findIndex(point => countCheckers(position, point, color) > 0);
+  return index === -1 ? 24 : index;
+};
+
+// The two paths mirror each other, so a white checker at white index `a` and a black checker at
+// black index `b` can still meet while `a + b < 23`. Once no pair can, the game is a pure race.
+export const hasContact = (position) =>
+  getRearmostIndex(position, WHITE) + getRearmostIndex(position, BLACK) < 23;
+
+// A point is blocked for `color` when the opponent has two or more checkers on it.
+export const isPointBlocked = (position, point, color) => {
+  const checkers = position.points[point - 1].checkers;
+  return checkers.length >= 2 && checkers[0] === getOpponentColor(color);
+};
+
+// A point holds a blot of `color` when exactly one of its checkers is on it.
+export const isBlot = (position, point, color) => {
+  const checkers = position.points[point - 1].checkers;
+  return checkers.length === 1 && checkers[0] === color;
+};
+
+// Checks if all of a side's checkers still on the board are in its home board.
+export const areAllCheckersHome = (position, color, path = getPath(color)) => {
+  if (position.bar[color] > 0 || countCheckersToEnter(position, color) > 0) return false;
+  for (let i = 0; i < HOME_BOARD_START; i++) {
+    if (countCheckers(position, path[i], color) > 0) return false;
+  }
+  return true;
+};
+
+// A checker may bear off with an exact die, or with a larger die if no checker of its
+// side sits further from home.
+export const canBearOff = (position, color, fromIndex, die, path = getPath(color)) => {
+  if (!areAllCheckersHome(position, color, path)) return false;
+  const targetIndex = fromIndex + die;
+  if (targetIndex === 24) return true;
+  if (targetIndex < 24) return false;
+  for (let i = HOME_BOARD_START; i < fromIndex; i++) {
+    if (countCheckers(position, path[i], color) > 0) return false;
+  }
+  return true;
+};
+
+// --- Move Generation ---
+
+// Lists every single checker move `color` could make with one die, ignoring the rest of the roll.
+// Checkers on the bar must be entered before anything else can move.
+export const getSingleMoves = (position, color, die) => {
+  const path = getPath(color);
+  const opponent = getOpponentColor(color);
+  const moves = [];
+
+  if (position.bar[color] > 0) {
+    const to = path[die - 1];
+    if (!isPointBlocked(position, to, color)) {
+      moves.push({ from: BAR, to, die, hit: isBlot(position, to, opponent) });
+    }
+    return moves;
+  }
+
+  path.forEach((from, fromIndex) => {
+    if (countCheckers(position, from, color) === 0) return;
+    const toIndex = fromIndex + die;
+    if (toIndex >= path.length) {
+      if (canBearOff(position, color, fromIndex, die)) {
+        moves.push({ from, to: getBearOffPoint(color), die, hit: false });
+      }
+      return;
+    }
+    const to = path[toIndex];
+    if (!isPointBlocked(position, to, color)) {
+      moves.push({ from, to, die, hit: isBlot(position, to, opponent) });
+    }
+  });
+  return moves;
+};
+
+// Checks whether `color` can move at all with any of the given dice.
+export const hasAnyLegalMove = (position, color, dice, rules = STANDARD_RULES) =>
+  [...new Set(dice)].some(die => rules.getSingleMoves(position, color, die).length > 0);
+
+// --- Legal Plays ---
+// A play must use as many dice as the position allows, and when only one die of a
+// non-double roll can be used, it must be the higher one wherever possible.
+
+// The largest number of `dice` that `color` can play from this position.
+export const getMaxDiceUsage = (position, color, dice, rules = STANDARD_RULES) => {
+  let best = 0;
+  for (const die of new Set(dice)) {
+    for (const move of rules.getSingleMoves(position, color, die)) {
+      const used = 1 + getMaxDiceUsage(rules.applyMove(position, color, move), color, removeDie(dice, die), rules);
+      if (used > best) best = used;
+      if (best === dice.length) return best;
+    }
+  }
+  return best;
+};
+
+const isUnplayedNonDouble = (dice) => dice.length === 2 && dice[0] !== dice[1];
+
+// Lists the single checker moves that can start a legal play with the remaining `dice`.
+// Because every earlier move of the turn was legal too, a move is legal exactly when the
+// rest of the dice can still be used as fully as before it.
+export const getLegalMoves = (position, color, dice, rules = STANDARD_RULES) => {
+  const maxUsage = getMaxDiceUsage(position, color, dice, rules);
+  if (maxUsage === 0) return [];
+
+  let moves = [];
+  new Set(dice).forEach(die => {
+    rules.getSingleMoves(position, color, die).forEach(move => {
+      if (1 + getMaxDiceUsage(rules.applyMove(position, color, move), color, removeDie(dice, die), rules) === maxUsage) {
+        moves.push(move);
+      }
+    });
+  });
+
+  if (maxUsage === 1 && isUnplayedNonDouble(dice)) {
+    const highestPlayable = Math.max(...moves.map(move => move.die));
+    moves = moves.filter(move => move.die === highestPlayable);
+  }
+  return moves;
+};
+
+// Explains why the single move from `from` to `to` (or anywhere, if `to` is omitted) is refused
+// although a die allows it, or returns null if no die moves that checker there at all.
+export const explainIllegalMove = (position, color, dice, from, to, rules = STANDARD_RULES) => {
+  const move = [...new Set(dice)]
+    .flatMap(die => rules.getSingleMoves(position, color, die))
+    .find(m => m.from === from && (to === undefined || m.to === to));
+  if (!move) return null;
+
+  const maxUsage = getMaxDiceUsage(position, color, dice, rules);
+  if (maxUsage === 1 && isUnplayedNonDouble(dice)) {
+    return `Only one die can be played this turn, so you must play the higher die (${Math.max(...dice)}).`;
+  }
+  if (isUnplayedNonDouble(dice)) {
+    return `That move would leave your other die unplayable. You must use both dice when you can.`;
+  }
+  return `That move would leave dice unplayed. You must play ${maxUsage} more ${maxUsage === 1 ? 'die' : 'dice'} this turn when you can.`;
+};
+
+// A stable string identifying a position, used to merge plays that end in the same position.
+export const getPositionKey = (position) =>
+  `${position.points.map(point => point.checkers.join('')).join('|')}/${position.bar.white},${position.bar.black}/${position.home.white},${position.home.black}` +
+  (position.toEnter ? `/${position.toEnter.white},${position.toEnter.black}` : '');
+
+// Generates every distinct legal play for a roll as { moves, position }: the single moves in
+// order and the resulting position. Plays reaching the same position are only listed once.
+// A roll with no legal move yields a single empty play.
+export const generatePlays = (position, color, dice, rules = STANDARD_RULES) => {
+  let candidates = [];
+  const visited = new Set();
+  let maxUsed = 0;
+
+  const explore = (current, remainingDice, moves) => {
+    const visitKey = `${getPositionKey(current)}#${[...remainingDice].sort().join('')}`;
+    if (visited.has(visitKey)) return;
+    visited.add(visitKey);
+
+    let moved = false;
+    new Set(remainingDice).forEach(die => {
+      rules.getSingleMoves(current, color, die).forEach(move => {
+        moved = true;
+        explore(rules.applyMove(current, color, move), removeDie(remainingDice, die), [...moves, move]);
+      });
+    });
+    if (moved || moves.length < maxUsed) return;
+
+    if (moves.length > maxUsed) {
+      maxUsed = moves.length;
+      candidates = [];
+    }
+    candidates.push({ moves, position: current });
+  };
+
+  explore(position, dice, []);
+
+  if (maxUsed === 1 && isUnplayedNonDouble(dice)) {
+    const highestPlayable = Math.max(...candidates.map(play => play.moves[0].die));
+    candidates = candidates.filter(play => play.moves[0].die === highestPlayable);
+  }
+
+  const plays = new Map();
+  candidates.forEach(play => {
+    const key = getPositionKey(play.position);
+    if (!plays.has(key)) plays.set(key, play);
+  });
+  return Array.from(plays.values());
+};
+
+// Lists every destination the checker on `from` can legally reach using one or more of `dice`,
+// moving only that checker. Each entry is { targetPoint, diceUsed, moves } where `moves` are the
+// single steps to apply in order. When a destination can be reached in several ways, the one
+// using the fewest dice (and then the smallest total) is kept.
+export const getCheckerMoves = (position, color, from, dice, rules = STANDARD_RULES) => {
+  const byTarget = new Map();
+
+  const explore = (currentPosition, currentFrom, remainingDice, steps) => {
+    const legalMoves = getLegalMoves(currentPosition, color, remainingDice, rules).filter(m => m.from === currentFrom);
+    legalMoves.forEach(move => {
+      const nextSteps = [...steps, move];
+      const diceUsed = nextSteps.map(step => step.die);
+      const existing = byTarget.get(move.to);
+      const total = diceUsed.reduce((sum, d) => sum + d, 0);
+      if (!existing || diceUsed.length < existing.diceUsed.length ||
+          (diceUsed.length === existing.diceUsed.length && total < existing.diceUsed.reduce((sum, d) => sum + d, 0))) {
+        byTarget.set(move.to, { targetPoint: move.to, diceUsed, moves: nextSteps });
+      }
+      if (!isBearOffPoint(move.to)) {
+        explore(rules.applyMove(currentPosition, color, move), move.to, removeDie(remainingDice, move.die), nextSteps);
+      }
+    });
+  };
+
+  explore(position, from, dice, []);
+  return Array.from(byTarget.values());
+};
+
+// --- Applying Moves ---
+
+// Returns the position after `color` plays a single checker move, sending a hit blot to the bar.
+export const applyMove = (position, color, move) => {
+  const next = clonePosition(position);
+  const opponent = getOpponentColor(color);
+
+  if (move.from === BAR) {
+    next.bar[color]--;
+  } else {
+    next.points[move.from - 1].checkers.pop();
+  }
+
+  if (isBearOffPoint(move.to)) {
+    next.home[color]++;
+    return next;
+  }
+
+  const target = next.points[move.to - 1].checkers;
+  if (target.length === 1 && target[0] === opponent) {
+    target.pop();
+    next.bar[opponent]++;
+  }
+  target.push(color);
+  return next;
+};
+
+// Applies a whole play (a list of single moves) in order.
+export const applyPlay = (position, color, moves, rules = STANDARD_RULES) =>
+  moves.reduce((current, move) => rules.applyMove(current, color, move), position);
+
+// Prepares `position` for `color` to play the roll `dice` ([d1, d2]). Nothing changes unless the
+// variant's rules keep state for the turn.
+export const beginTurn = (position, color, dice, rules = STANDARD_RULES) =>
+  (rules.beginTurn ? rules.beginTurn(position, color, dice) : position);
+
+// The movement rules of standard backgammon, the default for the functions above.
+export const STANDARD_RULES = { getSingleMoves, applyMove };
+
+// --- Game Over ---
+
+// A side wins once all its checkers are borne off; Hypergammon passes its smaller `checkersPerSide`.
+export const getWinner = (position, checkersPerSide = CHECKERS_PER_SIDE) => {
+  if (position.home.white === checkersPerSide) return WHITE;
+  if (position.home.black === checkersPerSide) return BLACK;
+  return null;
+};
+
+export const isGameOver = (position) => getWinner(position) !== null;
+
+// Classifies a finished game: a gammon if the loser bore off nothing, and a backgammon if the
+// loser also still has a checker on the bar or in the winner's home board.
+export const getWinType = (position, winner = getWinner(position)) => {
+  if (!winner) return null;
+  const loser = getOpponentColor(winner);
+  if (position.home[loser] > 0) return WIN_TYPES.SINGLE;
+  const stuckInWinnersHome = position.bar[loser] > 0 || countCheckersToEnter(position, loser) > 0 ||
+    getHomeBoardPoints(winner).some(point => countCheckers(position, point, loser) > 0);
+  return stuckInWinnersHome ? WIN_TYPES.BACKGAMMON : WIN_TYPES.GAMMON;
+};
@@ -0,0 +1,125 @@
+import {
+  WHITE, BLACK, BAR, WIN_TYPES, getPath, getBearOffPoint, toPlayerPoint, createEmptyPosition, createInitialPosition,
+  createNackgammonPosition, createHypergammonPosition, clonePosition, getPipCount, hasContact, getSingleMoves, getLegalMoves, explainIllegalMove, generatePlays, applyPlay, getWinner, getWinType,
+} from './backgammon';
+
+// Board point of `color`'s own point `playerPoint` (24 is its furthest point, 1 its last before home).
+const at = (color, playerPoint) => getPath(color)[24 - playerPoint];
+
+// A position with `checkers` ([color, playerPoint, count] entries) on the board and the rest of
+// each side's 15 checkers borne off.
+const setUp = (checkers) => {
+  const position = createEmptyPosition();
+  checkers.forEach(([color, playerPoint, count]) => {
+    for (let i = 0; i < count; i++) position.points[at(color, playerPoint) - 1].checkers.push(color);
+  });
+  [WHITE, BLACK].forEach(color => {
+    const onBoard = checkers.filter(([side]) => side === color).reduce((total, [, , count]) => total + count, 0);
+    position.home[color] = 15 - onBoard;
+  });
+  return position;
+};
+
+// Each play as its moves in player points, e.g. '6/5 8/5', with the moves sorted.
+const describePlays = (color, plays) => plays.map(play => play.moves
+  .map(move => `${toPlayerPoint(color, move.from)}/${toPlayerPoint(color, move.to)}`)
+  .sort()
+  .join(' '));
+
+describe('starting positions', () => {
+  test('each side has 167 pips and the sides are in contact', () => {
+    const position = createInitialPosition();
+    expect(getPipCount(position, WHITE)).toBe(167);
+    expect(getPipCount(position, BLACK)).toBe(167);
+    expect(hasContact(position)).toBe(true);
+    expect(hasContact(setUp([[WHITE, 3, 1], [BLACK, 3, 1]]))).toBe(false);
+  });
+
+  test('Nackgammon starts with 194 pips and Hypergammon with three checkers at the back', () => {
+    expect(getPipCount(createNackgammonPosition(), WHITE)).toBe(194);
+    const hypergammon = createHypergammonPosition();
+    expect(getPipCount(hypergammon, BLACK)).toBe(24 + 23 + 22);
+  });
+});
+
+describe('legal plays', () => {
+  test('the opening 3-1 can make the 5-point', () => {
+    const plays = generatePlays(createInitialPosition(), WHITE, [3, 1]);
+    expect(describePlays(WHITE, plays)).toContain('6/5 8/5');
+    expect(plays.every(play => play.moves.length === 2)).toBe(true);
+  });
+
+  test('a play must use both dice when it can', () => {
+    // 7/1 with the 6 leaves the 5 unplayable (24/19 is blocked); every other choice plays both.
+    const position = setUp([[WHITE, 24, 1], [WHITE, 7, 1], [BLACK, 6, 2]]);
+    const plays = generatePlays(position, WHITE, [6, 5]);
+    expect(plays.every(play => play.moves.length === 2)).toBe(true);
+    expect(plays.some(play => play.moves[0].from === at(WHITE, 7) && play.moves[0].die === 6)).toBe(false);
+
+    const legal = getLegalMoves(position, WHITE, [6, 5]);
+    expect(legal.some(move => move.from === at(WHITE, 7) && move.die === 6)).toBe(false);
+    expect(explainIllegalMove(position, WHITE, [6, 5], at(WHITE, 7), at(WHITE, 1)))
+      .toMatch(/use both dice/);
+  });
+
+  test('when only one die can be played it must be the higher one', () => {
+    // Either die alone is playable from the 24-point, but 24/13 is blocked.
+    const position = setUp([[WHITE, 24, 1], [BLACK, 12, 2]]);
+    const plays = generatePlays(position, WHITE, [6, 5]);
+    expect(describePlays(WHITE, plays)).toEqual(['24/18']);
+    expect(explainIllegalMove(position, WHITE, [6, 5], at(WHITE, 24), at(WHITE, 19)))
+      .toMatch(/higher die \(6\)/);
+  });
+
+  test('doubles play as many of the four moves as possible', () => {
+    // 24/20/16, and then the 12-point is blocked.
+    const position = setUp([[WHITE, 24, 1], [BLACK, 13, 2]]);
+    const plays = generatePlays(position, WHITE, [4, 4, 4, 4]);
+    expect(describePlays(WHITE, plays)).toEqual(['20/16 24/20']);
+  });
+
+  test('a checker on the bar enters before anything else moves', () => {
+    // The 6 would enter on the opponent's 6-point, which is blocked.
+    const position = setUp([[WHITE, 13, 1], [BLACK, 6, 2]]);
+    position.bar[WHITE] = 1;
+    position.home[WHITE]--;
+    expect(getLegalMoves(position, WHITE, [6, 3])).toEqual([{ from: BAR, to: at(WHITE, 22), die: 3, hit: false }]);
+  });
+
+  test('a larger die bears off only the rearmost checker', () => {
+    const position = setUp([[WHITE, 5, 1], [WHITE, 3, 1]]);
+    const offWithSix = getSingleMoves(position, WHITE, 6).filter(move => move.to === getBearOffPoint(WHITE));
+    expect(offWithSix.map(move => move.from)).toEqual([at(WHITE, 5)]);
+  });
+
+  test('a blot hit goes to the bar', () => {
+    const position = setUp([[WHITE, 13, 1], [BLACK, 15, 1]]);
+    const after = applyPlay(position, WHITE, [{ from: at(WHITE, 13), to: at(WHITE, 10), die: 3, hit: true }]);
+    expect(after.bar[BLACK]).toBe(1);
+    expect(position.bar[BLACK]).toBe(0);
+  });
+});
+
+describe('game over', () => {
+  test('the loser with nothing borne off loses a gammon, or a backgammon from the winner\'s home', () => {
+    const gammon = setUp([[BLACK, 12, 1]]);
+    expect(getWinner(gammon)).toBe(WHITE);
+    gammon.home[BLACK] = 0;
+    expect(getWinType(gammon)).toBe(WIN_TYPES.GAMMON);
+
+    const backgammon = setUp([[BLACK, 20, 1]]);
+    backgammon.home[BLACK] = 0;
+    expect(getWinType(backgammon)).toBe(WIN_TYPES.BACKGAMMON);
+
+    const single = setUp([[BLACK, 20, 1]]);
+    expect(getWinType(single)).toBe(WIN_TYPES.SINGLE);
+  });
+
+  test('clonePosition keeps the state variants add to a position', () => {
+    const position = { ...createInitialPosition(), toEnter: { white: 3, black: 4 }, headMovesLeft: 0 };
+    const copy = clonePosition(position);
+    expect(copy.toEnter).toEqual({ white: 3, black: 4 });
+    expect(copy.toEnter).not.toBe(position.toEnter);
+    expect(copy.headMovesLeft).toBe(0);
+  });
+});
@@ -0,0 +1,176 @@
+// --- Computer Player ---
+// Chooses a whole play for the computer-controlled side. Every level picks from the legal plays
+// produced by the rules engine; they differ only in how the resulting positions are judged.
+
+import {
+  getOpponentColor, getPath, getPipCount, countCheckers, countCheckersToEnter, generatePlays, removeDie, getPositionKey,
+} from './backgammon';
+import { DOUBLE_CHOICES } from './aceyDeucey';
+import { countPinnedCheckers } from './plakoto';
+import { getVariant } from './variants';
+
+export const COMPUTER_DIFFICULTIES = [
+  { id: 'beginner', label: 'Beginner' },
+  { id: 'intermediate', label: 'Intermediate' },
+  { id: 'expert', label: 'Expert' },
+];
+
+export const getDifficultyLabel = (difficulty) =>
+  (COMPUTER_DIFFICULTIES.find(level => level.id === difficulty) || COMPUTER_DIFFICULTIES[0]).label;
+
+// Evaluation weights per level. Beginner has none: it plays a random legal play. Hits count both
+// checkers on the bar and checkers pinned in Plakoto.
+const WEIGHTS = {
+  intermediate: { pips: 1, borneOff: 2, hits: 8, blots: 3, blotShots: 0, madePoints: 2, homePoints: 0, prime: 0, anchors: 0 },
+  expert: { pips: 1, borneOff: 3, hits: 10, blots: 0, blotShots: 1.5, madePoints: 1, homePoints: 3, prime: 4, anchors: 2 },
+};
+
+// Chance that the intermediate level settles for one of its three best plays instead of the best.
+const INTERMEDIATE_SLIP_CHANCE = 0.3;
+
+// Counts the opponent checkers (bar and checkers still to enter included) that could hit a blot
+// on `point`, weighting direct shots (6 pips or less) double and indirect shots (up to 12 pips) single.
+const countShotsAt = (position, point, opponent) => {
+  const opponentPath = getPath(opponent);
+  const targetIndex = opponentPath.indexOf(point);
+  let shots = 0;
+  const addShots = (checkers, distance) => {
+    if (distance >= 1 && distance <= 6) shots += 2 * checkers;
+    else if (distance > 6 && distance <= 12) shots += checkers;
+  };
+  addShots(position.bar[opponent] + countCheckersToEnter(position, opponent), targetIndex + 1);
+  for (let index = 0; index < targetIndex; index++) {
+    addShots(countCheckers(position, opponentPath[index], opponent), targetIndex - index);
+  }
+  return shots;
+};
+
+// Length of the longest run of consecutive made points along a side's path. A point is made with
+// the variant's `holdingCheckers`: two checkers, or a single one in Fevga.
+const getLongestPrime = (position, color, variant) => {
+  let longest = 0;
+  let current = 0;
+  variant.getPath(color).forEach(point => {
+    current = countCheckers(position, point, color) >= variant.holdingCheckers ? current + 1 : 0;
+    longest = Math.max(longest, current);
+  });
+  return longest;
+};
+
+// Scores a position from `color`'s point of view; higher is better.
+export const evaluatePosition = (position, color, weights = WEIGHTS.expert, variant = getVariant()) => {
+  const opponent = getOpponentColor(color);
+  const path = variant.getPath(color);
+
+  const winner = variant.getWinner(position);
+  if (winner) return winner === color ? Infinity : -Infinity;
+
+  const pipLead = getPipCount(position, opponent, variant.getPath(opponent)) - getPipCount(position, color, path);
+  let score = weights.pips * pipLead + weights.borneOff * position.home[color];
+
+  // Once the sides have passed each other only the race matters.
+  if (!variant.hasContact(position)) return score;
+
+  score += weights.hits * (position.bar[opponent] + countPinnedCheckers(position, opponent) - countPinnedCheckers(position, color));
+
+  path.forEach((point, index) => {
+    const checkers = countCheckers(position, point, color);
+    if (checkers === 1 && variant.holdingCheckers > 1) {
+      // A blot further along the path loses more pips when it is hit.
+      score -= weights.blots + weights.blotShots * countShotsAt(position, point, opponent) * (1 + index / 12);
+    } else if (checkers >= variant.holdingCheckers) {
+      score += weights.madePoints;
+      if (index >= 18) score += weights.homePoints;
+      if (index < 6) score += weights.anchors;
+    }
+  });
+
+  const prime = getLongestPrime(position, color, variant);
+  if (prime >= 3) score += weights.prime * (prime - 2);
+
+  return score;
+};
+
+// Picks the moves the computer plays for `dice` in `variant`, as a list of single moves to apply
+// in order. Returns an empty list when the roll cannot be played.
+export const chooseComputerPlay = (position, color, dice, difficulty, variant = getVariant(), random = Math.random) => {
+  const plays = generatePlays(position, color, dice, variant.rules);
+  if (plays.length === 0) return [];
+
+  const weights = WEIGHTS[difficulty];
+  if (!weights) {
+    return plays[Math.floor(random() * plays.length)].moves;
+  }
+
+  const ranked = plays
+    .map(play => ({ play, score: evaluatePosition(play.position, color, weights, variant) }))
+    .sort((a, b) => b.score - a.score);
+
+  if (difficulty === 'intermediate' && random() < INTERMEDIATE_SLIP_CHANCE) {
+    const candidates = ranked.slice(0, 3);
+    return candidates[Math.floor(random() * candidates.length)].play.moves;
+  }
+  return ranked[0].play.moves;
+};
+
+// Picks the double the computer takes for an Acey-deucey bonus: the one whose best play leaves the
+// best position. The beginner level picks at random.
+export const chooseAceyDeuceyDouble = (position, color, difficulty, variant = getVariant(), random = Math.random) => {
+  const weights = WEIGHTS[difficulty];
+  if (!weights) return DOUBLE_CHOICES[Math.floor(random() * DOUBLE_CHOICES.length)];
+
+  let best = { value: DOUBLE_CHOICES[0], score: -Infinity };
+  DOUBLE_CHOICES.forEach(value => {
+    generatePlays(position, color, [value, value, value, value], variant.rules).forEach(play => {
+      const score = evaluatePosition(play.position, color, weights, variant);
+      if (score > best.score) best = { value, score };
+    });
+  });
+  return best.value;
+};
+
+// Identifies a moment within a turn: the position together with the dice still to play.
+const getTurnStateKey = (position, dice) => `${getPositionKey(position)}#${dice.join(',')}`;
+
+// Chooses a play and returns it as a plan: one { key, move } step per single move, where `key`
+// identifies the position and remaining dice the move is meant for. Moves are played one at a
+// time, so the plan lets the caller find the next move without counting what was played.
+export const planComputerTurn = (position, color, dice, difficulty, variant = getVariant(), random = Math.random) => {
+  let current = position;
+  let remainingDice = dice;
+  return chooseComputerPlay(position, color, dice, difficulty, variant, random).map(move => {
+    const step = { key: getTurnStateKey(current, remainingDice), move };
+    current = variant.rules.applyMove(current, color, move);
+    remainingDice = removeDie(remainingDice, move.die);
+    return step;
+  });
+};
+
+// Looks up the planned move for the current position and remaining dice, or null when the
+// plan does not cover them (for example after the board changed some other way).
+export const getPlannedMove = (plan, position, dice) => {
+  if (!plan) return null;
+  const key = getTurnStateKey(position, dice);
+  const step = plan.find(entry => entry.key === key);
+  return step ? step.move : null;
+};
+
+// --- Cube Decisions ---
+
+// Rough winning chance for `color`, squashing the expert evaluation into 0..1.
+const estimateWinningChance = (position, color, variant) => {
+  const score = evaluatePosition(position, color, WEIGHTS.expert, variant) -
+    evaluatePosition(position, getOpponentColor(color), WEIGHTS.expert, variant);
+  return 1 / (1 + Math.exp(-score / 40));
+};
+
+const DOUBLE_THRESHOLD = 0.7;
+const TAKE_THRESHOLD = 0.25;
+
+// Whether the computer turns the cube before rolling. The beginner level never doubles.
+export const shouldOfferDouble = (position, color, difficulty, variant = getVariant()) =>
+  difficulty !== 'beginner' && estimateWinningChance(position, color, variant) >= DOUBLE_THRESHOLD;
+
+// Whether the computer takes a double offered to `color`. The beginner level always takes.
+export const shouldAcceptDouble = (position, color, difficulty, variant = getVariant()) =>
+  difficulty === 'beginner' || estimateWinningChance(position, color, variant) >= TAKE_THRESHOLD;
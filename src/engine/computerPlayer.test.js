@@ -0,0 +1,81 @@
+import {
+  WHITE, BLACK, getPath, toPlayerPoint, expandDice, createEmptyPosition, createInitialPosition, generatePlays, applyPlay,
+  getPositionKey,
+} from './backgammon';
+import { COMPUTER_DIFFICULTIES, chooseComputerPlay, shouldOfferDouble, shouldAcceptDouble } from './computerPlayer';
+import { getVariant } from './variants';
+
+const ROLLS = [[3, 1], [6, 5], [4, 4], [2, 1], [6, 6], [5, 2]];
+
+// A middle-game position with blots for both sides and a white checker on the bar.
+const createMiddleGame = () => {
+  const position = createEmptyPosition();
+  const place = (color, point, count) => {
+    for (let i = 0; i < count; i++) position.points[point - 1].checkers.push(color);
+  };
+  place(WHITE, 1, 3); place(WHITE, 4, 4); place(WHITE, 6, 2); place(WHITE, 9, 1); place(WHITE, 17, 4);
+  place(BLACK, 24, 4); place(BLACK, 20, 3); place(BLACK, 19, 2); place(BLACK, 12, 1); place(BLACK, 10, 5);
+  position.bar[WHITE] = 1;
+  return position;
+};
+
+describe('chooseComputerPlay', () => {
+  test('every level plays one of the legal whole-turn plays', () => {
+    [createInitialPosition(), createMiddleGame()].forEach(position => {
+      [WHITE, BLACK].forEach(color => {
+        ROLLS.forEach(roll => {
+          const dice = expandDice(...roll);
+          const legal = generatePlays(position, color, dice).map(play => getPositionKey(play.position));
+          COMPUTER_DIFFICULTIES.forEach(({ id }) => {
+            const moves = chooseComputerPlay(position, color, dice, id);
+            expect(legal).toContain(getPositionKey(applyPlay(position, color, moves)));
+          });
+        });
+      });
+    });
+  });
+
+  test('a roll that cannot be played gives no moves', () => {
+    // White is on the bar against a closed board.
+    const position = createEmptyPosition();
+    getPath(WHITE).slice(0, 6).forEach(point => { position.points[point - 1].checkers = [BLACK, BLACK]; });
+    position.bar[WHITE] = 1;
+    expect(chooseComputerPlay(position, WHITE, [6, 5], 'expert')).toEqual([]);
+  });
+
+  test('the expert makes the 5-point with an opening 3-1', () => {
+    const moves = chooseComputerPlay(createInitialPosition(), WHITE, [3, 1], 'expert');
+    expect(moves.map(move => toPlayerPoint(WHITE, move.to))).toEqual([5, 5]);
+  });
+});
+
+describe('cube decisions', () => {
+  // A race white is about to win: its last checkers on its 1-point and black's on `blackPoint`.
+  const createRace = (whiteLeft, whiteHome, blackLeft, blackPoint) => {
+    const position = createEmptyPosition();
+    position.points[getPath(WHITE)[23] - 1].checkers = Array(whiteLeft).fill(WHITE);
+    position.points[getPath(BLACK)[24 - blackPoint] - 1].checkers = Array(blackLeft).fill(BLACK);
+    position.home[WHITE] = whiteHome;
+    return position;
+  };
+
+  test('far ahead the computer doubles, and far behind it drops', () => {
+    const position = createRace(2, 13, 15, 6);
+    expect(shouldOfferDouble(position, WHITE, 'expert')).toBe(true);
+    expect(shouldAcceptDouble(position, BLACK, 'expert')).toBe(false);
+    expect(shouldOfferDouble(position, BLACK, 'expert')).toBe(false);
+  });
+
+  test('the beginner never doubles and always takes', () => {
+    const position = createRace(2, 13, 15, 6);
+    expect(shouldOfferDouble(position, WHITE, 'beginner')).toBe(false);
+    expect(shouldAcceptDouble(position, BLACK, 'beginner')).toBe(true);
+  });
+
+  test('a Hypergammon race is judged on its three checkers a side', () => {
+    const hypergammon = getVariant('hypergammon');
+    const position = createRace(1, 2, 3, 20);
+    expect(shouldOfferDouble(position, WHITE, 'expert', hypergammon)).toBe(true);
+    expect(shouldAcceptDouble(position, BLACK, 'expert', hypergammon)).toBe(false);
+  });
+});
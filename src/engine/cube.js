@@ -0,0 +1,17 @@
+// --- Doubling Cube ---
+// The cube is { value, owner } where owner is the color that may redouble next, or null
+// while the cube is still in the middle. Pure helpers, like the rest of the engine.
+
+export const MAX_CUBE_VALUE = 64;
+
+export const createCube = () => ({ value: 1, owner: null });
+
+// A side may offer a double before rolling when it owns the cube or the cube is centered.
+// Doubling is not allowed during the Crawford game of a match.
+export const canOfferDouble = (cube, color, match) =>
+  !(match && match.isCrawfordGame) &&
+  (cube.owner === null || cube.owner === color) &&
+  cube.value < MAX_CUBE_VALUE;
+
+// Taking a double turns the cube to the next value and hands it to the side that took.
+export const acceptDouble = (cube, taker) => ({ value: cube.value * 2, owner: taker });
@@ -0,0 +1,53 @@
+import { WHITE, BLACK, WIN_TYPES } from './backgammon';
+import { MAX_CUBE_VALUE, createCube, canOfferDouble, acceptDouble } from './cube';
+import { createMatch, scoreGame } from './match';
+
+describe('doubling', () => {
+  test('either side may double a centered cube', () => {
+    const cube = createCube();
+    expect(cube).toEqual({ value: 1, owner: null });
+    expect(canOfferDouble(cube, WHITE)).toBe(true);
+    expect(canOfferDouble(cube, BLACK)).toBe(true);
+  });
+
+  test('taking a double doubles the cube and hands it to the taker, who alone may redouble', () => {
+    const taken = acceptDouble(createCube(), BLACK);
+    expect(taken).toEqual({ value: 2, owner: BLACK });
+    expect(canOfferDouble(taken, WHITE)).toBe(false);
+    expect(canOfferDouble(taken, BLACK)).toBe(true);
+
+    const redoubled = acceptDouble(taken, WHITE);
+    expect(redoubled).toEqual({ value: 4, owner: WHITE });
+    expect(canOfferDouble(redoubled, BLACK)).toBe(false);
+  });
+
+  test('the cube stops at its highest value', () => {
+    expect(canOfferDouble({ value: MAX_CUBE_VALUE, owner: WHITE }, WHITE)).toBe(false);
+  });
+
+  test('nobody doubles in the Crawford game', () => {
+    let match = scoreGame(createMatch(3), WHITE, WIN_TYPES.GAMMON);
+    expect(match.isCrawfordGame).toBe(true);
+    expect(canOfferDouble(createCube(), BLACK, match)).toBe(false);
+
+    match = scoreGame(match, BLACK, WIN_TYPES.SINGLE);
+    expect(canOfferDouble(createCube(), BLACK, match)).toBe(true);
+  });
+});
+
+describe('scoring with the cube', () => {
+  test('a taken double multiplies the points of the game', () => {
+    const match = scoreGame(createMatch(7), WHITE, WIN_TYPES.GAMMON, acceptDouble(createCube(), BLACK));
+    expect(match.score).toEqual({ [WHITE]: 4, [BLACK]: 0 });
+    expect(match.games[0]).toMatchObject({ points: 4, cube: { value: 2, owner: BLACK }, doubleDropped: false });
+  });
+
+  test('a dropped double scores a single game at the cube value before the double', () => {
+    expect(scoreGame(createMatch(5), BLACK, WIN_TYPES.SINGLE, createCube(), { doubleDropped: true }).score[BLACK]).toBe(1);
+
+    // White took at 2 and redoubles; black drops and gives up the 2 points the cube was on.
+    const match = scoreGame(createMatch(5), WHITE, WIN_TYPES.SINGLE, acceptDouble(createCube(), WHITE), { doubleDropped: true });
+    expect(match.score[WHITE]).toBe(2);
+    expect(match.games[0].doubleDropped).toBe(true);
+  });
+});
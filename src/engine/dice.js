@@ -0,0 +1,72 @@
+// --- Dice Service ---
+// Reproducible, verifiable dice. Every die of a match is derived from a secret seed:
+//   die n = first byte b < 252 of SHA-256(`${seed}:${n}`), mapped to 1 + (b % 6)
+// Before the match only the commitment SHA-256(seed) is published; the seed is revealed when
+// the match ends. Anyone can then check that the seed matches the commitment and recompute
+// every die with verifyDiceRolls, or with any other SHA-256 tool.
+
+import { sha256Hex } from './sha256';
+
+// Largest multiple of 6 that fits in a byte; higher bytes are skipped so each face is equally likely.
+const UNBIASED_BYTE_LIMIT = 252;
+
+// A fresh 256-bit seed as 64 hex characters.
+export const createSeed = () => {
+  const bytes = new Uint8Array(32);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+export const commitToSeed = (seed) => sha256Hex(seed);
+
+// The die at position `index` (0-based) of the sequence generated by `seed`.
+export const getDie = (seed, index) => {
+  // A digest made only of skipped bytes is practically impossible, but the rule still covers it:
+  // hash the digest again and keep looking.
+  let digest = sha256Hex(`${seed}:${index}`);
+  for (;;) {
+    for (let i = 0; i < digest.length; i += 2) {
+      const byte = parseInt(digest.slice(i, i + 2), 16);
+      if (byte < UNBIASED_BYTE_LIMIT) return 1 + (byte % 6);
+    }
+    digest = sha256Hex(digest);
+  }
+};
+
+// Creates the dice for one match. Pass a seed to replay a known sequence; otherwise a random one
+// is used. Every die handed out is logged in order so the match can be checked afterwards.
+// `previousRolls` continues a match after the dice it already used. A resumed match gets a new
+// seed, since the old one is never stored, so the seed only accounts for the dice from
+// `firstRoll` on; the ones before are kept for the record but cannot be checked against it.
+export const createDiceService = (seed = createSeed(), previousRolls = []) => {
+  const commitment = commitToSeed(seed);
+  const rolls = [...previousRolls];
+  const firstRoll = previousRolls.length;
+
+  const nextDie = () => {
+    const die = getDie(seed, rolls.length);
+    rolls.push(die);
+    return die;
+  };
+
+  return {
+    commitment,
+    // A single die (opening roll) or the two dice of a normal roll.
+    roll: (count = 2) => Array.from({ length: count }, nextDie),
+    getRolls: () => [...rolls],
+    // Ends the secrecy: returns everything needed to verify the match.
+    reveal: () => ({ seed, commitment, rolls: [...rolls], ...(firstRoll ? { firstRoll } : {}) }),
+  };
+};
+
+// Checks a revealed dice record. Returns null when it is consistent, otherwise the reason it is not.
+export const verifyDiceRolls = ({ seed, commitment, rolls, firstRoll = 0 }) => {
+  if (commitToSeed(seed) !== commitment) {
+    return 'The revealed seed does not match the commitment published before the match.';
+  }
+  const mismatch = rolls.findIndex((die, index) => index >= firstRoll && getDie(seed, index) !== die);
+  if (mismatch !== -1) {
+    return `Die ${mismatch + 1} was recorded as ${rolls[mismatch]}, but the seed produces ${getDie(seed, mismatch)}.`;
+  }
+  return null;
+};
@@ -0,0 +1,57 @@
+/**
+ * @jest-environment node
+ */
+
+import { commitToSeed, getDie, createDiceService, verifyDiceRolls } from './dice';
+
+const SEED = 'a'.repeat(64);
+
+test('the same seed always gives the same dice', () => {
+  const first = createDiceService(SEED);
+  const second = createDiceService(SEED);
+  const rolls = [first.roll(1), first.roll(), first.roll()];
+  expect([second.roll(1), second.roll(), second.roll()]).toEqual(rolls);
+  expect(rolls.flat().every(die => die >= 1 && die <= 6)).toBe(true);
+  expect(first.getRolls()).toEqual(rolls.flat());
+  expect(first.getRolls()).toEqual(rolls.flat().map((die, index) => getDie(SEED, index)));
+});
+
+test('the commitment is published before the seed and checks out once it is revealed', () => {
+  const dice = createDiceService(SEED);
+  expect(dice.commitment).toBe(commitToSeed(SEED));
+  expect(dice.commitment).not.toContain(SEED);
+  for (let i = 0; i < 20; i++) dice.roll();
+
+  const record = dice.reveal();
+  expect(record).toEqual({ seed: SEED, commitment: dice.commitment, rolls: dice.getRolls() });
+  expect(verifyDiceRolls(record)).toBeNull();
+});
+
+test('a tampered record fails verification', () => {
+  const dice = createDiceService(SEED);
+  for (let i = 0; i < 5; i++) dice.roll();
+  const record = dice.reveal();
+
+  const rolls = [...record.rolls];
+  rolls[3] = rolls[3] === 6 ? 1 : rolls[3] + 1;
+  expect(verifyDiceRolls({ ...record, rolls })).toMatch(/^Die 4 was recorded as/);
+  expect(verifyDiceRolls({ ...record, seed: 'b'.repeat(64) })).toMatch(/does not match the commitment/);
+});
+
+test('a resumed match is checked from the first die rolled on its new seed', () => {
+  const previousRolls = [3, 1, 6, 6];
+  const dice = createDiceService(SEED, previousRolls);
+  dice.roll();
+  dice.roll();
+
+  const record = dice.reveal();
+  expect(record.firstRoll).toBe(4);
+  expect(record.rolls.slice(0, 4)).toEqual(previousRolls);
+  expect(record.rolls.slice(4)).toEqual([4, 5, 6, 7].map(index => getDie(SEED, index)));
+  expect(verifyDiceRolls(record)).toBeNull();
+
+  const rolls = [...record.rolls];
+  rolls[4] = rolls[4] === 6 ? 1 : rolls[4] + 1;
+  expect(verifyDiceRolls({ ...record, rolls })).toMatch(/^Die 5 was recorded as/);
+  expect(createDiceService(SEED).reveal()).not.toHaveProperty('firstRoll');
+});
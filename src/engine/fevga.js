@@ -0,0 +1,109 @@
+// --- Fevga ---
+// The Greek running game. Both sides move in the same rotational direction, each starting with
+// all 15 checkers in a corner diagonally opposite the other's: white from point 12 home to points
+// 18-13 as in backgammon, black from point 24 home to points 6-1. There is no hitting:
+//   - A single checker holds a point; the other side cannot land on it.
+//   - A side moves only one checker off its starting point until that checker has passed the
+//     opponent's starting point.
+//   - Nobody may build a prime of six held points with all of the opponent's checkers behind it.
+// A finished game is a gammon if the loser has borne off nothing and a single game otherwise.
+
+import {
+  WHITE, BLACK, WHITE_PATH, CHECKERS_PER_SIDE, WIN_TYPES, getOpponentColor, getBearOffPoint, countCheckers, canBearOff,
+  createEmptyPosition, applyMove, getWinner,
+} from './backgammon';
+
+export const FEVGA_BLACK_PATH = [24, 23, 22, 21, 20, 19, 18, 17, 16, 15, 14, 13, 12, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1];
+
+// Index on a side's path of the opponent's starting point.
+const OPPONENT_START_INDEX = 12;
+const PRIME_LENGTH = 6;
+
+export const getFevgaPath = (color) => (color === WHITE ? WHITE_PATH : FEVGA_BLACK_PATH);
+
+export const createFevgaPosition = () => {
+  const position = createEmptyPosition();
+  [WHITE, BLACK].forEach((color) => {
+    position.points[getFevgaPath(color)[0] - 1].checkers = Array(CHECKERS_PER_SIDE).fill(color);
+  });
+  return position;
+};
+
+// Indices along `color`'s path of each of its checkers on the board.
+const getCheckerIndices = (position, color) => {
+  const indices = [];
+  getFevgaPath(color).forEach((point, index) => {
+    if (countCheckers(position, point, color) > 0) indices.push(index);
+  });
+  return indices;
+};
+
+// Until one checker has passed the opponent's starting point, no other checker leaves the start.
+const mayLeaveStart = (position, color) => {
+  const indices = getCheckerIndices(position, color);
+  const hasLeftStart = position.home[color] > 0 || indices.some(index => index > 0);
+  const hasPassedOpponent = position.home[color] > 0 || indices.some(index => index > OPPONENT_START_INDEX);
+  return !hasLeftStart || hasPassedOpponent;
+};
+
+// Whether `color` holds six points in a row on the opponent's path with none of the opponent's
+// checkers in front of them.
+export const hasTrappingPrime = (position, color) => {
+  const opponent = getOpponentColor(color);
+  const opponentPath = getFevgaPath(opponent);
+  const opponentIndices = getCheckerIndices(position, opponent);
+  let run = 0;
+  for (let index = 0; index < opponentPath.length; index++) {
+    run = countCheckers(position, opponentPath[index], color) > 0 ? run + 1 : 0;
+    if (run >= PRIME_LENGTH && position.home[opponent] === 0 && !opponentIndices.some(i => i > index)) return true;
+  }
+  return false;
+};
+
+// The sides are still in each other's way while a checker of one side has a checker of the
+// other in front of it along its own path.
+export const hasFevgaContact = (position) => [WHITE, BLACK].some(color => {
+  const indices = getCheckerIndices(position, color);
+  if (indices.length === 0) return false;
+  const path = getFevgaPath(color);
+  const rearmost = indices[0];
+  return path.some((point, index) => index > rearmost && countCheckers(position, point, getOpponentColor(color)) > 0);
+});
+
+// --- Move Generation ---
+
+// Lists every single checker move `color` could make with one die. Moves that would trap the
+// opponent behind a six-point prime are left out.
+export const getFevgaSingleMoves = (position, color, die) => {
+  const path = getFevgaPath(color);
+  const opponent = getOpponentColor(color);
+  const leaveStart = mayLeaveStart(position, color);
+  const moves = [];
+
+  path.forEach((from, fromIndex) => {
+    if (countCheckers(position, from, color) === 0) return;
+    if (fromIndex === 0 && !leaveStart) return;
+    const toIndex = fromIndex + die;
+    if (toIndex >= path.length) {
+      if (canBearOff(position, color, fromIndex, die, path)) {
+        moves.push({ from, to: getBearOffPoint(color), die, hit: false });
+      }
+      return;
+    }
+    const to = path[toIndex];
+    if (countCheckers(position, to, opponent) > 0) return;
+    const move = { from, to, die, hit: false };
+    if (!hasTrappingPrime(applyMove(position, color, move), color)) moves.push(move);
+  });
+  return moves;
+};
+
+// Nothing is ever hit, so the standard applyMove plays Fevga moves as they are.
+export const FEVGA_RULES = { getSingleMoves: getFevgaSingleMoves, applyMove };
+
+// --- Game Over ---
+
+export const getFevgaWinType = (position, winner = getWinner(position)) => {
+  if (!winner) return null;
+  return position.home[getOpponentColor(winner)] > 0 ? WIN_TYPES.SINGLE : WIN_TYPES.GAMMON;
+};
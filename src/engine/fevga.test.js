@@ -0,0 +1,48 @@
+import { WHITE, BLACK, createEmptyPosition, applyMove, applyPlay, generatePlays } from './backgammon';
+import { FEVGA_RULES, createFevgaPosition, getFevgaPath, getFevgaSingleMoves, hasTrappingPrime } from './fevga';
+
+const WHITE_START = getFevgaPath(WHITE)[0];
+const BLACK_START = getFevgaPath(BLACK)[0];
+
+const moveChecker = (position, color, from, to) => applyMove(position, color, { from, to, die: 0, hit: false });
+
+test('the sides start in opposite corners and run the same way round', () => {
+  const position = createFevgaPosition();
+  expect([WHITE_START, BLACK_START]).toEqual([12, 24]);
+  expect(position.points[WHITE_START - 1].checkers).toHaveLength(15);
+  expect(position.points[BLACK_START - 1].checkers).toHaveLength(15);
+  expect(getFevgaPath(BLACK).slice(0, 3)).toEqual([24, 23, 22]);
+});
+
+test('a single checker holds a point', () => {
+  const position = moveChecker(createFevgaPosition(), BLACK, BLACK_START, 9);
+  expect(getFevgaSingleMoves(position, WHITE, 3)).toEqual([]);
+  expect(getFevgaSingleMoves(position, WHITE, 2)).toEqual([{ from: 12, to: 10, die: 2, hit: false }]);
+});
+
+test('only one checker leaves the start until it has passed the opponent\'s start', () => {
+  let position = moveChecker(createFevgaPosition(), WHITE, WHITE_START, 9);
+  expect(getFevgaSingleMoves(position, WHITE, 2).map(move => move.from)).toEqual([9]);
+
+  position = moveChecker(position, WHITE, 9, 23);
+  expect(getFevgaSingleMoves(position, WHITE, 2).map(move => move.from)).toEqual([12, 23]);
+
+  // The opening roll therefore moves a single checker.
+  const plays = generatePlays(createFevgaPosition(), WHITE, [5, 3], FEVGA_RULES);
+  plays.forEach(play => expect(play.moves[1].from).toBe(play.moves[0].to));
+});
+
+test('no six-point prime may trap every opposing checker', () => {
+  // White holds 22-18; closing 23 would wall in all of black's checkers on the 24-point.
+  const position = createEmptyPosition();
+  [22, 21, 20, 19, 18, 1].forEach(point => { position.points[point - 1].checkers = [WHITE]; });
+  position.points[13 - 1].checkers = Array(9).fill(WHITE);
+  position.points[BLACK_START - 1].checkers = Array(15).fill(BLACK);
+
+  expect(hasTrappingPrime(applyPlay(position, WHITE, [{ from: 1, to: 23, die: 2, hit: false }]), WHITE)).toBe(true);
+  expect(getFevgaSingleMoves(position, WHITE, 2).some(move => move.from === 1)).toBe(false);
+
+  // With a black checker already past the wall the prime is allowed.
+  const escaped = moveChecker(position, BLACK, BLACK_START, 10);
+  expect(getFevgaSingleMoves(escaped, WHITE, 2).some(move => move.from === 1 && move.to === 23)).toBe(true);
+});
@@ -0,0 +1,126 @@
+// --- Online Game Rooms ---
+// The shared part of an online match, as stored in artifacts/{appId}/public/data/games/{gameId}:
+//   { status, matchLength, variant, timeControl, players: { white: { id, name }, black: { id, name } | null }, state, updatedBy }
+// where `state` holds everything both browsers must agree on:
+//   { board, dice, availableDice, currentPlayer, match, cube, pendingDouble, openingRoll, transcript }
+// Each browser plays one colour and writes the state after its own actions; the other one applies it.
+// firestore.rules lets only the two seated players write a room, each on their own turn, but the
+// moves in a state are not checked on the server: each browser trusts what the other one writes.
+
+import { WHITE, BLACK } from './backgammon';
+import { createMatch } from './match';
+import { createCube } from './cube';
+import { createTranscript } from './transcript';
+import { DEFAULT_VARIANT, getGameVariant, getVariantLabel } from './variants';
+
+export const ROOM_STATUS = {
+  WAITING: 'waiting', // Created, waiting for a second player to take black.
+  PLAYING: 'playing',
+  FINISHED: 'finished',
+};
+
+export const createRoomState = (matchLength, variant = DEFAULT_VARIANT) => ({
+  board: getGameVariant(variant, 1).createInitialPosition(),
+  dice: [0, 0],
+  availableDice: [],
+  currentPlayer: WHITE,
+  match: createMatch(matchLength, variant),
+  cube: createCube(),
+  pendingDouble: null,
+  openingRoll: { [WHITE]: 0, [BLACK]: 0 },
+  transcript: createTranscript(variant),
+});
+
+// Time settings a match can be offered with. They are advisory: both players see the pace they
+// agreed on, but no clock is kept and nobody loses on time.
+export const TIME_CONTROLS = [
+  { id: 'untimed', label: 'Untimed' },
+  { id: 'standard', label: '2 min per point + 12 s per move' },
+  { id: 'blitz', label: '1 min per point + 8 s per move' },
+];
+
+export const TIME_CONTROL_NOTE = 'Time settings are advisory: no clock is kept and nobody loses on time.';
+
+export const getTimeControlLabel = (id) => {
+  const timeControl = TIME_CONTROLS.find(candidate => candidate.id === id);
+  return timeControl ? timeControl.label : TIME_CONTROLS[0].label;
+};
+
+// The label with a reminder, for timed settings, that it is not enforced.
+export const describeTimeControl = (id) => {
+  const label = getTimeControlLabel(id);
+  return label === TIME_CONTROLS[0].label ? label : `${label} (advisory)`;
+};
+
+// A room is open until a second player takes black; with `blackPlayer` both seats are filled at once.
+export const createRoom = (
+  matchLength, whitePlayer, { blackPlayer = null, timeControl = TIME_CONTROLS[0].id, variant = DEFAULT_VARIANT } = {},
+) => ({
+  status: blackPlayer ? ROOM_STATUS.PLAYING : ROOM_STATUS.WAITING,
+  matchLength,
+  variant,
+  timeControl,
+  players: { [WHITE]: whitePlayer, [BLACK]: blackPlayer },
+  state: createRoomState(matchLength, variant),
+  updatedBy: WHITE,
+});
+
+// The colour `userId` plays in `room`, or null for a spectator.
+export const getRoomColor = (room, userId) => {
+  if (room.players[WHITE] && room.players[WHITE].id === userId) return WHITE;
+  if (room.players[BLACK] && room.players[BLACK].id === userId) return BLACK;
+  return null;
+};
+
+// Compares states by content. Firestore does not keep the order of map keys, so they are sorted.
+export const getRoomStateKey = (state) => JSON.stringify(state, (key, value) => (
+  value && typeof value === 'object' && !Array.isArray(value)
+    ? Object.keys(value).sort().reduce((sorted, name) => ({ ...sorted, [name]: value[name] }), {})
+    : value
+));
+
+// Whether the opening dice went from a finished (tied) throw back to none.
+const isOpeningRollReset = (previous, next) =>
+  previous[WHITE] !== 0 && previous[BLACK] !== 0 && next[WHITE] === 0 && next[BLACK] === 0;
+
+// The Firestore update that takes the room from `previous` to `next`, written by the `color` side.
+// Both sides throw their opening die at the same time, so during the opening roll each one writes
+// only its own die and the two writes cannot overwrite each other. After a tie white alone clears
+// both dice in a single write; black only rolls again once it sees them cleared.
+export const getRoomUpdate = (previous, next, color) => {
+  if (previous && previous.openingRoll && next.openingRoll) {
+    if (color === WHITE && isOpeningRollReset(previous.openingRoll, next.openingRoll)) {
+      return { 'state.openingRoll': next.openingRoll, updatedBy: color };
+    }
+    return { [`state.openingRoll.${color}`]: next.openingRoll[color], updatedBy: color };
+  }
+  return { state: next, updatedBy: color };
+};
+
+// --- Invitations ---
+// Match offers, stored in artifacts/{appId}/public/data/invitations/{invitationId}:
+//   { from, to, matchLength, variant, timeControl, status, gameId, acceptedBy, fromSeen }
+// A direct challenge names the player in `to`; an open lobby offer has `to: null` and can be accepted
+// by anyone. Accepting creates the game room with the inviter as white and stores its id in `gameId`.
+
+export const INVITATION_STATUS = {
+  OPEN: 'open',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  CANCELLED: 'cancelled',
+};
+
+export const createInvitation = (from, to, matchLength, timeControl, variant = DEFAULT_VARIANT) => ({
+  from,
+  to,
+  matchLength,
+  variant,
+  timeControl,
+  status: INVITATION_STATUS.OPEN,
+  gameId: null,
+  acceptedBy: null,
+  fromSeen: false, // Set once the inviter has seen that the invitation was answered.
+});
+
+export const describeInvitation = (invitation) =>
+  `${invitation.matchLength}-point ${getVariantLabel(invitation.variant)} match, ${describeTimeControl(invitation.timeControl).toLowerCase()}`;
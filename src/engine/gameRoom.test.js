@@ -0,0 +1,90 @@
+import { WHITE, BLACK, createInitialPosition } from './backgammon';
+import {
+  ROOM_STATUS, INVITATION_STATUS, TIME_CONTROLS, createRoomState, createRoom, getRoomColor, getRoomStateKey,
+  getRoomUpdate, describeTimeControl, createInvitation, describeInvitation,
+} from './gameRoom';
+
+const ALICE = { id: 'alice-id', name: 'Alice' };
+const BOB = { id: 'bob-id', name: 'Bob' };
+
+describe('rooms and seats', () => {
+  test('a new room seats its creator as white and waits for black', () => {
+    const room = createRoom(5, ALICE);
+    expect(room.status).toBe(ROOM_STATUS.WAITING);
+    expect(room.players).toEqual({ [WHITE]: ALICE, [BLACK]: null });
+    expect(room.state.match.matchLength).toBe(5);
+    expect(room.state.board).toEqual(createInitialPosition());
+    expect(room.state.openingRoll).toEqual({ [WHITE]: 0, [BLACK]: 0 });
+    expect(room.timeControl).toBe(TIME_CONTROLS[0].id);
+  });
+
+  test('an accepted invitation seats both players at once', () => {
+    const room = createRoom(7, ALICE, { blackPlayer: BOB, timeControl: 'blitz' });
+    expect(room.status).toBe(ROOM_STATUS.PLAYING);
+    expect(room.players).toEqual({ [WHITE]: ALICE, [BLACK]: BOB });
+    expect(room.timeControl).toBe('blitz');
+  });
+
+  test('a room plays the variant it was offered with', () => {
+    const room = createRoom(3, ALICE, { variant: 'plakoto' });
+    expect(room.variant).toBe('plakoto');
+    expect(room.state.match.variant).toBe('plakoto');
+    expect(room.state.transcript.variant).toBe('plakoto');
+    expect(createInvitation(ALICE.id, BOB.id, 3, 'untimed', 'plakoto').variant).toBe('plakoto');
+  });
+
+  test('each player plays their own colour and anyone else only watches', () => {
+    const room = { ...createRoom(5, ALICE), players: { [WHITE]: ALICE, [BLACK]: BOB } };
+    expect(getRoomColor(room, ALICE.id)).toBe(WHITE);
+    expect(getRoomColor(room, BOB.id)).toBe(BLACK);
+    expect(getRoomColor(room, 'carol-id')).toBeNull();
+    expect(getRoomColor(createRoom(5, ALICE), BOB.id)).toBeNull();
+  });
+});
+
+describe('room updates', () => {
+  test('states compare by content, whatever the order of their keys', () => {
+    const state = createRoomState(3);
+    const reordered = Object.fromEntries(Object.entries(state).reverse());
+    expect(getRoomStateKey(reordered)).toBe(getRoomStateKey(state));
+    expect(getRoomStateKey({ ...state, dice: [3, 1] })).not.toBe(getRoomStateKey(state));
+  });
+
+  test('during the opening roll each side writes only its own die', () => {
+    const previous = createRoomState(3);
+    const next = { ...previous, openingRoll: { [WHITE]: 0, [BLACK]: 4 } };
+    expect(getRoomUpdate(previous, next, BLACK)).toEqual({ 'state.openingRoll.black': 4, updatedBy: BLACK });
+  });
+
+  test('after a tie white clears both opening dice in one write', () => {
+    const tied = { ...createRoomState(3), openingRoll: { [WHITE]: 4, [BLACK]: 4 } };
+    const cleared = { ...tied, openingRoll: { [WHITE]: 0, [BLACK]: 0 } };
+    expect(getRoomUpdate(tied, cleared, WHITE)).toEqual({ 'state.openingRoll': { [WHITE]: 0, [BLACK]: 0 }, updatedBy: WHITE });
+
+    const rolledAgain = { ...cleared, openingRoll: { [WHITE]: 2, [BLACK]: 0 } };
+    expect(getRoomUpdate(cleared, rolledAgain, WHITE)).toEqual({ 'state.openingRoll.white': 2, updatedBy: WHITE });
+  });
+
+  test('otherwise the whole state is written', () => {
+    const previous = { ...createRoomState(3), openingRoll: null };
+    const next = { ...previous, dice: [6, 5], currentPlayer: BLACK };
+    expect(getRoomUpdate(previous, next, BLACK)).toEqual({ state: next, updatedBy: BLACK });
+    expect(getRoomUpdate(null, next, WHITE)).toEqual({ state: next, updatedBy: WHITE });
+  });
+});
+
+describe('invitations', () => {
+  test('an open lobby offer names no opponent and waits for an answer', () => {
+    const invitation = createInvitation(ALICE.id, null, 5, 'standard');
+    expect(invitation).toMatchObject({
+      from: ALICE.id, to: null, matchLength: 5, timeControl: 'standard', status: INVITATION_STATUS.OPEN, gameId: null,
+    });
+    expect(describeInvitation(invitation)).toBe('5-point Portes (Backgammon) match, 2 min per point + 12 s per move (advisory)');
+    expect(describeInvitation({ ...invitation, timeControl: 'unknown' })).toBe('5-point Portes (Backgammon) match, untimed');
+  });
+
+  test('timed settings are marked as advisory, since no clock enforces them', () => {
+    expect(describeTimeControl('blitz')).toBe('1 min per point + 8 s per move (advisory)');
+    expect(describeTimeControl('untimed')).toBe('Untimed');
+  });
+});
@@ -0,0 +1,193 @@
+// --- GNU Backgammon Position ID and Match ID ---
+// The two base64 strings GNU Backgammon uses to share a position, e.g. `4HPwATDgc/ABMA:cAkAAAAAAAAA`.
+//
+// Position ID: 80 bits. For the player not on roll and then the player on roll, each of their
+// points 1-24 and the bar in turn is written as one 1-bit per checker followed by a 0-bit.
+// Match ID: 66 bits of cube, dice, turn, match length and score (see MATCH_ID_FIELDS).
+// Both pack bits little-endian into bytes and write the bytes in base64 without padding.
+//
+// GNU Backgammon numbers its players 0 and 1; here player 0 is black and player 1 is white.
+
+import {
+  WHITE, BLACK, CHECKERS_PER_SIDE, getOpponentColor, getPath, countCheckers, createEmptyPosition,
+} from './backgammon';
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const POSITION_ID_LENGTH = 14;
+const MATCH_ID_LENGTH = 12;
+const PLAYERS = [BLACK, WHITE];
+
+export const GAME_STATES = { NONE: 0, PLAYING: 1, OVER: 2, RESIGNED: 3, DROPPED: 4 };
+
+// --- Bits and base64 ---
+
+const bytesToBase64 = (bytes, length) => {
+  let bits = '';
+  bytes.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+  let text = '';
+  for (let i = 0; i < length; i++) {
+    text += BASE64_ALPHABET[parseInt(bits.slice(i * 6, i * 6 + 6).padEnd(6, '0'), 2)];
+  }
+  return text;
+};
+
+const base64ToBytes = (text, byteCount) => {
+  let bits = '';
+  for (const char of text) {
+    const value = BASE64_ALPHABET.indexOf(char);
+    if (value === -1) return null;
+    bits += value.toString(2).padStart(6, '0');
+  }
+  return Array.from({ length: byteCount }, (_, i) => parseInt(bits.slice(i * 8, i * 8 + 8), 2));
+};
+
+// Writes bit strings (least significant bit first) into bytes, and reads them back.
+const packBits = (bits, byteCount) => {
+  const bytes = new Array(byteCount).fill(0);
+  bits.forEach((bit, index) => { if (bit) bytes[index >> 3] |= 1 << (index & 7); });
+  return bytes;
+};
+
+const unpackBits = (bytes) => bytes.flatMap(byte => Array.from({ length: 8 }, (_, bit) => (byte >> bit) & 1));
+
+const numberToBits = (value, width) => Array.from({ length: width }, (_, bit) => Math.floor(value / 2 ** bit) % 2);
+
+const bitsToNumber = (bits) => bits.reduce((value, bit, index) => value + bit * 2 ** index, 0);
+
+// --- Position ID ---
+
+// A side's checkers on its own points 1-24 (index 0-23) and the bar (index 24).
+const getSideCounts = (position, color) => {
+  const path = getPath(color);
+  const counts = Array.from({ length: 24 }, (_, index) => countCheckers(position, path[23 - index], color));
+  counts.push(position.bar[color]);
+  return counts;
+};
+
+export const encodePositionId = (position, playerOnRoll) => {
+  const bits = [];
+  [getOpponentColor(playerOnRoll), playerOnRoll].forEach(color => {
+    getSideCounts(position, color).forEach(count => {
+      for (let i = 0; i < count; i++) bits.push(1);
+      bits.push(0);
+    });
+  });
+  return bytesToBase64(packBits(bits, 10), POSITION_ID_LENGTH);
+};
+
+// Returns { position } or { error }. Checkers missing from the ID have been borne off.
+export const decodePositionId = (positionId, playerOnRoll) => {
+  const bytes = positionId.length === POSITION_ID_LENGTH && base64ToBytes(positionId, 10);
+  if (!bytes) return { error: 'A Position ID is 14 characters of base64.' };
+
+  const bits = unpackBits(bytes);
+  const position = createEmptyPosition();
+  let bitIndex = 0;
+  for (const color of [getOpponentColor(playerOnRoll), playerOnRoll]) {
+    const path = getPath(color);
+    let total = 0;
+    for (let index = 0; index < 25; index++) {
+      let count = 0;
+      while (bitIndex < bits.length && bits[bitIndex] === 1) {
+        count++;
+        bitIndex++;
+      }
+      if (bitIndex >= bits.length) return { error: 'The Position ID ends in the middle of a side.' };
+      bitIndex++;
+      total += count;
+      if (index === 24) {
+        position.bar[color] = count;
+      } else {
+        for (let i = 0; i < count; i++) position.points[path[23 - index] - 1].checkers.push(color);
+      }
+    }
+    if (total > CHECKERS_PER_SIDE) {
+      return { error: `The Position ID has ${total} ${color} checkers; a side has ${CHECKERS_PER_SIDE}.` };
+    }
+    position.home[color] = CHECKERS_PER_SIDE - total;
+  }
+
+  const shared = position.points.find(point => new Set(point.checkers).size > 1);
+  if (shared) return { error: 'The Position ID puts checkers of both sides on the same point.' };
+  return { position };
+};
+
+// --- Match ID ---
+
+// Field widths in bit order.
+const MATCH_ID_FIELDS = [
+  ['cubeLog', 4], ['cubeOwner', 2], ['diceOwner', 1], ['crawford', 1], ['gameState', 3], ['turn', 1],
+  ['doubleOffered', 1], ['resignation', 2], ['die1', 3], ['die2', 3], ['matchLength', 15],
+  ['score0', 15], ['score1', 15],
+];
+
+const CENTERED_CUBE_OWNER = 3;
+
+// `state` = { matchLength, score: { white, black }, cube, playerOnRoll, dice, crawford, gameState }.
+// `dice` is [0, 0] before the roll.
+export const encodeMatchId = ({ matchLength, score, cube, playerOnRoll, dice, crawford, gameState = GAME_STATES.PLAYING }) => {
+  const values = {
+    cubeLog: Math.log2(cube.value),
+    cubeOwner: cube.owner === null ? CENTERED_CUBE_OWNER : PLAYERS.indexOf(cube.owner),
+    diceOwner: PLAYERS.indexOf(playerOnRoll),
+    crawford: crawford ? 1 : 0,
+    gameState,
+    turn: PLAYERS.indexOf(playerOnRoll),
+    doubleOffered: 0,
+    resignation: 0,
+    die1: dice[0],
+    die2: dice[1],
+    matchLength,
+    score0: score[PLAYERS[0]],
+    score1: score[PLAYERS[1]],
+  };
+  const bits = MATCH_ID_FIELDS.flatMap(([name, width]) => numberToBits(values[name], width));
+  return bytesToBase64(packBits(bits, 9), MATCH_ID_LENGTH);
+};
+
+// Returns { matchLength, score, cube, playerOnRoll, dice, crawford, gameState } or { error }.
+export const decodeMatchId = (matchId) => {
+  const bytes = matchId.length === MATCH_ID_LENGTH && base64ToBytes(matchId, 9);
+  if (!bytes) return { error: 'A Match ID is 12 characters of base64.' };
+
+  const bits = unpackBits(bytes);
+  const values = {};
+  let offset = 0;
+  MATCH_ID_FIELDS.forEach(([name, width]) => {
+    values[name] = bitsToNumber(bits.slice(offset, offset + width));
+    offset += width;
+  });
+
+  const dice = [values.die1, values.die2];
+  if (dice.some(die => die > 6) || (dice[0] === 0) !== (dice[1] === 0)) {
+    return { error: 'The Match ID has impossible dice.' };
+  }
+  if (values.cubeOwner === 2) return { error: 'The Match ID has an invalid cube owner.' };
+
+  return {
+    matchLength: values.matchLength,
+    score: { [PLAYERS[0]]: values.score0, [PLAYERS[1]]: values.score1 },
+    cube: {
+      value: 2 ** values.cubeLog,
+      owner: values.cubeOwner === CENTERED_CUBE_OWNER ? null : PLAYERS[values.cubeOwner],
+    },
+    playerOnRoll: PLAYERS[values.diceOwner],
+    dice,
+    crawford: values.crawford === 1,
+    gameState: values.gameState,
+  };
+};
+
+// Reads `PositionID:MatchID`, or a lone Position ID with white on roll and nothing else known.
+// Returns { position, match } (match is null without a Match ID) or { error }.
+export const parseGnubgId = (text) => {
+  const [positionPart, matchPart] = text.trim().replace(/^GNUbg ID:\s*/i, '').split(':').map(part => part && part.trim());
+  let match = null;
+  if (matchPart) {
+    match = decodeMatchId(matchPart);
+    if (match.error) return { error: match.error };
+  }
+  const decoded = decodePositionId(positionPart || '', match ? match.playerOnRoll : WHITE);
+  if (decoded.error) return { error: decoded.error };
+  return { position: decoded.position, match };
+};
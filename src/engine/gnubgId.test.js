@@ -0,0 +1,68 @@
+import { WHITE, BLACK, getPath, createEmptyPosition, createInitialPosition } from './backgammon';
+import { GAME_STATES, encodePositionId, decodePositionId, encodeMatchId, decodeMatchId, parseGnubgId } from './gnubgId';
+
+// The starting position and the example Match ID from the GNU Backgammon manual: a 9-point match at
+// 2-4, the cube on 2 owned by player 0 (black here), player 1 (white) on roll with 5-2.
+const START_POSITION_ID = '4HPwATDgc/ABMA';
+const MANUAL_MATCH_ID = 'QYkqASAAIAAA';
+const MANUAL_MATCH = {
+  matchLength: 9,
+  score: { [BLACK]: 2, [WHITE]: 4 },
+  cube: { value: 2, owner: BLACK },
+  playerOnRoll: WHITE,
+  dice: [5, 2],
+  crawford: false,
+  gameState: GAME_STATES.PLAYING,
+};
+
+describe('Position ID', () => {
+  test('the starting position has the well-known ID for either side on roll', () => {
+    expect(encodePositionId(createInitialPosition(), WHITE)).toBe(START_POSITION_ID);
+    expect(encodePositionId(createInitialPosition(), BLACK)).toBe(START_POSITION_ID);
+    expect(decodePositionId(START_POSITION_ID, WHITE).position).toEqual(createInitialPosition());
+  });
+
+  test('a position with a checker on the bar and some borne off comes back unchanged', () => {
+    const position = createEmptyPosition();
+    position.points[getPath(WHITE)[18] - 1].checkers = Array(13).fill(WHITE); // White's 6-point.
+    position.bar[WHITE] = 1;
+    position.home[WHITE] = 1;
+    position.points[getPath(BLACK)[23] - 1].checkers = Array(10).fill(BLACK); // Black's 1-point.
+    position.home[BLACK] = 5;
+
+    expect(decodePositionId(encodePositionId(position, BLACK), BLACK).position).toEqual(position);
+    expect(decodePositionId(encodePositionId(position, WHITE), WHITE).position).toEqual(position);
+  });
+
+  test('malformed IDs are reported', () => {
+    expect(decodePositionId('4HPwATDgc', WHITE).error).toMatch(/14 characters/);
+    expect(decodePositionId('//////////////', WHITE).error).toBeDefined();
+  });
+});
+
+describe('Match ID', () => {
+  test('the manual\'s example decodes and encodes back', () => {
+    expect(decodeMatchId(MANUAL_MATCH_ID)).toEqual(MANUAL_MATCH);
+    expect(encodeMatchId(MANUAL_MATCH)).toBe(MANUAL_MATCH_ID);
+  });
+
+  test('Crawford, a centred cube and no dice survive a round trip', () => {
+    const state = {
+      matchLength: 5,
+      score: { [BLACK]: 4, [WHITE]: 1 },
+      cube: { value: 1, owner: null },
+      playerOnRoll: BLACK,
+      dice: [0, 0],
+      crawford: true,
+      gameState: GAME_STATES.PLAYING,
+    };
+    expect(decodeMatchId(encodeMatchId(state))).toEqual(state);
+  });
+
+  test('parseGnubgId reads both parts of a GNUbg ID', () => {
+    const { position, match, error } = parseGnubgId(`GNUbg ID: ${START_POSITION_ID}:${MANUAL_MATCH_ID}`);
+    expect(error).toBeUndefined();
+    expect(position).toEqual(createInitialPosition());
+    expect(match.dice).toEqual([5, 2]);
+  });
+});
@@ -0,0 +1,63 @@
+// --- Long Nardy ---
+// The Russian long game. It starts like Fevga, from the same corners and along the same
+// counter-clockwise routes, with no hitting, a single checker holding a point and no six-point
+// block with all of the opponent's checkers behind it. Its head rule is its own:
+//   - Only one checker may leave the head (the starting point) per turn. On a side's first turn
+//     a roll of 6-6, 4-4 or 3-3 may take two, as one checker alone could not play it.
+// The position records how many more checkers may leave the head this turn in `headMovesLeft`,
+// set by beginLongNardyTurn when a side rolls.
+// A finished game is a mars (gammon) if the loser has borne off nothing and a single game otherwise.
+
+import {
+  CHECKERS_PER_SIDE, getOpponentColor, getBearOffPoint, countCheckers, canBearOff, applyMove,
+} from './backgammon';
+import { getFevgaPath, hasTrappingPrime } from './fevga';
+
+const FIRST_TURN_HEAD_DOUBLES = [6, 4, 3];
+
+const getHeadMovesLeft = (position) => (position.headMovesLeft === undefined ? 1 : position.headMovesLeft);
+
+export const beginLongNardyTurn = (position, color, dice) => {
+  const isFirstTurn = countCheckers(position, getFevgaPath(color)[0], color) === CHECKERS_PER_SIDE;
+  const isHeadDouble = dice[0] === dice[1] && FIRST_TURN_HEAD_DOUBLES.includes(dice[0]);
+  return { ...position, headMovesLeft: isFirstTurn && isHeadDouble ? 2 : 1 };
+};
+
+// --- Move Generation ---
+
+// Lists every single checker move `color` could make with one die. Moves that would block all of
+// the opponent's checkers behind six points in a row are left out.
+export const getLongNardySingleMoves = (position, color, die) => {
+  const path = getFevgaPath(color);
+  const opponent = getOpponentColor(color);
+  const moves = [];
+
+  path.forEach((from, fromIndex) => {
+    if (countCheckers(position, from, color) === 0) return;
+    if (fromIndex === 0 && getHeadMovesLeft(position) === 0) return;
+    const toIndex = fromIndex + die;
+    if (toIndex >= path.length) {
+      if (canBearOff(position, color, fromIndex, die, path)) {
+        moves.push({ from, to: getBearOffPoint(color), die, hit: false });
+      }
+      return;
+    }
+    const to = path[toIndex];
+    if (countCheckers(position, to, opponent) > 0) return;
+    const move = { from, to, die, hit: false };
+    if (!hasTrappingPrime(applyMove(position, color, move), color)) moves.push(move);
+  });
+  return moves;
+};
+
+export const applyLongNardyMove = (position, color, move) => {
+  const headMovesLeft = getHeadMovesLeft(position);
+  const fromHead = move.from === getFevgaPath(color)[0];
+  return { ...applyMove(position, color, move), headMovesLeft: fromHead ? headMovesLeft - 1 : headMovesLeft };
+};
+
+export const LONG_NARDY_RULES = {
+  getSingleMoves: getLongNardySingleMoves,
+  applyMove: applyLongNardyMove,
+  beginTurn: beginLongNardyTurn,
+};
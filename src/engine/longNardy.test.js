@@ -0,0 +1,41 @@
+import { WHITE, BLACK, expandDice, applyMove, applyPlay, beginTurn, generatePlays } from './backgammon';
+import { createFevgaPosition, getFevgaPath } from './fevga';
+import { LONG_NARDY_RULES, beginLongNardyTurn, getLongNardySingleMoves } from './longNardy';
+
+const HEAD = getFevgaPath(WHITE)[0];
+
+// Every legal play for `dice` at the start of `color`'s turn.
+const getPlays = (position, color, dice) =>
+  generatePlays(beginTurn(position, color, dice, LONG_NARDY_RULES), color, expandDice(...dice), LONG_NARDY_RULES);
+
+const countHeadMoves = (play) => play.moves.filter(move => move.from === HEAD).length;
+
+test('one checker leaves the head per turn', () => {
+  const plays = getPlays(createFevgaPosition(), WHITE, [5, 3]);
+  expect(plays.length).toBeGreaterThan(0);
+  plays.forEach(play => expect(countHeadMoves(play)).toBe(1));
+});
+
+test('on the first turn 6-6, 4-4 and 3-3 take two checkers off the head', () => {
+  expect(beginLongNardyTurn(createFevgaPosition(), WHITE, [6, 6]).headMovesLeft).toBe(2);
+  expect(beginLongNardyTurn(createFevgaPosition(), WHITE, [5, 5]).headMovesLeft).toBe(1);
+  expect(Math.max(...getPlays(createFevgaPosition(), WHITE, [4, 4]).map(countHeadMoves))).toBe(2);
+
+  const later = applyMove(createFevgaPosition(), WHITE, { from: HEAD, to: 9, die: 3, hit: false });
+  expect(beginLongNardyTurn(later, WHITE, [6, 6]).headMovesLeft).toBe(1);
+  getPlays(later, WHITE, [3, 3]).forEach(play => expect(countHeadMoves(play)).toBeLessThanOrEqual(1));
+});
+
+test('the head count carries through the moves of a turn', () => {
+  const started = beginTurn(createFevgaPosition(), WHITE, [2, 1], LONG_NARDY_RULES);
+  const after = applyPlay(started, WHITE, [{ from: HEAD, to: 10, die: 2, hit: false }], LONG_NARDY_RULES);
+  expect(after.headMovesLeft).toBe(0);
+  expect(getLongNardySingleMoves(after, WHITE, 1).map(move => move.from)).toEqual([10]);
+});
+
+test('a checker never lands on a point the opponent holds', () => {
+  const position = applyMove(createFevgaPosition(), BLACK, { from: getFevgaPath(BLACK)[0], to: 6, die: 0, hit: false });
+  // The 3-3 takes two checkers off the head, but neither can go on past black's checker on 6.
+  const plays = getPlays(position, WHITE, [3, 3]);
+  expect(plays.map(play => play.moves.map(move => move.to))).toEqual([[9, 9]]);
+});
@@ -0,0 +1,369 @@
+// --- .mat Match Files ---
+// Export and import of the plain-text match format written by Jellyfish and GNU Backgammon:
+//
+//    5 point match
+//
+//    Game 1
+//    Alice : 0                        Bob : 0
+//     1) 31: 8/5 6/5                  52: 13/8 13/11
+//     2) 64: 24/18 13/9               Doubles => 2
+//     3)  Takes                       ...
+//
+// The left column is white and the right column black. Moves are written from the mover's
+// point of view, with 25 for the bar and 0 for off. Matches are read into and written from
+// the transcript shape of ./transcript.
+// A match that starts from another layout says so in a header comment, as GNU Backgammon writes
+// it: `; [Variation "Nackgammon"]`. The format has no notion of the other variants' rules, so
+// only matches of variants marked `hasMatFiles` are exported.
+
+import {
+  WHITE, BLACK, BAR, getOpponentColor, getPath, getBearOffPoint, toPlayerPoint, expandDice,
+  generatePlays, applyPlay, WIN_TYPES,
+} from './backgammon';
+import { createMatch, scoreGame, getMatchWinner, WIN_POINTS } from './match';
+import { DEFAULT_VARIANT, TAVLI, getVariant } from './variants';
+import { createCube, canOfferDouble, acceptDouble } from './cube';
+import {
+  createTranscript, recordTurn, recordDouble, recordTake, recordDrop, recordGameResult,
+} from './transcript';
+
+// Column where the right-hand player's actions start, in both the score line and the move lines.
+const RIGHT_COLUMN = 33;
+
+// GNU Backgammon's names for the variants a .mat file can hold.
+const VARIATION_NAMES = { portes: 'Backgammon', nackgammon: 'Nackgammon' };
+
+// --- Export ---
+
+// Whether a match played as `variantId` can be saved as a .mat file. A Tavli match cannot: two
+// of its three games follow other rules.
+export const canExportMatFile = (variantId = DEFAULT_VARIANT) =>
+  variantId !== TAVLI && getVariant(variantId).hasMatFiles;
+
+const formatMatMove = (color, { from, to, hit }) =>
+  `${from === BAR ? 25 : toPlayerPoint(color, from)}/${toPlayerPoint(color, to)}${hit ? '*' : ''}`;
+
+const formatMatAction = (entry) => {
+  switch (entry.type) {
+    case 'move':
+      return `${entry.dice.join('')}: ${entry.moves.map(move => formatMatMove(entry.player, move)).join(' ')}`.trimEnd();
+    case 'double':
+      return `Doubles => ${entry.value}`;
+    case 'take':
+      return 'Takes';
+    case 'drop':
+      return 'Drops';
+    default:
+      return '';
+  }
+};
+
+const formatWins = (points, wonMatch) =>
+  `Wins ${points} point${points === 1 ? '' : 's'}${wonMatch ? ' and the match' : ''}`;
+
+// Lays actions out two to a line, white on the left and black on the right, in playing order.
+const formatMoveLines = (actions) => {
+  const lines = [];
+  let current = null;
+  actions.forEach(({ player, text }) => {
+    const startsNewLine = !current || current[BLACK] !== null || (player === WHITE && current[WHITE] !== null);
+    if (startsNewLine) {
+      current = { [WHITE]: null, [BLACK]: null };
+      lines.push(current);
+    }
+    current[player] = text;
+  });
+  return lines.map((line, index) => {
+    const left = `${String(index + 1).padStart(3)}) ${line[WHITE] || ''}`;
+    if (line[BLACK] === null) return left.trimEnd();
+    return left.padEnd(Math.max(RIGHT_COLUMN, left.length + 1)) + line[BLACK];
+  });
+};
+
+// Writes a match, finished or still in progress, as the text of a .mat file.
+export const exportMatFile = ({ matchLength, playerNames, transcript }) => {
+  const lines = [` ${matchLength} point match`, ''];
+  const variantId = transcript.variant || DEFAULT_VARIANT;
+  if (variantId !== DEFAULT_VARIANT) lines.unshift(`; [Variation "${VARIATION_NAMES[variantId]}"]`);
+  let score = { [WHITE]: 0, [BLACK]: 0 };
+
+  transcript.games.forEach(game => {
+    lines.push(` Game ${game.number}`);
+    lines.push(` ${playerNames[WHITE]} : ${score[WHITE]}`.padEnd(RIGHT_COLUMN) + `${playerNames[BLACK]} : ${score[BLACK]}`);
+
+    const actions = game.entries.map(entry => ({ player: entry.player, text: formatMatAction(entry) }));
+    if (game.result) {
+      const wonMatch = game.result.score[game.result.winner] >= matchLength;
+      actions.push({ player: game.result.winner, text: formatWins(game.result.points, wonMatch) });
+      score = game.result.score;
+    }
+    lines.push(...formatMoveLines(actions), '');
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+// --- Import ---
+
+const ACTION_PATTERN = /(\d\d:|Doubles\s*=>\s*\d+|Takes|Drops|Wins\s+\d+\s+points?(?:\s+and\s+the\s+match)?)/gi;
+
+// Splits the text after "N)" into the white and black actions by the column each one starts in.
+const splitActions = (text, textOffset, rightColumn) => {
+  const starts = [];
+  let match;
+  ACTION_PATTERN.lastIndex = 0;
+  while ((match = ACTION_PATTERN.exec(text)) !== null) {
+    starts.push(match.index);
+  }
+  const leading = (starts.length > 0 ? text.slice(0, starts[0]) : text).trim();
+  if (leading) return { error: `Unrecognised text "${leading}".` };
+
+  return {
+    actions: starts.map((start, index) => ({
+      player: start + textOffset >= rightColumn ? BLACK : WHITE,
+      text: text.slice(start, starts[index + 1]).trim(),
+    })),
+  };
+};
+
+// A point in a .mat move, from the mover's point of view, as a board location.
+const toBoardLocation = (color, token) => {
+  const value = token.toLowerCase();
+  if (value === 'bar' || value === '25') return BAR;
+  if (value === 'off' || value === '0') return getBearOffPoint(color);
+  const playerPoint = Number(value);
+  if (!Number.isInteger(playerPoint) || playerPoint < 1 || playerPoint > 24) return undefined;
+  return getPath(color)[24 - playerPoint];
+};
+
+// Reads the moves of a play (`24/18* 13/11`, `24/18/13`, `8/5(2)`, `bar/22 6/off`) into the net
+// movement of the mover's checkers and the points where it hit. Returns null for bad notation.
+const parsePlayNotation = (color, notation) => {
+  const netChange = {};
+  const hits = [];
+  const tokens = notation.split(/\s+/).filter(Boolean);
+  for (const token of tokens) {
+    const parts = token.match(/^([^()]+)(?:\((\d)\))?$/);
+    if (!parts) return null;
+    const count = parts[2] ? Number(parts[2]) : 1;
+    const steps = parts[1].split('/');
+    if (steps.length < 2) return null;
+    const locations = steps.map(step => toBoardLocation(color, step.replace('*', '')));
+    if (locations.some(location => location === undefined)) return null;
+
+    for (let i = 0; i < count; i++) {
+      netChange[locations[0]] = (netChange[locations[0]] || 0) - 1;
+      const last = locations[locations.length - 1];
+      netChange[last] = (netChange[last] || 0) + 1;
+      steps.forEach((step, index) => { if (step.includes('*')) hits.push(locations[index]); });
+    }
+  }
+  return { netChange, hits };
+};
+
+const describeNetChange = (netChange) =>
+  Object.entries(netChange).filter(([, change]) => change !== 0).map(([point, change]) => `${point}:${change}`).sort().join(',');
+
+// Finds the legal play the notation describes: the one moving the same checkers to the same
+// places, preferring one that hits exactly where the notation says it does.
+const findPlay = (position, color, dice, notation, rules) => {
+  const parsed = parsePlayNotation(color, notation);
+  if (!parsed) return { error: `Cannot read the moves "${notation}".` };
+
+  const wanted = describeNetChange(parsed.netChange);
+  const candidates = generatePlays(position, color, dice, rules).filter(play => {
+    const netChange = {};
+    play.moves.forEach(({ from, to }) => {
+      netChange[from] = (netChange[from] || 0) - 1;
+      netChange[to] = (netChange[to] || 0) + 1;
+    });
+    return describeNetChange(netChange) === wanted;
+  });
+  if (candidates.length === 0) {
+    return { error: `"${notation || '(no move)'}" is not a legal play for ${dice.slice(0, 2).join('')}.` };
+  }
+
+  const wantedHits = [...parsed.hits].map(String).sort().join(',');
+  const exact = candidates.find(play =>
+    play.moves.filter(move => move.hit).map(move => String(move.to)).sort().join(',') === wantedHits);
+  return { play: exact || candidates[0] };
+};
+
+// Reads the text of a .mat file. Every move is replayed through the rules engine, so anything
+// illegal is reported against the line it is on. Returns { match, errors }: `match` is
+// { matchLength, playerNames, transcript } and is null when there are errors.
+export const importMatFile = (text) => {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const errors = [];
+  const fail = (lineIndex, message) => errors.push({ line: lineIndex + 1, message });
+
+  let matchLength = null;
+  let playerNames = null;
+  let variant = getVariant(DEFAULT_VARIANT);
+  let transcript = createTranscript();
+  let match = null;
+  let game = null; // State of the game being read.
+
+  const finishGame = (lineIndex, winner, points) => {
+    let winType;
+    const boardWinner = variant.getWinner(game.position);
+    if (game.dropped) {
+      winType = WIN_TYPES.SINGLE;
+    } else if (boardWinner) {
+      winType = variant.getWinType(game.position, boardWinner);
+      if (boardWinner !== winner) {
+        fail(lineIndex, `The game is won by ${boardWinner}, not ${winner}.`);
+        return;
+      }
+    } else {
+      // Resigned games: the points tell how much was conceded.
+      winType = Object.values(WIN_TYPES).find(type => WIN_POINTS[type] * game.cube.value === points);
+      if (!winType) {
+        fail(lineIndex, `${points} points cannot be won with the cube at ${game.cube.value}.`);
+        return;
+      }
+    }
+    match = scoreGame(match, winner, winType, game.cube, { doubleDropped: game.dropped });
+    const scored = match.games[match.games.length - 1].points;
+    if (scored !== points) {
+      fail(lineIndex, `The game is worth ${scored} point${scored === 1 ? '' : 's'}, not ${points}.`);
+    }
+    transcript = recordGameResult(transcript, { winner, winType, points: scored, score: match.score });
+    game.over = true;
+  };
+
+  const readAction = (lineIndex, player, actionText) => {
+    if (game.over || game.failed) return;
+    const opponent = getOpponentColor(player);
+    let parts;
+
+    if ((parts = actionText.match(/^(\d)(\d):\s*(.*)$/))) {
+      const [die1, die2] = [Number(parts[1]), Number(parts[2])];
+      if (die1 < 1 || die1 > 6 || die2 < 1 || die2 > 6) {
+        fail(lineIndex, `${parts[1]}${parts[2]} is not a roll of two dice.`);
+      } else if (game.pendingDouble) {
+        fail(lineIndex, `${opponent === WHITE ? 'White' : 'Black'} must take or drop the double first.`);
+      } else if (game.lastMover === player) {
+        fail(lineIndex, `${player === WHITE ? 'White' : 'Black'} cannot roll twice in a row.`);
+      } else {
+        const found = findPlay(game.position, player, expandDice(die1, die2), parts[3].trim(), variant.rules);
+        if (found.error) {
+          fail(lineIndex, found.error);
+        } else {
+          game.position = applyPlay(game.position, player, found.play.moves, variant.rules);
+          game.lastMover = player;
+          transcript = recordTurn(transcript, player, [die1, die2], found.play.moves);
+          return;
+        }
+      }
+    } else if ((parts = actionText.match(/^Doubles\s*=>\s*(\d+)$/i))) {
+      const value = Number(parts[1]);
+      if (!canOfferDouble(game.cube, player, match) || game.lastMover !== opponent) {
+        fail(lineIndex, `${player === WHITE ? 'White' : 'Black'} cannot double here.`);
+      } else if (value !== game.cube.value * 2) {
+        fail(lineIndex, `The cube is at ${game.cube.value}, so a double makes it ${game.cube.value * 2}, not ${value}.`);
+      } else {
+        game.pendingDouble = player;
+        transcript = recordDouble(transcript, player, value);
+        return;
+      }
+    } else if (/^(Takes|Drops)$/i.test(actionText)) {
+      if (game.pendingDouble !== opponent) {
+        fail(lineIndex, `There is no double for ${player === WHITE ? 'White' : 'Black'} to answer.`);
+      } else if (/^Takes$/i.test(actionText)) {
+        game.cube = acceptDouble(game.cube, player);
+        game.pendingDouble = null;
+        transcript = recordTake(transcript, player, game.cube.value);
+        return;
+      } else {
+        game.dropped = true;
+        transcript = recordDrop(transcript, player);
+        return;
+      }
+    } else if ((parts = actionText.match(/^Wins\s+(\d+)\s+points?/i))) {
+      if (game.pendingDouble && !game.dropped) {
+        fail(lineIndex, 'The double has not been answered.');
+      } else if (game.dropped && game.pendingDouble !== player) {
+        fail(lineIndex, `Only the side that doubled wins when the double is dropped.`);
+      } else {
+        finishGame(lineIndex, player, Number(parts[1]));
+        return;
+      }
+    } else {
+      fail(lineIndex, `Unrecognised action "${actionText}".`);
+    }
+    // Later moves of a game cannot be checked once one of them is wrong.
+    game.failed = true;
+  };
+
+  let rightColumn = RIGHT_COLUMN;
+  lines.forEach((line, lineIndex) => {
+    const trimmed = line.trim();
+    let parts;
+
+    if ((parts = trimmed.match(/^;\s*\[Variation\s+"([^"]*)"\]$/i))) {
+      const variantId = Object.keys(VARIATION_NAMES)
+        .find(id => VARIATION_NAMES[id].toLowerCase() === parts[1].toLowerCase());
+      if (!variantId) {
+        fail(lineIndex, `The ${parts[1]} variation is not supported.`);
+      } else if (game) {
+        fail(lineIndex, 'The variation must be given before the first game.');
+      } else {
+        variant = getVariant(variantId);
+        transcript = createTranscript(variantId);
+      }
+      return;
+    }
+    if (!trimmed || trimmed.startsWith(';')) return;
+
+    if (matchLength === null) {
+      if ((parts = trimmed.match(/^(\d+)\s+point\s+match$/i))) {
+        matchLength = Number(parts[1]);
+        match = createMatch(matchLength);
+      } else {
+        fail(lineIndex, 'Expected the match header, for example "5 point match".');
+      }
+      return;
+    }
+
+    if ((parts = trimmed.match(/^Game\s+(\d+)$/i))) {
+      if (getMatchWinner(match)) {
+        fail(lineIndex, 'The match is already over.');
+      }
+      game = { position: variant.createInitialPosition(), cube: createCube(), lastMover: null, pendingDouble: null, dropped: false, over: false, failed: false };
+      return;
+    }
+
+    if (!game) {
+      fail(lineIndex, 'Expected "Game 1" before any moves.');
+      return;
+    }
+
+    if ((parts = line.match(/^\s*(.+?)\s*:\s*\d+\s+(.+?)\s*:\s*\d+\s*$/)) && !/^\s*\d+\)/.test(line)) {
+      if (!playerNames) playerNames = { [WHITE]: parts[1], [BLACK]: parts[2] };
+      rightColumn = line.indexOf(parts[2], line.indexOf(':') + 1);
+      return;
+    }
+
+    if ((parts = line.match(/^(\s*\d+\)\s?)(.*)$/))) {
+      const split = splitActions(parts[2], parts[1].length, rightColumn);
+      if (split.error) {
+        fail(lineIndex, split.error);
+        return;
+      }
+      split.actions.forEach(({ player, text: actionText }) => readAction(lineIndex, player, actionText));
+      return;
+    }
+
+    fail(lineIndex, `Unrecognised line "${trimmed}".`);
+  });
+
+  if (matchLength === null && errors.length === 0) {
+    errors.push({ line: 1, message: 'The file is empty.' });
+  }
+  if (errors.length > 0) return { match: null, errors };
+  return {
+    match: { matchLength, playerNames: playerNames || { [WHITE]: 'White', [BLACK]: 'Black' }, transcript },
+    errors,
+  };
+};
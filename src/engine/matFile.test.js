@@ -0,0 +1,115 @@
+import { WHITE, BLACK, WIN_TYPES, getPath, getOpponentColor, expandDice, applyPlay } from './backgammon';
+import { createCube } from './cube';
+import { createMatch, scoreGame } from './match';
+import { createTranscript, recordTurn, recordDouble, recordDrop, recordGameResult } from './transcript';
+import { getVariant, TAVLI } from './variants';
+import { chooseComputerPlay } from './computerPlayer';
+import { exportMatFile, importMatFile, canExportMatFile } from './matFile';
+
+// Dice from a fixed seed, so every run plays the same games.
+const createRandom = (seed) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return seed / 2147483647;
+};
+const rollDie = (random) => 1 + Math.floor(random() * 6);
+
+// Board point of `color`'s own point `playerPoint`.
+const at = (color, playerPoint) => getPath(color)[24 - playerPoint];
+
+// Plays game `variant` from its start with the expert computer on both sides, recording every
+// turn, until somebody wins. White moves first.
+const playGame = (transcript, variant, random) => {
+  let position = variant.createInitialPosition();
+  let color = WHITE;
+  while (!variant.getWinner(position)) {
+    const dice = [rollDie(random), rollDie(random)];
+    const moves = chooseComputerPlay(position, color, expandDice(...dice), 'expert', variant, random);
+    transcript = recordTurn(transcript, color, dice, moves);
+    position = applyPlay(position, color, moves, variant.rules);
+    color = getOpponentColor(color);
+  }
+  const winner = variant.getWinner(position);
+  return { transcript, winner, winType: variant.getWinType(position, winner) };
+};
+
+const finishGame = ({ transcript, match }, winner, winType, options) => {
+  const scored = scoreGame(match, winner, winType, createCube(), options);
+  const { points } = scored.games[scored.games.length - 1];
+  return { match: scored, transcript: recordGameResult(transcript, { winner, winType, points, score: scored.score }) };
+};
+
+const PLAYER_NAMES = { [WHITE]: 'Alice', [BLACK]: 'Bob' };
+
+describe('.mat round trip', () => {
+  test('a played match is read back exactly as it was written', () => {
+    const random = createRandom(11);
+    const variant = getVariant('portes');
+    let state = { match: createMatch(7), transcript: createTranscript() };
+
+    // Game 1 is played out; in game 2 black doubles after white's first turn and white drops.
+    const played = playGame(state.transcript, variant, random);
+    state = finishGame({ ...state, transcript: played.transcript }, played.winner, played.winType);
+    let transcript = recordTurn(state.transcript, WHITE, [3, 1], [
+      { from: at(WHITE, 8), to: at(WHITE, 5), die: 3, hit: false },
+      { from: at(WHITE, 6), to: at(WHITE, 5), die: 1, hit: false },
+    ]);
+    transcript = recordDrop(recordDouble(transcript, BLACK, 2), WHITE);
+    state = finishGame({ ...state, transcript }, BLACK, WIN_TYPES.SINGLE, { doubleDropped: true });
+
+    const text = exportMatFile({ matchLength: 7, playerNames: PLAYER_NAMES, transcript: state.transcript });
+    expect(text).toMatch(/^ 7 point match\n/);
+    expect(text).toContain(' 1) 31: 8/5 6/5');
+    expect(text).toContain('Doubles => 2');
+
+    const { match, errors } = importMatFile(text);
+    expect(errors).toEqual([]);
+    expect(match.playerNames).toEqual(PLAYER_NAMES);
+    expect(match.transcript).toEqual(state.transcript);
+    expect(exportMatFile(match)).toBe(text);
+  });
+
+  test('a Nackgammon match names its variation and replays from the Nackgammon layout', () => {
+    const variant = getVariant('nackgammon');
+    let state = { match: createMatch(1, variant.id), transcript: createTranscript(variant.id) };
+    const played = playGame(state.transcript, variant, createRandom(5));
+    state = finishGame({ ...state, transcript: played.transcript }, played.winner, played.winType);
+
+    const text = exportMatFile({ matchLength: 1, playerNames: PLAYER_NAMES, transcript: state.transcript });
+    expect(text.split('\n')[0]).toBe('; [Variation "Nackgammon"]');
+
+    const { match, errors } = importMatFile(text);
+    expect(errors).toEqual([]);
+    expect(match.transcript).toEqual(state.transcript);
+    // Read as backgammon, the same moves do not fit the starting layout.
+    expect(importMatFile(text.replace(/^;.*\n/, '')).errors.length).toBeGreaterThan(0);
+  });
+});
+
+describe('.mat import errors', () => {
+  test('an illegal move is reported on its line', () => {
+    const text = [' 1 point match', '', ' Game 1', ' Alice : 0                        Bob : 0', '  1) 31: 24/18'].join('\n');
+    const { match, errors } = importMatFile(text);
+    expect(match).toBeNull();
+    expect(errors).toEqual([{ line: 5, message: '"24/18" is not a legal play for 31.' }]);
+  });
+
+  test('an unknown variation is refused', () => {
+    const { errors } = importMatFile('; [Variation "Hypergammon"]\n 1 point match\n');
+    expect(errors).toEqual([{ line: 1, message: 'The Hypergammon variation is not supported.' }]);
+  });
+
+  test('a file without a header is refused', () => {
+    expect(importMatFile('Game 1\n').errors[0].message).toMatch(/match header/);
+  });
+});
+
+describe('canExportMatFile', () => {
+  test('only variants the format can replay are exported', () => {
+    expect(canExportMatFile('portes')).toBe(true);
+    expect(canExportMatFile('nackgammon')).toBe(true);
+    expect(canExportMatFile(undefined)).toBe(true);
+    ['plakoto', 'fevga', 'hypergammon', 'aceyDeucey', 'longNardy', TAVLI].forEach(variantId => {
+      expect(canExportMatFile(variantId)).toBe(false);
+    });
+  });
+});
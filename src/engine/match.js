@@ -0,0 +1,100 @@
+// --- Match Scoring ---
+// Point-based match play: each game is worth 1, 2 or 3 points depending on how it was won,
+// multiplied by the doubling cube, and the first side to reach the match length wins. Pure functions over a plain match object:
+//   { matchLength, variant, score: { white, black }, games: [...], isCrawfordGame, crawfordPlayed }
+// where `variant` is the id of the game type played (see variants.js), or TAVLI for a match that
+// rotates through the Greek games. Each finished game records the variant it was played as.
+
+import { WHITE, BLACK, WIN_TYPES, getOpponentColor } from './backgammon';
+import { createCube } from './cube';
+import { DEFAULT_VARIANT, getGameVariantId } from './variants';
+
+export const MATCH_LENGTHS = [1, 3, 5, 7, 11];
+
+export const WIN_POINTS = {
+  [WIN_TYPES.SINGLE]: 1,
+  [WIN_TYPES.GAMMON]: 2,
+  [WIN_TYPES.BACKGAMMON]: 3,
+};
+
+export const WIN_TYPE_LABELS = {
+  [WIN_TYPES.SINGLE]: 'single game',
+  [WIN_TYPES.GAMMON]: 'gammon',
+  [WIN_TYPES.BACKGAMMON]: 'backgammon',
+};
+
+export const createMatch = (matchLength, variant = DEFAULT_VARIANT) => ({
+  matchLength,
+  variant,
+  score: { [WHITE]: 0, [BLACK]: 0 },
+  games: [],
+  isCrawfordGame: false,
+  crawfordPlayed: false,
+});
+
+// A match picked up part-way through, for example from a shared position. Without the Crawford
+// game in progress, a side already at match point means the Crawford game has been played.
+export const createMatchAtScore = (matchLength, score, isCrawfordGame = false) => ({
+  ...createMatch(matchLength),
+  score: { [WHITE]: score[WHITE], [BLACK]: score[BLACK] },
+  isCrawfordGame,
+  crawfordPlayed: !isCrawfordGame && (score[WHITE] === matchLength - 1 || score[BLACK] === matchLength - 1),
+});
+
+// Records a finished game together with the cube it was played for. The points are the win
+// type's value times the cube value; a dropped double is a single game at the cube's value.
+// The game right after a side first reaches match point (one point short of the match
+// length) is the Crawford game.
+export const scoreGame = (match, winner, winType, cube = createCube(), { doubleDropped = false } = {}) => {
+  const loser = getOpponentColor(winner);
+  const points = WIN_POINTS[winType] * cube.value;
+  const score = { ...match.score, [winner]: match.score[winner] + points };
+  const matchPoint = match.matchLength - 1;
+
+  const reachedMatchPoint = score[winner] === matchPoint && match.score[winner] < matchPoint;
+  const isCrawfordGame = !match.crawfordPlayed && !match.isCrawfordGame && reachedMatchPoint &&
+    score[loser] < matchPoint;
+
+  return {
+    ...match,
+    score,
+    games: [...match.games, {
+      variant: getGameVariantId(match.variant, match.games.length + 1),
+      winner,
+      winType,
+      cube: { value: cube.value, owner: cube.owner },
+      doubleDropped,
+      points,
+      crawford: match.isCrawfordGame,
+    }],
+    isCrawfordGame,
+    crawfordPlayed: match.crawfordPlayed || match.isCrawfordGame,
+  };
+};
+
+export const getMatchWinner = (match) => {
+  if (match.score[WHITE] >= match.matchLength) return WHITE;
+  if (match.score[BLACK] >= match.matchLength) return BLACK;
+  return null;
+};
+
+export const countGamesWon = (match, color) => match.games.filter(game => game.winner === color).length;
+
+// The variant the game about to be played (or being played) uses.
+export const getCurrentGameVariantId = (match) => getGameVariantId(match.variant, match.games.length + 1);
+
+// Games won and points scored by each side, per variant played:
+//   { [variantId]: { white: { gamesWon, points }, black: { gamesWon, points } } }
+// Games recorded before variants existed count as Portes.
+export const getResultsByVariant = (match) => {
+  const results = {};
+  match.games.forEach(game => {
+    const variant = game.variant || DEFAULT_VARIANT;
+    if (!results[variant]) {
+      results[variant] = { [WHITE]: { gamesWon: 0, points: 0 }, [BLACK]: { gamesWon: 0, points: 0 } };
+    }
+    results[variant][game.winner].gamesWon++;
+    results[variant][game.winner].points += game.points;
+  });
+  return results;
+};
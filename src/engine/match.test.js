@@ -0,0 +1,87 @@
+import { WHITE, BLACK, WIN_TYPES } from './backgammon';
+import { createCube, canOfferDouble } from './cube';
+import {
+  createMatch, createMatchAtScore, scoreGame, getMatchWinner, countGamesWon, getCurrentGameVariantId, getResultsByVariant,
+} from './match';
+import { TAVLI } from './variants';
+
+describe('scoring', () => {
+  test('a game is worth 1, 2 or 3 points by how it was won', () => {
+    let match = scoreGame(createMatch(7), WHITE, WIN_TYPES.GAMMON);
+    expect(match.score).toEqual({ [WHITE]: 2, [BLACK]: 0 });
+    expect(match.games[0]).toMatchObject({ winner: WHITE, winType: WIN_TYPES.GAMMON, points: 2 });
+
+    match = scoreGame(match, BLACK, WIN_TYPES.BACKGAMMON);
+    match = scoreGame(match, BLACK, WIN_TYPES.SINGLE);
+    expect(match.score).toEqual({ [WHITE]: 2, [BLACK]: 4 });
+  });
+
+  test('the first side to reach the match length wins the match', () => {
+    let match = createMatch(3);
+    match = scoreGame(match, WHITE, WIN_TYPES.SINGLE);
+    expect(getMatchWinner(match)).toBeNull();
+    match = scoreGame(match, WHITE, WIN_TYPES.GAMMON);
+    expect(getMatchWinner(match)).toBe(WHITE);
+    expect(countGamesWon(match, WHITE)).toBe(2);
+    expect(countGamesWon(match, BLACK)).toBe(0);
+  });
+});
+
+describe('the Crawford rule', () => {
+  test('the game after a side first reaches match point is the Crawford game', () => {
+    let match = scoreGame(createMatch(5), WHITE, WIN_TYPES.GAMMON);
+    match = scoreGame(match, WHITE, WIN_TYPES.GAMMON);
+    expect(match.score[WHITE]).toBe(4);
+    expect(match.isCrawfordGame).toBe(true);
+
+    match = scoreGame(match, BLACK, WIN_TYPES.SINGLE);
+    expect(match.games[2].crawford).toBe(true);
+    expect(match.isCrawfordGame).toBe(false);
+    expect(match.crawfordPlayed).toBe(true);
+  });
+
+  test('there is only one Crawford game per match', () => {
+    let match = scoreGame(createMatch(5), WHITE, WIN_TYPES.BACKGAMMON);
+    match = scoreGame(match, WHITE, WIN_TYPES.SINGLE);
+    expect(match.isCrawfordGame).toBe(true);
+    match = scoreGame(match, BLACK, WIN_TYPES.SINGLE);
+    match = scoreGame(match, BLACK, WIN_TYPES.SINGLE);
+    expect(match.score).toEqual({ [WHITE]: 4, [BLACK]: 2 });
+    expect(match.isCrawfordGame).toBe(false);
+  });
+
+  test('a match picked up in the Crawford game plays it only once', () => {
+    let match = createMatchAtScore(5, { [WHITE]: 4, [BLACK]: 2 }, true);
+    expect(canOfferDouble(createCube(), BLACK, match)).toBe(false);
+    match = scoreGame(match, BLACK, WIN_TYPES.SINGLE);
+    match = scoreGame(match, BLACK, WIN_TYPES.SINGLE);
+    expect(match.score).toEqual({ [WHITE]: 4, [BLACK]: 4 });
+    expect(match.isCrawfordGame).toBe(false);
+  });
+
+  test('a match picked up at match point outside the Crawford game has already played it', () => {
+    let match = createMatchAtScore(5, { [WHITE]: 3, [BLACK]: 4 });
+    expect(match.crawfordPlayed).toBe(true);
+    expect(canOfferDouble(createCube(), WHITE, match)).toBe(true);
+    match = scoreGame(match, WHITE, WIN_TYPES.SINGLE);
+    expect(match.isCrawfordGame).toBe(false);
+  });
+});
+
+describe('Tavli matches', () => {
+  test('games rotate through Portes, Plakoto and Fevga and are counted per variant', () => {
+    let match = createMatch(5, TAVLI);
+    expect(getCurrentGameVariantId(match)).toBe('portes');
+    match = scoreGame(match, WHITE, WIN_TYPES.SINGLE);
+    expect(getCurrentGameVariantId(match)).toBe('plakoto');
+    match = scoreGame(match, BLACK, WIN_TYPES.GAMMON);
+    expect(getCurrentGameVariantId(match)).toBe('fevga');
+    match = scoreGame(match, BLACK, WIN_TYPES.SINGLE);
+    expect(getCurrentGameVariantId(match)).toBe('portes');
+
+    const results = getResultsByVariant(match);
+    expect(results.portes[WHITE]).toEqual({ gamesWon: 1, points: 1 });
+    expect(results.plakoto[BLACK]).toEqual({ gamesWon: 1, points: 2 });
+    expect(results.fevga[BLACK]).toEqual({ gamesWon: 1, points: 1 });
+  });
+});
@@ -0,0 +1,112 @@
+// --- Plakoto ---
+// The Greek game in which a blot is pinned rather than hit. Both sides start with all 15
+// checkers on their furthest point (the opponent's 1-point) and move along the same paths as in
+// backgammon, but there is no bar:
+//   - A checker landing on a single opposing checker pins it. The pinned checker stays under the
+//     pinning one (earlier in the point's `checkers` array) and cannot move until it is released.
+//   - The top checker of a point (the last in its array) decides who holds it. Two or more
+//     checkers with an opposing checker on top block the point.
+//   - The last checker to leave the starting point is the "mother". A side whose mother is
+//     pinned loses at once, and loses a gammon.
+// A finished game is a gammon if the loser has borne off nothing and a single game otherwise;
+// there is no backgammon.
+
+import {
+  WHITE, BLACK, CHECKERS_PER_SIDE, WIN_TYPES, getOpponentColor, getPath, getBearOffPoint, isBearOffPoint, canBearOff,
+  clonePosition, createEmptyPosition,
+} from './backgammon';
+
+export const createPlakotoPosition = () => {
+  const position = createEmptyPosition();
+  [WHITE, BLACK].forEach((color) => {
+    position.points[getPath(color)[0] - 1].checkers = Array(CHECKERS_PER_SIDE).fill(color);
+  });
+  return position;
+};
+
+// The colour holding `point`, or null when it is empty.
+export const getTopChecker = (position, point) => {
+  const checkers = position.points[point - 1].checkers;
+  return checkers.length > 0 ? checkers[checkers.length - 1] : null;
+};
+
+// How many checkers of `color` are pinned under an opposing checker.
+export const countPinnedCheckers = (position, color) =>
+  position.points.reduce((total, point) => {
+    const top = point.checkers[point.checkers.length - 1];
+    return total + (top && top !== color ? point.checkers.filter(checker => checker === color).length : 0);
+  }, 0);
+
+const isPlakotoPointBlocked = (position, point, color) => {
+  const checkers = position.points[point - 1].checkers;
+  return checkers.length >= 2 && getTopChecker(position, point) !== color;
+};
+
+const canPin = (position, point, color) => {
+  const checkers = position.points[point - 1].checkers;
+  return checkers.length === 1 && checkers[0] === getOpponentColor(color);
+};
+
+// Whether `color`'s mother checker is pinned on its starting point.
+export const isMotherPinned = (position, color) => {
+  const start = getPath(color)[0];
+  const checkers = position.points[start - 1].checkers;
+  return checkers[0] === color && getTopChecker(position, start) !== color;
+};
+
+// --- Move Generation ---
+
+// Lists every single checker move `color` could make with one die. Only checkers on top of
+// their point can move; `hit` marks a move that pins an opposing checker.
+export const getPlakotoSingleMoves = (position, color, die) => {
+  const path = getPath(color);
+  const moves = [];
+
+  path.forEach((from, fromIndex) => {
+    if (getTopChecker(position, from) !== color) return;
+    const toIndex = fromIndex + die;
+    if (toIndex >= path.length) {
+      if (canBearOff(position, color, fromIndex, die)) {
+        moves.push({ from, to: getBearOffPoint(color), die, hit: false });
+      }
+      return;
+    }
+    const to = path[toIndex];
+    if (!isPlakotoPointBlocked(position, to, color)) {
+      moves.push({ from, to, die, hit: canPin(position, to, color) });
+    }
+  });
+  return moves;
+};
+
+// Returns the position after `color` plays a single checker move. A pinned checker simply stays
+// where it is, under the checker that moved onto it.
+export const applyPlakotoMove = (position, color, move) => {
+  const next = clonePosition(position);
+  next.points[move.from - 1].checkers.pop();
+  if (isBearOffPoint(move.to)) {
+    next.home[color]++;
+  } else {
+    next.points[move.to - 1].checkers.push(color);
+  }
+  return next;
+};
+
+export const PLAKOTO_RULES = { getSingleMoves: getPlakotoSingleMoves, applyMove: applyPlakotoMove };
+
+// --- Game Over ---
+
+export const getPlakotoWinner = (position) => {
+  if (position.home.white === CHECKERS_PER_SIDE) return WHITE;
+  if (position.home.black === CHECKERS_PER_SIDE) return BLACK;
+  if (isMotherPinned(position, WHITE)) return BLACK;
+  if (isMotherPinned(position, BLACK)) return WHITE;
+  return null;
+};
+
+export const getPlakotoWinType = (position, winner = getPlakotoWinner(position)) => {
+  if (!winner) return null;
+  const loser = getOpponentColor(winner);
+  if (isMotherPinned(position, loser)) return WIN_TYPES.GAMMON;
+  return position.home[loser] > 0 ? WIN_TYPES.SINGLE : WIN_TYPES.GAMMON;
+};
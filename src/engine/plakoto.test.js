@@ -0,0 +1,49 @@
+import { WHITE, BLACK, WIN_TYPES, getPath, createEmptyPosition } from './backgammon';
+import {
+  createPlakotoPosition, getPlakotoSingleMoves, applyPlakotoMove, countPinnedCheckers, isMotherPinned,
+  getPlakotoWinner, getPlakotoWinType,
+} from './plakoto';
+
+// A position with the given checkers, listed bottom to top for each board point.
+const setUp = (points) => {
+  const position = createEmptyPosition();
+  Object.entries(points).forEach(([point, checkers]) => { position.points[point - 1].checkers = checkers; });
+  return position;
+};
+
+test('both sides start with all their checkers on their furthest point', () => {
+  const position = createPlakotoPosition();
+  expect(position.points[getPath(WHITE)[0] - 1].checkers).toHaveLength(15);
+  expect(position.points[getPath(BLACK)[0] - 1].checkers).toHaveLength(15);
+});
+
+test('landing on a blot pins it instead of hitting it', () => {
+  const position = setUp({ 8: [WHITE], 6: [BLACK], 1: [BLACK] });
+  const pin = getPlakotoSingleMoves(position, WHITE, 2).find(move => move.from === 8);
+  expect(pin).toEqual({ from: 8, to: 6, die: 2, hit: true });
+
+  const after = applyPlakotoMove(position, WHITE, pin);
+  expect(after.points[5].checkers).toEqual([BLACK, WHITE]);
+  expect(after.bar[BLACK]).toBe(0);
+  expect(countPinnedCheckers(after, BLACK)).toBe(1);
+
+  // The pinned checker cannot move, and the pinning checker holds the point against black.
+  expect(getPlakotoSingleMoves(after, BLACK, 1).map(move => move.from)).toEqual([1]);
+  expect(getPlakotoSingleMoves(setUp({ 4: [BLACK], 6: [BLACK, WHITE] }), BLACK, 2)).toEqual([]);
+});
+
+test('a side whose mother checker is pinned loses a gammon', () => {
+  const blackStart = getPath(BLACK)[0];
+  const position = setUp({ [blackStart]: [BLACK, WHITE], 20: [BLACK] });
+  position.home[BLACK] = 2;
+  expect(isMotherPinned(position, BLACK)).toBe(true);
+  expect(getPlakotoWinner(position)).toBe(WHITE);
+  expect(getPlakotoWinType(position)).toBe(WIN_TYPES.GAMMON);
+});
+
+test('there is no backgammon: a loser who has borne off loses a single game', () => {
+  const position = setUp({ 20: [BLACK] });
+  position.home = { [WHITE]: 15, [BLACK]: 14 };
+  expect(getPlakotoWinner(position)).toBe(WHITE);
+  expect(getPlakotoWinType(position)).toBe(WIN_TYPES.SINGLE);
+});
@@ -0,0 +1,85 @@
+// --- Position Editor ---
+// Setting up study positions by hand. A location is a point (1-24), the bar, or a side's
+// bear-off tray (its bear-off point: 0 for white, 25 for black). Edits that would make the
+// position impossible are refused with { error } instead of being applied.
+
+import {
+  WHITE, BLACK, BAR, CHECKERS_PER_SIDE, getOpponentColor, getBearOffPoint, isBearOffPoint, clonePosition, getWinner,
+} from './backgammon';
+
+const colorName = (color) => (color === WHITE ? 'White' : 'Black');
+
+// Every checker of `color` on the board, on the bar and borne off.
+export const countSideCheckers = (position, color) =>
+  position.points.reduce((total, point) => total + point.checkers.filter(checker => checker === color).length, 0) +
+  position.bar[color] + position.home[color];
+
+const checkTray = (location, color) => {
+  if (isBearOffPoint(location) && location !== getBearOffPoint(color)) {
+    return `That tray holds ${getOpponentColor(color)} checkers.`;
+  }
+  return null;
+};
+
+// Returns { position } with one more checker of `color` at `location`, or { error }.
+export const addChecker = (position, location, color) => {
+  if (countSideCheckers(position, color) >= CHECKERS_PER_SIDE) {
+    return { error: `${colorName(color)} already has all ${CHECKERS_PER_SIDE} checkers.` };
+  }
+  const trayError = checkTray(location, color);
+  if (trayError) return { error: trayError };
+
+  const next = clonePosition(position);
+  if (location === BAR) {
+    next.bar[color]++;
+  } else if (isBearOffPoint(location)) {
+    next.home[color]++;
+  } else {
+    const checkers = next.points[location - 1].checkers;
+    if (checkers.length > 0 && checkers[0] !== color) {
+      return { error: 'A point cannot hold checkers of both colours.' };
+    }
+    checkers.push(color);
+  }
+  return { position: next };
+};
+
+// Returns { position } with one checker of `color` taken away from `location`, or { error }.
+export const removeChecker = (position, location, color) => {
+  const trayError = checkTray(location, color);
+  if (trayError) return { error: trayError };
+
+  const next = clonePosition(position);
+  if (location === BAR || isBearOffPoint(location)) {
+    const holder = location === BAR ? next.bar : next.home;
+    if (holder[color] === 0) return { error: `There is no ${color} checker there to remove.` };
+    holder[color]--;
+  } else {
+    const checkers = next.points[location - 1].checkers;
+    if (checkers.length === 0 || checkers[0] !== color) {
+      return { error: `There is no ${color} checker there to remove.` };
+    }
+    checkers.pop();
+  }
+  return { position: next };
+};
+
+// Checks that a finished setup can be played from. Returns null, or the reason it cannot.
+export const validatePosition = (position, playerOnRoll, dice) => {
+  for (const color of [WHITE, BLACK]) {
+    const count = countSideCheckers(position, color);
+    if (count !== CHECKERS_PER_SIDE) {
+      return `${colorName(color)} has ${count} checkers; place all ${CHECKERS_PER_SIDE} (the tray holds those borne off).`;
+    }
+  }
+  if (position.points.some(point => new Set(point.checkers).size > 1)) {
+    return 'A point cannot hold checkers of both colours.';
+  }
+  const winner = getWinner(position);
+  if (winner) return `${colorName(winner)} has already borne off every checker.`;
+  if (playerOnRoll !== WHITE && playerOnRoll !== BLACK) return 'Choose the side on roll.';
+  if ((dice[0] === 0) !== (dice[1] === 0) || dice.some(die => die < 0 || die > 6)) {
+    return 'Set both dice, or leave both unrolled.';
+  }
+  return null;
+};
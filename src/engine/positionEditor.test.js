@@ -0,0 +1,61 @@
+import { WHITE, BLACK, BAR, getBearOffPoint, createEmptyPosition, createInitialPosition } from './backgammon';
+import { countSideCheckers, addChecker, removeChecker, validatePosition } from './positionEditor';
+
+describe('editing', () => {
+  test('checkers can be added to points, the bar and their own tray', () => {
+    let { position } = addChecker(createEmptyPosition(), 6, WHITE);
+    ({ position } = addChecker(position, BAR, WHITE));
+    ({ position } = addChecker(position, getBearOffPoint(WHITE), WHITE));
+    expect(position.points[5].checkers).toEqual([WHITE]);
+    expect(position.bar[WHITE]).toBe(1);
+    expect(position.home[WHITE]).toBe(1);
+    expect(countSideCheckers(position, WHITE)).toBe(3);
+  });
+
+  test('impossible edits are refused and leave the position alone', () => {
+    const position = createInitialPosition();
+    expect(addChecker(position, 1, WHITE).error).toMatch(/already has all 15/);
+
+    const { position: less } = removeChecker(position, 7, BLACK);
+    expect(addChecker(less, 1, BLACK).error).toMatch(/both colours/);
+    expect(addChecker(less, getBearOffPoint(WHITE), BLACK).error).toMatch(/holds white checkers/);
+    expect(removeChecker(less, BAR, BLACK).error).toMatch(/no black checker/);
+    expect(removeChecker(less, 1, BLACK).error).toMatch(/no black checker/);
+    expect(countSideCheckers(position, BLACK)).toBe(15);
+  });
+});
+
+describe('validatePosition', () => {
+  test('the starting position with either side on roll can be played', () => {
+    expect(validatePosition(createInitialPosition(), WHITE, [0, 0])).toBeNull();
+    expect(validatePosition(createInitialPosition(), BLACK, [6, 5])).toBeNull();
+  });
+
+  test('every side must have exactly 15 checkers, counting the bar and the tray', () => {
+    const { position } = removeChecker(createInitialPosition(), 7, BLACK);
+    expect(validatePosition(position, WHITE, [0, 0])).toMatch(/Black has 14 checkers/);
+
+    const withBar = { ...position, bar: { ...position.bar, [BLACK]: 1 } };
+    expect(validatePosition(withBar, WHITE, [0, 0])).toBeNull();
+    const overfull = { ...withBar, home: { ...withBar.home, [BLACK]: 1 } };
+    expect(validatePosition(overfull, WHITE, [0, 0])).toMatch(/Black has 16 checkers/);
+  });
+
+  test('positions that could not arise in a game are rejected', () => {
+    const mixed = createInitialPosition();
+    mixed.points[0].checkers.push(BLACK);
+    mixed.points[6].checkers.pop();
+    expect(validatePosition(mixed, WHITE, [0, 0])).toMatch(/both colours/);
+
+    const finished = createEmptyPosition();
+    finished.home[WHITE] = 15;
+    finished.points[0].checkers = Array(15).fill(BLACK);
+    expect(validatePosition(finished, BLACK, [0, 0])).toMatch(/already borne off every checker/);
+  });
+
+  test('the side on roll and the dice must be set consistently', () => {
+    expect(validatePosition(createInitialPosition(), null, [0, 0])).toMatch(/side on roll/);
+    expect(validatePosition(createInitialPosition(), WHITE, [3, 0])).toMatch(/both dice/);
+    expect(validatePosition(createInitialPosition(), WHITE, [7, 1])).toMatch(/both dice/);
+  });
+});
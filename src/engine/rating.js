@@ -0,0 +1,54 @@
+// --- Ratings ---
+// FIBS-style player ratings. The favourite's chance of winning an N-point match grows with the
+// rating difference D and with the match length:
+//   P(underdog wins) = 1 / (1 + 10^(D * sqrt(N) / 2000))
+// A match moves the rating by 4 * sqrt(N) times the surprise of the result (1 - P for a win, -P for
+// a loss). Experience is the sum of the lengths of the matches played; until it reaches 400 the
+// rating is provisional and moves faster, by a factor falling from 5 to 1.
+
+export const INITIAL_RATING = 1500;
+export const PROVISIONAL_EXPERIENCE = 400;
+
+// The AI Opponent has a fixed rating per level, so beating it counts for as much as beating a
+// player of that strength and no more.
+const COMPUTER_RATINGS = {
+  beginner: 1200,
+  intermediate: 1450,
+  expert: 1650,
+};
+
+export const getComputerRating = (difficulty) => COMPUTER_RATINGS[difficulty] || INITIAL_RATING;
+
+export const isProvisional = (experience) => experience < PROVISIONAL_EXPERIENCE;
+
+// The chance that a player rated `rating` wins a `matchLength`-point match against `opponentRating`.
+export const getWinProbability = (rating, opponentRating, matchLength) =>
+  1 / (1 + 10 ** ((opponentRating - rating) * Math.sqrt(matchLength) / 2000));
+
+const getExperienceFactor = (experience) => Math.max(1, 5 - experience / 100);
+
+const roundRating = (value) => Math.round(value * 100) / 100;
+
+// Rates one finished match. Returns { rating, experience, change } for the player.
+export const rateMatch = (rating, experience, opponentRating, matchLength, won) => {
+  const expected = getWinProbability(rating, opponentRating, matchLength);
+  const change = getExperienceFactor(experience) * 4 * Math.sqrt(matchLength) * ((won ? 1 : 0) - expected);
+  return {
+    rating: roundRating(rating + change),
+    experience: experience + matchLength,
+    change: roundRating(change),
+  };
+};
+
+// The entry a rated match adds to the player's rating history. `opponent` is { id, name }.
+export const createRatingHistoryEntry = (result, { opponent, opponentRating, matchLength, won, gameId = null }, date = new Date()) => ({
+  date,
+  rating: result.rating,
+  change: result.change,
+  opponentId: opponent.id,
+  opponentName: opponent.name,
+  opponentRating,
+  matchLength,
+  won,
+  gameId,
+});
@@ -0,0 +1,70 @@
+import {
+  INITIAL_RATING, PROVISIONAL_EXPERIENCE, getComputerRating, isProvisional, getWinProbability, rateMatch,
+  createRatingHistoryEntry,
+} from './rating';
+
+// An experienced player, past the provisional boost.
+const EXPERIENCED = PROVISIONAL_EXPERIENCE;
+
+describe('FIBS formula', () => {
+  test('equal ratings make a match an even chance, worth 4 points times sqrt(N) / 2', () => {
+    expect(getWinProbability(1500, 1500, 1)).toBe(0.5);
+    expect(rateMatch(1500, EXPERIENCED, 1500, 1, true)).toEqual({ rating: 1502, experience: 401, change: 2 });
+    expect(rateMatch(1500, EXPERIENCED, 1500, 1, false)).toEqual({ rating: 1498, experience: 401, change: -2 });
+  });
+
+  test('an underdog who wins gains more than the favourite would have', () => {
+    // D = 200, N = 1: P(underdog) = 1 / (1 + 10^0.1) = 0.44269, so a win gains 4 * 0.55731 = 2.23
+    // and a loss costs 4 * 0.44269 = 1.77.
+    expect(getWinProbability(1500, 1700, 1)).toBeCloseTo(0.44269, 5);
+    expect(rateMatch(1500, EXPERIENCED, 1700, 1, true)).toMatchObject({ rating: 1502.23, change: 2.23 });
+    expect(rateMatch(1500, EXPERIENCED, 1700, 1, false)).toMatchObject({ rating: 1498.23, change: -1.77 });
+    expect(rateMatch(1700, EXPERIENCED, 1500, 1, true)).toMatchObject({ rating: 1701.77, change: 1.77 });
+  });
+
+  test('longer matches favour the stronger player more and move ratings further', () => {
+    // D = 200, N = 9: P(underdog) = 1 / (1 + 10^0.3) = 0.33386, and the stake is 4 * sqrt(9) = 12.
+    expect(getWinProbability(1500, 1700, 9)).toBeCloseTo(0.33386, 5);
+    expect(rateMatch(1500, EXPERIENCED, 1700, 9, true)).toEqual({ rating: 1507.99, experience: 409, change: 7.99 });
+    expect(rateMatch(1500, EXPERIENCED, 1500, 9, true).change).toBe(6);
+  });
+});
+
+describe('provisional ratings', () => {
+  test('a new player\'s rating moves up to five times faster until 400 points of experience', () => {
+    expect(rateMatch(INITIAL_RATING, 0, 1500, 1, true).change).toBe(10);
+    expect(rateMatch(INITIAL_RATING, 250, 1500, 1, true).change).toBe(5);
+    expect(rateMatch(INITIAL_RATING, 300, 1500, 1, true).change).toBe(4);
+    expect(rateMatch(INITIAL_RATING, 399, 1500, 1, true).change).toBe(2.02);
+    expect(rateMatch(INITIAL_RATING, 0, 1500, 7, false).experience).toBe(7);
+    expect(isProvisional(399)).toBe(true);
+    expect(isProvisional(400)).toBe(false);
+  });
+});
+
+test('the computer plays at a fixed rating per level', () => {
+  expect(getComputerRating('beginner')).toBeLessThan(getComputerRating('intermediate'));
+  expect(getComputerRating('intermediate')).toBeLessThan(getComputerRating('expert'));
+  expect(getComputerRating('unknown')).toBe(INITIAL_RATING);
+});
+
+test('a rated match is added to the rating history with its opponent and result', () => {
+  const date = new Date(2024, 0, 1);
+  const result = rateMatch(1500, EXPERIENCED, 1700, 1, true);
+  const entry = createRatingHistoryEntry(result, {
+    opponent: { id: 'bob-id', name: 'Bob' }, opponentRating: 1700, matchLength: 1, won: true, gameId: 'game-1',
+  }, date);
+  expect(entry).toEqual({
+    date,
+    rating: 1502.23,
+    change: 2.23,
+    opponentId: 'bob-id',
+    opponentName: 'Bob',
+    opponentRating: 1700,
+    matchLength: 1,
+    won: true,
+    gameId: 'game-1',
+  });
+  expect(createRatingHistoryEntry(result, { opponent: { id: 'ai', name: 'AI' }, opponentRating: 1650, matchLength: 1, won: true }).gameId)
+    .toBeNull();
+});
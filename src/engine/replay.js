@@ -0,0 +1,55 @@
+// --- Match Replay ---
+// Turns a transcript into the sequence of board states a replay steps through. Each frame is
+//   { gameNumber, variant, position, cube, dice, player, description, score }
+// where `variant` is the id of the game's variant, `score` is the match score at that moment and
+// `dice` is [0, 0] when no roll is shown.
+
+import { WHITE, BLACK, applyPlay, beginTurn } from './backgammon';
+import { createCube, acceptDouble } from './cube';
+import { describeTranscriptEntry, describeGameResult } from './transcript';
+import { TAVLI, getGameVariant } from './variants';
+
+export const buildReplayFrames = (transcript) => {
+  const frames = [];
+  let score = { [WHITE]: 0, [BLACK]: 0 };
+
+  transcript.games.forEach(game => {
+    const variant = getGameVariant(transcript.variant, game.number);
+    let position = variant.createInitialPosition();
+    let cube = createCube();
+    const addFrame = (frame) => frames.push({
+      gameNumber: game.number, variant: variant.id, position, cube, dice: [0, 0], player: null, score, ...frame,
+    });
+
+    const gameName = transcript.variant === TAVLI ? `Game ${game.number} (${variant.label})` : `Game ${game.number}`;
+    addFrame({ description: `${gameName} begins (score ${score[WHITE]}-${score[BLACK]})` });
+
+    game.entries.forEach(entry => {
+      if (entry.type === 'move') {
+        position = applyPlay(beginTurn(position, entry.player, entry.dice, variant.rules), entry.player, entry.moves, variant.rules);
+        addFrame({ dice: entry.dice, player: entry.player, description: describeTranscriptEntry(entry) });
+        return;
+      }
+      if (entry.type === 'take') {
+        cube = acceptDouble(cube, entry.player);
+      }
+      addFrame({ player: entry.player, description: describeTranscriptEntry(entry) });
+    });
+
+    if (game.result) {
+      score = game.result.score;
+      addFrame({ player: game.result.winner, description: describeGameResult(game.result) });
+    }
+  });
+
+  return frames;
+};
+
+// The first frame of each game, as [{ gameNumber, step }], for jumping straight to a game.
+export const getGameStarts = (frames) => {
+  const starts = [];
+  frames.forEach((frame, index) => {
+    if (!starts.some(start => start.gameNumber === frame.gameNumber)) starts.push({ gameNumber: frame.gameNumber, step: index });
+  });
+  return starts;
+};
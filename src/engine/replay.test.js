@@ -0,0 +1,68 @@
+import { WHITE, BLACK, WIN_TYPES, getOpponentColor, expandDice, createInitialPosition, applyMove } from './backgammon';
+import { chooseComputerPlay } from './computerPlayer';
+import { createTranscript, recordTurn, recordDouble, recordTake, recordGameResult } from './transcript';
+import { buildReplayFrames, getGameStarts } from './replay';
+
+const ROLLS = [[3, 1], [6, 4], [5, 5], [2, 1], [6, 3], [4, 2]];
+
+// Records ROLLS played by the expert on both sides, starting with `color`. Returns the transcript
+// and the position after every turn, built move by move with applyMove.
+const recordTurns = (transcript, color) => {
+  let position = createInitialPosition();
+  const positions = [];
+  ROLLS.forEach(roll => {
+    const moves = chooseComputerPlay(position, color, expandDice(...roll), 'expert');
+    position = moves.reduce((current, move) => applyMove(current, color, move), position);
+    transcript = recordTurn(transcript, color, roll, moves);
+    positions.push(position);
+    color = getOpponentColor(color);
+  });
+  return { transcript, positions };
+};
+
+// Game 1: six turns, a double and a take, then a white gammon at 2. Game 2: six turns, black first.
+const recordMatch = () => {
+  const first = recordTurns(createTranscript(), WHITE);
+  let transcript = recordTake(recordDouble(first.transcript, BLACK, 2), WHITE);
+  transcript = recordGameResult(transcript, {
+    winner: WHITE, winType: WIN_TYPES.GAMMON, points: 4, score: { [WHITE]: 4, [BLACK]: 0 },
+  });
+  const second = recordTurns(transcript, BLACK);
+  return { transcript: second.transcript, positions: [first.positions, second.positions] };
+};
+
+test('each game starts from the initial position and steps through the position after every turn', () => {
+  const { transcript, positions } = recordMatch();
+  const frames = buildReplayFrames(transcript);
+
+  [1, 2].forEach(gameNumber => {
+    const gameFrames = frames.filter(frame => frame.gameNumber === gameNumber);
+    expect(gameFrames[0].position).toEqual(createInitialPosition());
+    expect(gameFrames[0].description).toMatch(`Game ${gameNumber} begins`);
+
+    const moveFrames = gameFrames.filter(frame => frame.dice[0] !== 0);
+    expect(moveFrames.map(frame => frame.dice)).toEqual(ROLLS);
+    expect(moveFrames.map(frame => frame.position)).toEqual(positions[gameNumber - 1]);
+  });
+});
+
+test('cube actions and results update the cube and the score shown', () => {
+  const frames = buildReplayFrames(recordMatch().transcript);
+  const take = frames.find(frame => frame.description === 'White takes');
+  expect(take.cube).toEqual({ value: 2, owner: WHITE });
+  expect(take.score).toEqual({ [WHITE]: 0, [BLACK]: 0 });
+
+  const result = frames.find(frame => frame.description.startsWith('White wins'));
+  expect(result.score).toEqual({ [WHITE]: 4, [BLACK]: 0 });
+  expect(frames[frames.indexOf(result) + 1]).toMatchObject({
+    gameNumber: 2, cube: { value: 1, owner: null }, description: 'Game 2 begins (score 4-0)',
+  });
+});
+
+test('the game jump goes to the first frame of each game', () => {
+  const frames = buildReplayFrames(recordMatch().transcript);
+  // Game 1: its start, six turns, the double, the take and the result.
+  expect(getGameStarts(frames)).toEqual([{ gameNumber: 1, step: 0 }, { gameNumber: 2, step: 10 }]);
+  expect(frames[10].player).toBeNull();
+  expect(frames[11].player).toBe(BLACK);
+});
@@ -0,0 +1,25 @@
+/**
+ * @jest-environment node
+ */
+
+import { createHash } from 'crypto';
+import { sha256Hex } from './sha256';
+
+// Test vectors from FIPS 180-4 and NIST's SHA-256 examples.
+test('matches the published test vectors', () => {
+  expect(sha256Hex('')).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+  expect(sha256Hex('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  // 56 bytes: the length no longer fits in the first block, so the message takes two.
+  expect(sha256Hex('abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq'))
+    .toBe('248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1');
+  expect(sha256Hex('a'.repeat(1000000)))
+    .toBe('cdc76e5c9914fb9281a1c7e284d73e67f1809a48a497200e046d39ccc7112cd0');
+});
+
+test('agrees with Node across the padding boundaries and for multi-byte characters', () => {
+  [54, 55, 56, 63, 64, 65, 119, 120, 128].forEach(length => {
+    const message = 'x'.repeat(length);
+    expect(sha256Hex(message)).toBe(createHash('sha256').update(message).digest('hex'));
+  });
+  expect(sha256Hex('Τάβλι')).toBe(createHash('sha256').update('Τάβλι', 'utf8').digest('hex'));
+});
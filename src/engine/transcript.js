@@ -0,0 +1,127 @@
+// --- Match Transcript ---
+// A permanent record of everything that happened in a match, separate from the per-turn undo
+// history. The transcript is a plain object that can be stored as is:
+//   { variant, games: [{ number, entries: [...], result }] }
+// with entries
+//   { type: 'move', player, dice: [d1, d2], moves: [single moves], notation }
+//   { type: 'double', player, value }   { type: 'take', player, value }   { type: 'drop', player }
+// and `result` = { winner, winType, points, score } once the game is over.
+
+import { BAR, getPath, toPlayerPoint } from './backgammon';
+import { WIN_TYPE_LABELS } from './match';
+import { DEFAULT_VARIANT, getGameVariant } from './variants';
+
+export const createTranscript = (variant = DEFAULT_VARIANT) => ({ variant, games: [] });
+
+const formatPoint = (color, point, path) => {
+  if (point === BAR) return 'bar';
+  const playerPoint = toPlayerPoint(color, point, path);
+  return playerPoint === 0 ? 'off' : String(playerPoint);
+};
+
+// Writes a play in standard notation, from the mover's point of view: `24/18 13/11*`.
+// A checker moved more than once is written as one chain (`24/18*/13`) and identical
+// moves are counted (`8/5(2)`). `path` is the side's route in variants that differ from backgammon.
+export const formatPlay = (color, moves, path = getPath(color)) => {
+  if (moves.length === 0) return 'no move';
+
+  const chains = [];
+  moves.forEach(move => {
+    const chain = chains.find(candidate => candidate.to === move.from);
+    if (chain) {
+      chain.text += `/${formatPoint(color, move.to, path)}${move.hit ? '*' : ''}`;
+      chain.to = move.to;
+    } else {
+      chains.push({
+        text: `${formatPoint(color, move.from, path)}/${formatPoint(color, move.to, path)}${move.hit ? '*' : ''}`,
+        to: move.to,
+      });
+    }
+  });
+
+  const counted = [];
+  chains.forEach(({ text }) => {
+    const existing = counted.find(entry => entry.text === text);
+    if (existing) existing.count++;
+    else counted.push({ text, count: 1 });
+  });
+  return counted.map(({ text, count }) => (count > 1 ? `${text}(${count})` : text)).join(' ');
+};
+
+// Adds an entry to the game in progress, opening a new game after a finished one.
+const appendEntry = (transcript, entry) => {
+  const lastGame = transcript.games[transcript.games.length - 1];
+  if (!lastGame || lastGame.result) {
+    return {
+      ...transcript,
+      games: [...transcript.games, { number: transcript.games.length + 1, entries: [entry], result: null }],
+    };
+  }
+  return {
+    ...transcript,
+    games: [...transcript.games.slice(0, -1), { ...lastGame, entries: [...lastGame.entries, entry] }],
+  };
+};
+
+// The number of the game the next entry belongs to.
+const getOpenGameNumber = (transcript) => {
+  const lastGame = transcript.games[transcript.games.length - 1];
+  return lastGame && !lastGame.result ? lastGame.number : transcript.games.length + 1;
+};
+
+// The last turn ('move' entry) of the game in progress, or null when it has none yet.
+export const getLastTurn = (transcript) => {
+  const lastGame = transcript.games[transcript.games.length - 1];
+  if (!lastGame || lastGame.result) return null;
+  const turns = lastGame.entries.filter(entry => entry.type === 'move');
+  return turns.length > 0 ? turns[turns.length - 1] : null;
+};
+
+// Records a whole turn: the roll and the single moves played with it (none if the roll was blocked).
+export const recordTurn = (transcript, player, dice, moves) => {
+  const path = getGameVariant(transcript.variant, getOpenGameNumber(transcript)).getPath(player);
+  return appendEntry(transcript, { type: 'move', player, dice: [...dice], moves, notation: formatPlay(player, moves, path) });
+};
+
+export const recordDouble = (transcript, player, value) =>
+  appendEntry(transcript, { type: 'double', player, value });
+
+export const recordTake = (transcript, player, value) =>
+  appendEntry(transcript, { type: 'take', player, value });
+
+export const recordDrop = (transcript, player) =>
+  appendEntry(transcript, { type: 'drop', player });
+
+// Closes the game in progress with its result; `score` is the match score after the game.
+export const recordGameResult = (transcript, { winner, winType, points, score }) => {
+  const lastGame = transcript.games[transcript.games.length - 1];
+  const result = { winner, winType, points, score: { ...score } };
+  if (!lastGame || lastGame.result) {
+    return {
+      ...transcript,
+      games: [...transcript.games, { number: transcript.games.length + 1, entries: [], result }],
+    };
+  }
+  return { ...transcript, games: [...transcript.games.slice(0, -1), { ...lastGame, result }] };
+};
+
+const colorName = (color) => color.charAt(0).toUpperCase() + color.slice(1);
+
+// One line of the move list for an entry.
+export const describeTranscriptEntry = (entry) => {
+  switch (entry.type) {
+    case 'move':
+      return `${colorName(entry.player)} ${entry.dice.join('')}: ${entry.notation}`;
+    case 'double':
+      return `${colorName(entry.player)} doubles to ${entry.value}`;
+    case 'take':
+      return `${colorName(entry.player)} takes`;
+    case 'drop':
+      return `${colorName(entry.player)} drops`;
+    default:
+      return '';
+  }
+};
+
+export const describeGameResult = ({ winner, winType, points }) =>
+  `${colorName(winner)} wins a ${WIN_TYPE_LABELS[winType]} (${points} point${points === 1 ? '' : 's'})`;
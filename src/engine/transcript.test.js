@@ -0,0 +1,91 @@
+import {
+  WHITE, BLACK, BAR, getPath, getOpponentColor, getBearOffPoint, expandDice, createInitialPosition, applyMove,
+  getPositionKey, WIN_TYPES,
+} from './backgammon';
+import { chooseComputerPlay } from './computerPlayer';
+import {
+  createTranscript, formatPlay, recordTurn, recordDouble, recordTake, recordGameResult, describeTranscriptEntry,
+  describeGameResult,
+} from './transcript';
+
+// Board point of `color`'s own point `playerPoint`.
+const at = (color, playerPoint) => getPath(color)[24 - playerPoint];
+
+const ROLLS = [[3, 1], [6, 4], [5, 5], [2, 1], [6, 3], [4, 2], [1, 1], [5, 3], [6, 6], [4, 3]];
+
+// Plays ROLLS with the expert on both sides, recording each turn. Returns the transcript and the
+// position after every turn.
+const playRecordedGame = () => {
+  let transcript = createTranscript();
+  let position = createInitialPosition();
+  let color = WHITE;
+  const positions = [];
+  ROLLS.forEach(roll => {
+    const moves = chooseComputerPlay(position, color, expandDice(...roll), 'expert');
+    position = moves.reduce((current, move) => applyMove(current, color, move), position);
+    transcript = recordTurn(transcript, color, roll, moves);
+    positions.push(position);
+    color = getOpponentColor(color);
+  });
+  return { transcript, positions };
+};
+
+describe('formatPlay', () => {
+  test('writes moves from the mover\'s point of view, with hits, chains and repeats', () => {
+    expect(formatPlay(WHITE, [
+      { from: at(WHITE, 24), to: at(WHITE, 18), die: 6, hit: false },
+      { from: at(WHITE, 13), to: at(WHITE, 11), die: 2, hit: true },
+    ])).toBe('24/18 13/11*');
+    expect(formatPlay(BLACK, [
+      { from: at(BLACK, 24), to: at(BLACK, 18), die: 6, hit: true },
+      { from: at(BLACK, 18), to: at(BLACK, 13), die: 5, hit: false },
+    ])).toBe('24/18*/13');
+    expect(formatPlay(WHITE, [
+      { from: at(WHITE, 8), to: at(WHITE, 5), die: 3, hit: false },
+      { from: at(WHITE, 8), to: at(WHITE, 5), die: 3, hit: false },
+    ])).toBe('8/5(2)');
+    expect(formatPlay(WHITE, [
+      { from: BAR, to: at(WHITE, 22), die: 3, hit: false },
+      { from: at(WHITE, 2), to: getBearOffPoint(WHITE), die: 2, hit: false },
+    ])).toBe('bar/22 2/off');
+    expect(formatPlay(WHITE, [])).toBe('no move');
+  });
+});
+
+describe('recording a match', () => {
+  test('each turn is kept with its roll, moves and notation', () => {
+    const { transcript } = playRecordedGame();
+    const [game] = transcript.games;
+    expect(transcript.games).toHaveLength(1);
+    expect(game.number).toBe(1);
+    expect(game.entries).toHaveLength(ROLLS.length);
+    game.entries.forEach((entry, index) => {
+      expect(entry.dice).toEqual(ROLLS[index]);
+      expect(entry.notation).toBe(formatPlay(entry.player, entry.moves));
+    });
+    expect(describeTranscriptEntry(game.entries[0])).toBe(`White 31: ${game.entries[0].notation}`);
+  });
+
+  test('replaying the recorded moves reproduces every position of the game', () => {
+    const { transcript, positions } = playRecordedGame();
+    let position = createInitialPosition();
+    transcript.games[0].entries.forEach((entry, index) => {
+      position = entry.moves.reduce((current, move) => applyMove(current, entry.player, move), position);
+      expect(getPositionKey(position)).toBe(getPositionKey(positions[index]));
+    });
+  });
+
+  test('cube actions and the result close the game; the next entry opens a new one', () => {
+    let transcript = recordDouble(createTranscript(), WHITE, 2);
+    transcript = recordTake(transcript, BLACK, 2);
+    transcript = recordGameResult(transcript, {
+      winner: WHITE, winType: WIN_TYPES.GAMMON, points: 4, score: { [WHITE]: 4, [BLACK]: 0 },
+    });
+    transcript = recordTurn(transcript, BLACK, [6, 5], []);
+
+    expect(transcript.games.map(game => game.number)).toEqual([1, 2]);
+    expect(transcript.games[0].entries.map(describeTranscriptEntry)).toEqual(['White doubles to 2', 'Black takes']);
+    expect(describeGameResult(transcript.games[0].result)).toBe('White wins a gammon (4 points)');
+    expect(describeTranscriptEntry(transcript.games[1].entries[0])).toBe('Black 65: no move');
+  });
+});
@@ -0,0 +1,176 @@
+// --- Game Variants ---
+// The game types a match can be played as. Each variant bundles its starting layout, the route
+// each side takes, its movement rules ({ getSingleMoves, applyMove } and an optional beginTurn,
+// passed to the legal-play functions of backgammon.js) and how a finished game is recognised and scored:
+//   { id, label, createInitialPosition, getPath, rules, hasContact, getWinner, getWinType,
+//     checkersPerSide, holdingCheckers, usesCube, pinsBlots, hasGnubgIds, hasMatFiles,
+//     hasAceyDeuceyBonus }
+// `holdingCheckers` is how many checkers it takes to hold a point against the opponent,
+// `pinsBlots` marks variants where a hit blot is pinned where it stands instead of going to the
+// bar, `hasGnubgIds` those whose positions GNU Backgammon IDs can describe, `hasMatFiles` those
+// whose matches can be written to and read back from .mat files and `hasAceyDeuceyBonus` those
+// where a 1-2 roll earns a double of the player's choice.
+
+import {
+  STANDARD_RULES, CHECKERS_PER_SIDE, HYPERGAMMON_CHECKERS, createInitialPosition, createNackgammonPosition,
+  createHypergammonPosition, getPath, hasContact, getWinner, getWinType,
+} from './backgammon';
+import { PLAKOTO_RULES, createPlakotoPosition, getPlakotoWinner, getPlakotoWinType } from './plakoto';
+import { FEVGA_RULES, createFevgaPosition, getFevgaPath, hasFevgaContact, getFevgaWinType } from './fevga';
+import { ACEY_DEUCEY_RULES, createAceyDeuceyPosition } from './aceyDeucey';
+import { LONG_NARDY_RULES } from './longNardy';
+
+const getHypergammonWinner = (position) => getWinner(position, HYPERGAMMON_CHECKERS);
+
+export const VARIANTS = [
+  {
+    id: 'portes',
+    label: 'Portes (Backgammon)',
+    createInitialPosition,
+    getPath,
+    rules: STANDARD_RULES,
+    hasContact,
+    getWinner,
+    getWinType,
+    checkersPerSide: CHECKERS_PER_SIDE,
+    holdingCheckers: 2,
+    usesCube: true,
+    pinsBlots: false,
+    hasGnubgIds: true,
+    hasMatFiles: true,
+    hasAceyDeuceyBonus: false,
+  },
+  {
+    id: 'plakoto',
+    label: 'Plakoto',
+    createInitialPosition: createPlakotoPosition,
+    getPath,
+    rules: PLAKOTO_RULES,
+    hasContact,
+    getWinner: getPlakotoWinner,
+    getWinType: getPlakotoWinType,
+    checkersPerSide: CHECKERS_PER_SIDE,
+    holdingCheckers: 2,
+    usesCube: false,
+    pinsBlots: true,
+    hasGnubgIds: false,
+    hasMatFiles: false,
+    hasAceyDeuceyBonus: false,
+  },
+  {
+    id: 'fevga',
+    label: 'Fevga',
+    createInitialPosition: createFevgaPosition,
+    getPath: getFevgaPath,
+    rules: FEVGA_RULES,
+    hasContact: hasFevgaContact,
+    getWinner,
+    getWinType: getFevgaWinType,
+    checkersPerSide: CHECKERS_PER_SIDE,
+    holdingCheckers: 1,
+    usesCube: false,
+    pinsBlots: false,
+    hasGnubgIds: false,
+    hasMatFiles: false,
+    hasAceyDeuceyBonus: false,
+  },
+  {
+    id: 'nackgammon',
+    label: 'Nackgammon',
+    createInitialPosition: createNackgammonPosition,
+    getPath,
+    rules: STANDARD_RULES,
+    hasContact,
+    getWinner,
+    getWinType,
+    checkersPerSide: CHECKERS_PER_SIDE,
+    holdingCheckers: 2,
+    usesCube: true,
+    pinsBlots: false,
+    hasGnubgIds: true,
+    hasMatFiles: true,
+    hasAceyDeuceyBonus: false,
+  },
+  {
+    id: 'hypergammon',
+    label: 'Hypergammon',
+    createInitialPosition: createHypergammonPosition,
+    getPath,
+    rules: STANDARD_RULES,
+    hasContact,
+    getWinner: getHypergammonWinner,
+    getWinType: (position, winner = getHypergammonWinner(position)) => getWinType(position, winner),
+    checkersPerSide: HYPERGAMMON_CHECKERS,
+    holdingCheckers: 2,
+    usesCube: true,
+    pinsBlots: false,
+    hasGnubgIds: false,
+    hasMatFiles: false,
+    hasAceyDeuceyBonus: false,
+  },
+  {
+    id: 'aceyDeucey',
+    label: 'Acey-deucey',
+    createInitialPosition: createAceyDeuceyPosition,
+    getPath,
+    rules: ACEY_DEUCEY_RULES,
+    hasContact,
+    getWinner,
+    getWinType,
+    checkersPerSide: CHECKERS_PER_SIDE,
+    holdingCheckers: 2,
+    usesCube: true,
+    pinsBlots: false,
+    hasGnubgIds: false,
+    hasMatFiles: false,
+    hasAceyDeuceyBonus: true,
+  },
+  {
+    // Long Nardy starts from Fevga's corners and follows its routes.
+    id: 'longNardy',
+    label: 'Long Nardy',
+    createInitialPosition: createFevgaPosition,
+    getPath: getFevgaPath,
+    rules: LONG_NARDY_RULES,
+    hasContact: hasFevgaContact,
+    getWinner,
+    getWinType: getFevgaWinType,
+    checkersPerSide: CHECKERS_PER_SIDE,
+    holdingCheckers: 1,
+    usesCube: false,
+    pinsBlots: false,
+    hasGnubgIds: false,
+    hasMatFiles: false,
+    hasAceyDeuceyBonus: false,
+  },
+];
+
+export const DEFAULT_VARIANT = VARIANTS[0].id;
+
+// Matches stored before variants existed have none, and are played as Portes.
+export const getVariant = (id) => VARIANTS.find(variant => variant.id === id) || VARIANTS[0];
+
+// --- Tavli Matches ---
+// A Tavli match plays Portes, Plakoto and Fevga in turn, with the points of all three adding up
+// to one score. Such a match stores TAVLI as its variant; each game's variant follows from its
+// number. Tavli is played without the doubling cube.
+
+export const TAVLI = 'tavli';
+export const TAVLI_ROTATION = ['portes', 'plakoto', 'fevga'];
+
+// What a match can be played as: any single variant, or the Tavli rotation.
+export const GAME_TYPES = [
+  ...VARIANTS.map(({ id, label }) => ({ id, label })),
+  { id: TAVLI, label: 'Tavli (Portes, Plakoto, Fevga)' },
+];
+
+export const getVariantLabel = (id) => (GAME_TYPES.find(type => type.id === id) || GAME_TYPES[0]).label;
+
+// The variant id of game `gameNumber` (counted from 1) of a match played as `matchVariant`.
+export const getGameVariantId = (matchVariant, gameNumber) =>
+  (matchVariant === TAVLI ? TAVLI_ROTATION[(gameNumber - 1) % TAVLI_ROTATION.length] : getVariant(matchVariant).id);
+
+export const getGameVariant = (matchVariant, gameNumber) => getVariant(getGameVariantId(matchVariant, gameNumber));
+
+export const isCubeUsed = (matchVariant, gameNumber) =>
+  matchVariant !== TAVLI && getGameVariant(matchVariant, gameNumber).usesCube;
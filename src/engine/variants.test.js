@@ -0,0 +1,59 @@
+import { WHITE, BLACK, getPipCount } from './backgammon';
+import {
+  VARIANTS, DEFAULT_VARIANT, TAVLI, getVariant, getVariantLabel, getGameVariantId, isCubeUsed,
+} from './variants';
+
+test('every variant describes the same fields', () => {
+  const fields = Object.keys(getVariant(DEFAULT_VARIANT)).sort();
+  VARIANTS.forEach(variant => expect(Object.keys(variant).sort()).toEqual(fields));
+});
+
+test('every variant starts with its own number of checkers for each side and no winner', () => {
+  VARIANTS.forEach(variant => {
+    const position = variant.createInitialPosition();
+    [WHITE, BLACK].forEach(color => {
+      const onBoard = position.points.reduce((total, point) => total + point.checkers.filter(c => c === color).length, 0);
+      const toEnter = position.toEnter ? position.toEnter[color] : 0;
+      expect(onBoard + toEnter).toBe(variant.checkersPerSide);
+    });
+    expect(variant.getWinner(position)).toBeNull();
+  });
+});
+
+test('Hypergammon is won by bearing off three checkers', () => {
+  const hypergammon = getVariant('hypergammon');
+  const position = hypergammon.createInitialPosition();
+  position.home[WHITE] = 3;
+  expect(hypergammon.getWinner(position)).toBe(WHITE);
+});
+
+test('Plakoto pins blots and is played without the cube', () => {
+  expect(getVariant('plakoto')).toMatchObject({ usesCube: false, pinsBlots: true });
+  expect(getVariant('portes')).toMatchObject({ usesCube: true, pinsBlots: false });
+});
+
+test('a single Fevga checker holds a point; the other variants need two', () => {
+  expect(VARIANTS.map(variant => [variant.id, variant.holdingCheckers])).toEqual([
+    ['portes', 2], ['plakoto', 2], ['fevga', 1], ['nackgammon', 2], ['hypergammon', 2], ['aceyDeucey', 2], ['longNardy', 1],
+  ]);
+});
+
+test('the variants that race the same way share their pip counts', () => {
+  expect(getPipCount(getVariant('portes').createInitialPosition(), WHITE)).toBe(167);
+  expect(getPipCount(getVariant('longNardy').createInitialPosition(), BLACK, getVariant('longNardy').getPath(BLACK)))
+    .toBe(getPipCount(getVariant('fevga').createInitialPosition(), BLACK, getVariant('fevga').getPath(BLACK)));
+});
+
+test('unknown variants are played as Portes', () => {
+  expect(getVariant('chouette').id).toBe(DEFAULT_VARIANT);
+  expect(getVariant(undefined).id).toBe(DEFAULT_VARIANT);
+  expect(getVariantLabel(undefined)).toBe('Portes (Backgammon)');
+});
+
+test('a Tavli match rotates its games through Portes, Plakoto and Fevga, all without the cube', () => {
+  expect([1, 2, 3, 4].map(gameNumber => getGameVariantId(TAVLI, gameNumber))).toEqual(['portes', 'plakoto', 'fevga', 'portes']);
+  expect(getGameVariantId('plakoto', 4)).toBe('plakoto');
+  expect(isCubeUsed(TAVLI, 1)).toBe(false);
+  expect(isCubeUsed('portes', 1)).toBe(true);
+  expect(getVariantLabel(TAVLI)).toMatch(/Tavli/);
+});